@@ -0,0 +1,20 @@
+import { dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { FlatCompat } from '@eslint/eslintrc';
+
+const compat = new FlatCompat({
+  baseDirectory: dirname(fileURLToPath(import.meta.url)),
+});
+
+const eslintConfig = [
+  { ignores: ['.next/', 'public/widget/'] },
+  ...compat.extends('next/core-web-vitals'),
+  {
+    // The widget is also bundled on its own for other sites (see
+    // scripts/build-widget.mjs), where next/image is not available
+    files: ['src/app/chatbot/**/*.js'],
+    rules: { '@next/next/no-img-element': 'off' },
+  },
+];
+
+export default eslintConfig;
@@ -3,8 +3,8 @@ module.exports = {
   async rewrites() {
     return [
       {
-        source: '/api/proxy-chat',  // Use a different path to avoid conflicts
-        destination: 'https://jennihomechatbot.onrender.com/api/chat',
+        source: '/api/proxy-chat',  // Legacy path, now served by the local route handler
+        destination: '/api/chat',
       },
     ];
   },
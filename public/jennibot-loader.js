@@ -0,0 +1,104 @@
+/**
+ * JenniBot widget loader
+ *
+ * Add the chat widget to any page with:
+ *
+ *   <script src="https://YOUR-JENNIBOT-HOST/jennibot-loader.js" async></script>
+ *
+ * Options are read from data attributes on that script tag:
+ *   data-api-base   Origin of the JenniBot app (defaults to where this script is served from)
+ *   data-open       "true" to open the chat window on load
+ *   data-auto-init  "false" to skip mounting until JenniBot.init() is called
+ *   data-config-url Widget configuration endpoint (defaults to <api base>/api/widget-config)
+ *   data-locale     Language of the widget: "en", "fr" or "ar" (detected when omitted)
+ *
+ * JenniBot.init({ apiBase, open, configUrl, config }) takes the same options
+ * and overrides the data attributes; `config` is an object with configuration
+ * overrides such as { greeting, quickReplies, colors }. JenniBot.destroy()
+ * removes the widget again.
+ *
+ * The widget is rendered inside a Shadow DOM, so the host page's CSS and the
+ * widget's styles do not affect each other.
+ */
+(function () {
+  'use strict';
+
+  if (window.JenniBot && window.JenniBot.loaded) return;
+
+  var script = document.currentScript;
+  var dataset = (script && script.dataset) || {};
+  var scriptOrigin = script && script.src ? new URL(script.src, window.location.href).origin : window.location.origin;
+
+  var bundle = null;
+  var host = null;
+  var mounted = null;
+
+  function loadBundle(apiBase) {
+    if (!bundle) {
+      bundle = new Promise(function (resolve, reject) {
+        if (window.JenniBotWidget) return resolve(window.JenniBotWidget);
+        var tag = document.createElement('script');
+        tag.src = apiBase + '/widget/jennibot-widget.js';
+        tag.async = true;
+        tag.onload = function () { resolve(window.JenniBotWidget); };
+        tag.onerror = function () {
+          bundle = null;
+          reject(new Error('JenniBot: could not load ' + tag.src));
+        };
+        document.head.appendChild(tag);
+      });
+    }
+    return bundle;
+  }
+
+  function init(options) {
+    if (mounted) return mounted;
+    options = options || {};
+
+    var apiBase = String(options.apiBase || dataset.apiBase || scriptOrigin).replace(/\/$/, '');
+    var open = options.open !== undefined ? Boolean(options.open) : dataset.open === 'true';
+    var configUrl = options.configUrl !== undefined ? options.configUrl : dataset.configUrl;
+
+    host = document.createElement('div');
+    host.id = 'jennibot-widget';
+    // Keep the widget above the host page's own overlays
+    host.style.cssText = 'position: relative; z-index: 2147483000;';
+    document.body.appendChild(host);
+    var shadowRoot = host.attachShadow({ mode: 'open' });
+
+    mounted = loadBundle(apiBase).then(function (widget) {
+      return widget.mount(shadowRoot, {
+        apiBase: apiBase,
+        open: open,
+        config: dataset.locale ? Object.assign({ locale: dataset.locale }, options.config) : options.config,
+        configUrl: configUrl
+      });
+    });
+    mounted.catch(function (error) {
+      console.error(error);
+      destroy();
+    });
+    return mounted;
+  }
+
+  function destroy() {
+    var current = mounted;
+    var currentHost = host;
+    mounted = null;
+    host = null;
+    if (current) {
+      current.then(function (instance) { instance.unmount(); }, function () {});
+    }
+    if (currentHost) currentHost.remove();
+  }
+
+  window.JenniBot = { loaded: true, init: init, destroy: destroy };
+
+  if (dataset.autoInit !== 'false') {
+    if (document.body) {
+      init();
+    } else {
+      document.addEventListener('DOMContentLoaded', function () { init(); });
+    }
+  }
+})();
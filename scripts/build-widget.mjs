@@ -0,0 +1,83 @@
+/**
+ * Builds the standalone widget bundle served at /widget/jennibot-widget.js.
+ *
+ * The bundle contains React, the Chatbot component and its compiled
+ * Tailwind styles, which the loader (public/jennibot-loader.js) mounts
+ * into a Shadow DOM on third-party pages.
+ */
+import { readFile } from 'fs/promises';
+import { createRequire } from 'module';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { build } from 'esbuild';
+import postcss from 'postcss';
+import tailwindcss from '@tailwindcss/postcss';
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const production = !process.argv.includes('--dev');
+
+// Shadow roots ignore @property rules, so Tailwind's registered custom
+// properties would never get their initial values there. Declare them in the
+// base layer instead, where utilities can still override them.
+function withPropertyFallbacks(css) {
+  const declarations = [];
+  for (const match of css.matchAll(/@property\s+(--[\w-]+)\s*\{([^}]*)\}/g)) {
+    const initial = match[2].match(/initial-value\s*:\s*([^;]+)/);
+    if (initial) declarations.push(`${match[1]}:${initial[1].trim()}`);
+  }
+  if (declarations.length === 0) return css;
+  return `${css}@layer base{:host,*,::before,::after,::backdrop{${declarations.join(';')}}}`;
+}
+
+// The top-level tailwindcss dependency is still v2, so point the import at
+// the v4 copy that @tailwindcss/postcss itself depends on
+const require = createRequire(import.meta.url);
+const tailwindEntry = createRequire(require.resolve('@tailwindcss/postcss')).resolve('tailwindcss/index.css');
+
+async function compileStyles() {
+  const from = path.join(root, 'src/widget/widget.css');
+  const source = (await readFile(from, 'utf8')).replace('@import "tailwindcss"', `@import ${JSON.stringify(tailwindEntry)}`);
+  const result = await postcss([tailwindcss({ base: root, optimize: { minify: production } })])
+    .process(source, { from });
+  return withPropertyFallbacks(result.css);
+}
+
+const widgetPlugin = (styles) => ({
+  name: 'jennibot-widget',
+  setup(pluginBuild) {
+    // next/font only works inside Next.js
+    pluginBuild.onResolve({ filter: /^next\/font\/google$/ }, () => ({
+      path: path.join(root, 'src/widget/fontShim.js'),
+    }));
+
+    // Component CSS is already part of the compiled styles
+    pluginBuild.onResolve({ filter: /\.css$/ }, () => ({ path: 'css', namespace: 'jennibot-empty' }));
+    pluginBuild.onLoad({ filter: /.*/, namespace: 'jennibot-empty' }, () => ({ contents: '', loader: 'js' }));
+
+    pluginBuild.onResolve({ filter: /^jennibot:styles$/ }, () => ({ path: 'styles', namespace: 'jennibot-styles' }));
+    pluginBuild.onLoad({ filter: /.*/, namespace: 'jennibot-styles' }, () => ({
+      contents: `export default ${JSON.stringify(styles)};`,
+      loader: 'js',
+    }));
+  },
+});
+
+const styles = await compileStyles();
+
+await build({
+  absWorkingDir: root,
+  entryPoints: ['src/widget/index.js'],
+  outfile: 'public/widget/jennibot-widget.js',
+  bundle: true,
+  format: 'iife',
+  globalName: 'JenniBotWidget',
+  platform: 'browser',
+  target: ['es2020'],
+  minify: production,
+  sourcemap: !production,
+  jsx: 'automatic',
+  loader: { '.js': 'jsx' },
+  define: { 'process.env.NODE_ENV': JSON.stringify(production ? 'production' : 'development') },
+  logLevel: 'info',
+  plugins: [widgetPlugin(styles)],
+});
@@ -0,0 +1,241 @@
+'use client'
+import { useEffect, useRef, useState } from 'react';
+
+const NAME_KEY = 'jennibot:agent-name';
+
+const formatTime = (iso) => new Date(iso).toLocaleTimeString('en', { timeStyle: 'short' });
+
+const STATUS_LABELS = {
+  waiting: 'Waiting',
+  active: 'Active',
+};
+
+// Replace a handoff with the same id, or append it to the queue
+const upsertHandoff = (handoffs, handoff) =>
+  handoffs.some(entry => entry.id === handoff.id)
+    ? handoffs.map(entry => entry.id === handoff.id ? handoff : entry)
+    : [...handoffs, handoff];
+
+async function postAction(id, body) {
+  const response = await fetch(`/api/admin/handoffs/${encodeURIComponent(id)}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || `Request failed (${response.status})`);
+  }
+}
+
+/**
+ * Live queue of visitors who asked for a person. The agent is shown as
+ * online to the widget for as long as this page is open.
+ */
+export default function AgentConsole() {
+  const [agentName, setAgentName] = useState('');
+  const [nameInput, setNameInput] = useState('');
+  const [handoffs, setHandoffs] = useState([]);
+  const [online, setOnline] = useState([]);
+  const [isConnected, setIsConnected] = useState(false);
+  const [selectedId, setSelectedId] = useState(null);
+  const [reply, setReply] = useState('');
+  const [error, setError] = useState(null);
+  const messagesEndRef = useRef(null);
+
+  useEffect(() => {
+    setAgentName(window.localStorage.getItem(NAME_KEY) || '');
+  }, []);
+
+  // EventSource reconnects by itself and gets a fresh snapshot each time
+  useEffect(() => {
+    if (!agentName) return;
+    const source = new EventSource(`/api/admin/handoffs/events?${new URLSearchParams({ agent: agentName })}`);
+    source.onopen = () => setIsConnected(true);
+    source.onerror = () => setIsConnected(false);
+    source.addEventListener('snapshot', (event) => setHandoffs(JSON.parse(event.data).handoffs));
+    source.addEventListener('agents', (event) => setOnline(JSON.parse(event.data).online));
+    source.addEventListener('handoff', (event) => {
+      const handoff = JSON.parse(event.data);
+      setHandoffs(prev => handoff.status === 'closed'
+        ? prev.filter(entry => entry.id !== handoff.id)
+        : upsertHandoff(prev, handoff));
+    });
+    return () => source.close();
+  }, [agentName]);
+
+  const selected = handoffs.find(handoff => handoff.id === selectedId);
+
+  useEffect(() => {
+    messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [selected?.messages.length]);
+
+  const saveName = (e) => {
+    e.preventDefault();
+    const name = nameInput.trim();
+    if (!name) return;
+    window.localStorage.setItem(NAME_KEY, name);
+    setAgentName(name);
+  };
+
+  const act = async (body) => {
+    setError(null);
+    try {
+      await postAction(selected.id, { ...body, agent: agentName });
+      return true;
+    } catch (actionError) {
+      setError(actionError.message);
+      return false;
+    }
+  };
+
+  const sendReply = async (e) => {
+    e.preventDefault();
+    const text = reply.trim();
+    if (!text) return;
+    setReply('');
+    // The id lets a retried request be recognised as the same message
+    const sent = await act({ action: 'message', text, messageId: crypto.randomUUID() });
+    if (!sent) setReply(text);
+  };
+
+  if (!agentName) {
+    return (
+      <form onSubmit={saveName} className="mt-6 flex max-w-md items-end gap-3 rounded-xl border border-gray-200 bg-white p-4 text-sm">
+        <label className="flex flex-1 flex-col gap-1">
+          <span className="text-gray-500">Your name, as visitors will see it</span>
+          <input
+            type="text"
+            value={nameInput}
+            onChange={(e) => setNameInput(e.target.value)}
+            maxLength={40}
+            className="rounded border border-gray-300 px-2 py-1"
+          />
+        </label>
+        <button type="submit" className="rounded bg-blue-600 px-4 py-1.5 font-semibold text-white hover:bg-blue-700">
+          Go online
+        </button>
+      </form>
+    );
+  }
+
+  return (
+    <div className="mt-6">
+      <p className="text-sm text-gray-500">
+        <span className={isConnected ? 'text-green-700' : 'text-red-600'}>●</span>{' '}
+        {isConnected ? `Online as ${agentName}` : 'Reconnecting…'}
+        {online.length > 0 && ` · Agents online: ${online.join(', ')}`}
+        {' · '}
+        <button type="button" onClick={() => setAgentName('')} className="text-blue-600 hover:underline">
+          Change name
+        </button>
+      </p>
+
+      <div className="mt-4 grid gap-4 md:grid-cols-[16rem_1fr]">
+        <ul className="space-y-2" aria-label="Queue">
+          {handoffs.length === 0 && (
+            <li className="rounded-xl border border-dashed border-gray-300 p-4 text-sm text-gray-500">Nobody is waiting.</li>
+          )}
+          {handoffs.map(handoff => (
+            <li key={handoff.id}>
+              <button
+                type="button"
+                onClick={() => setSelectedId(handoff.id)}
+                aria-current={handoff.id === selectedId ? 'true' : undefined}
+                className={`w-full rounded-xl border p-3 text-start text-sm ${
+                  handoff.id === selectedId ? 'border-blue-600 bg-blue-50' : 'border-gray-200 bg-white hover:bg-gray-50'
+                }`}
+              >
+                <div className="flex justify-between">
+                  <span className={handoff.status === 'waiting' ? 'font-semibold text-amber-700' : 'text-gray-700'}>
+                    {STATUS_LABELS[handoff.status]}
+                    {handoff.agentName && ` · ${handoff.agentName}`}
+                  </span>
+                  <span className="text-gray-500">{formatTime(handoff.createdAt)}</span>
+                </div>
+                <div className="mt-1 truncate text-gray-600">
+                  {handoff.messages.at(-1)?.text || handoff.history.at(-1)?.content || 'No messages yet'}
+                </div>
+              </button>
+            </li>
+          ))}
+        </ul>
+
+        {selected ? (
+          <section className="flex min-h-[28rem] flex-col rounded-xl border border-gray-200 bg-white" aria-label="Conversation">
+            <div className="flex items-center justify-between border-b border-gray-100 p-3 text-sm">
+              <span className="text-gray-500">
+                <code>{selected.sessionId}</code>
+                {selected.locale && ` · ${selected.locale}`}
+              </span>
+              <div className="flex gap-2">
+                {selected.status === 'waiting' && (
+                  <button type="button" onClick={() => act({ action: 'claim' })} className="rounded bg-blue-600 px-3 py-1 font-semibold text-white hover:bg-blue-700">
+                    Claim
+                  </button>
+                )}
+                <button type="button" onClick={() => act({ action: 'close' })} className="rounded border border-gray-300 px-3 py-1 hover:bg-gray-50">
+                  Close chat
+                </button>
+              </div>
+            </div>
+
+            <ol className="flex-1 space-y-2 overflow-y-auto p-3 text-sm">
+              {selected.history.map((turn, index) => (
+                <li key={`history-${index}`} className={`text-gray-500 ${turn.role === 'user' ? 'text-end' : ''}`}>
+                  <span className="inline-block max-w-[80%] whitespace-pre-wrap rounded-2xl bg-gray-100 px-3 py-1.5 text-start" dir="auto">
+                    {turn.content}
+                  </span>
+                </li>
+              ))}
+              {selected.history.length > 0 && (
+                <li className="text-center text-xs text-gray-400">Handed over from the bot</li>
+              )}
+              {selected.messages.map(message => (
+                <li key={message.id} className={message.from === 'visitor' ? 'text-end' : ''}>
+                  <span
+                    className={`inline-block max-w-[80%] whitespace-pre-wrap rounded-2xl px-3 py-1.5 text-start ${
+                      message.from === 'visitor' ? 'bg-gray-200 text-gray-900' : 'bg-blue-600 text-white'
+                    }`}
+                    dir="auto"
+                  >
+                    {message.text}
+                  </span>
+                  <div className="mt-0.5 text-xs text-gray-400">
+                    {message.agentName && `${message.agentName} · `}{formatTime(message.createdAt)}
+                  </div>
+                </li>
+              ))}
+              <li ref={messagesEndRef} />
+            </ol>
+
+            {error && <div role="alert" className="px-3 text-sm text-red-600">{error}</div>}
+            <form onSubmit={sendReply} className="flex gap-2 border-t border-gray-100 p-3">
+              <input
+                type="text"
+                value={reply}
+                onChange={(e) => setReply(e.target.value)}
+                disabled={selected.status !== 'active' || selected.agentName !== agentName}
+                placeholder={selected.status === 'waiting' ? 'Claim the chat to reply' : 'Type your reply'}
+                aria-label="Reply"
+                maxLength={2000}
+                className="flex-1 rounded border border-gray-300 px-2 py-1 text-sm disabled:bg-gray-50"
+              />
+              <button
+                type="submit"
+                disabled={!reply.trim() || selected.status !== 'active'}
+                className="rounded bg-blue-600 px-4 py-1.5 text-sm font-semibold text-white hover:bg-blue-700 disabled:opacity-50"
+              >
+                Send
+              </button>
+            </form>
+          </section>
+        ) : (
+          <div className="rounded-xl border border-dashed border-gray-300 p-6 text-sm text-gray-500">
+            Pick a conversation from the queue.
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
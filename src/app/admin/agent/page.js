@@ -0,0 +1,52 @@
+import { listContactRequests } from '@/lib/contactRequests';
+import AgentConsole from './AgentConsole';
+
+export const dynamic = 'force-dynamic';
+
+export const metadata = {
+  title: 'JenniBot live chat',
+};
+
+const formatDate = (iso) => new Date(iso).toLocaleString('en', { dateStyle: 'medium', timeStyle: 'short' });
+
+/**
+ * Agent console for live chats, with the messages visitors left while
+ * nobody was online (admin only, see src/middleware.js)
+ */
+export default async function LiveChat() {
+  const contactRequests = await listContactRequests({ limit: 20 });
+
+  return (
+    <main className="p-6 sm:p-10">
+      <div className="mx-auto max-w-5xl">
+        <h1 className="text-2xl font-bold">Live chat</h1>
+        <AgentConsole />
+
+        <h2 className="mt-10 text-lg font-semibold">Messages left</h2>
+        {contactRequests.length === 0 ? (
+          <p className="mt-2 text-sm text-gray-500">No messages yet.</p>
+        ) : (
+          <ul className="mt-2 space-y-2">
+            {contactRequests.map(request => (
+              <li key={request.id} className="rounded-xl border border-gray-200 bg-white p-4 text-sm">
+                <div className="flex flex-wrap justify-between gap-2 text-gray-500">
+                  <span>
+                    {request.name && `${request.name} · `}
+                    <a href={`mailto:${request.email}`} className="text-blue-600 hover:underline">{request.email}</a>
+                  </span>
+                  <span>{formatDate(request.createdAt)}</span>
+                </div>
+                <p className="mt-2 whitespace-pre-wrap" dir="auto">{request.message}</p>
+                {request.sessionId && (
+                  <a href={`/admin/transcripts/${encodeURIComponent(request.sessionId)}`} className="mt-2 inline-block text-xs text-blue-600 hover:underline">
+                    Conversation with the bot
+                  </a>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </main>
+  );
+}
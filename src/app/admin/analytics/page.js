@@ -0,0 +1,144 @@
+import { getSink } from '@/lib/analytics/sinks';
+import { summarizeEvents } from '@/lib/analytics/summary';
+
+export const dynamic = 'force-dynamic';
+
+export const metadata = {
+  title: 'JenniBot analytics',
+};
+
+const PERIODS = [
+  { days: 1, label: 'Last 24 hours' },
+  { days: 7, label: 'Last 7 days' },
+  { days: 30, label: 'Last 30 days' },
+  { days: 0, label: 'All time' },
+];
+
+const percent = (value) => value === null ? '–' : `${Math.round(value * 100)}%`;
+const decimal = (value) => value === null ? '–' : value.toFixed(1);
+const milliseconds = (value) => value === null ? '–' : `${Math.round(value).toLocaleString('en')} ms`;
+
+function Stat({ label, value, detail }) {
+  return (
+    <div className="rounded-xl border border-gray-200 bg-white p-4">
+      <div className="text-sm text-gray-500">{label}</div>
+      <div className="mt-1 text-2xl font-bold text-gray-900">{value}</div>
+      {detail && <div className="mt-1 text-xs text-gray-500">{detail}</div>}
+    </div>
+  );
+}
+
+function LatencyRow({ label, stats }) {
+  return (
+    <tr className="border-t border-gray-100">
+      <th scope="row" className="py-2 pe-4 text-start font-medium text-gray-700">{label}</th>
+      <td className="py-2 pe-4 text-end">{milliseconds(stats.p50)}</td>
+      <td className="py-2 pe-4 text-end">{milliseconds(stats.p90)}</td>
+      <td className="py-2 pe-4 text-end">{milliseconds(stats.p99)}</td>
+      <td className="py-2 text-end text-gray-500">{stats.count}</td>
+    </tr>
+  );
+}
+
+/**
+ * Widget usage at a glance (admin only, see src/middleware.js)
+ */
+export default async function AnalyticsDashboard({ searchParams }) {
+  const { days: daysParam } = await searchParams;
+  const period = PERIODS.find(entry => String(entry.days) === daysParam) || PERIODS[1];
+  const since = period.days
+    ? new Date(Date.now() - period.days * 24 * 60 * 60 * 1000).toISOString()
+    : undefined;
+
+  const sink = getSink();
+  const summary = summarizeEvents(await sink.read(), { since });
+
+  return (
+    <main className="p-6 sm:p-10">
+      <div className="mx-auto max-w-5xl">
+        <div className="flex flex-wrap items-end justify-between gap-4">
+          <div>
+            <h1 className="text-2xl font-bold">JenniBot analytics</h1>
+            <p className="text-sm text-gray-500">
+              {summary.events.toLocaleString('en')} events from the <code>{sink.name}</code> sink
+            </p>
+          </div>
+          <nav className="flex gap-2 text-sm" aria-label="Period">
+            {PERIODS.map(entry => (
+              <a
+                key={entry.days}
+                href={`?days=${entry.days}`}
+                aria-current={entry === period ? 'page' : undefined}
+                className={`rounded-full px-3 py-1 border ${
+                  entry === period ? 'bg-blue-600 border-blue-600 text-white' : 'bg-white border-gray-200 text-gray-700 hover:bg-gray-100'
+                }`}
+              >
+                {entry.label}
+              </a>
+            ))}
+          </nav>
+        </div>
+
+        <section className="mt-6 grid grid-cols-1 gap-4 sm:grid-cols-2 lg:grid-cols-4">
+          <Stat
+            label="Open rate"
+            value={percent(summary.openRate)}
+            detail={`${summary.opens} of ${summary.views} page views opened the chat`}
+          />
+          <Stat
+            label="Messages per session"
+            value={decimal(summary.messagesPerSession)}
+            detail={`${summary.messages} messages in ${summary.sessions} sessions`}
+          />
+          <Stat
+            label="Positive ratings"
+            value={percent(summary.ratings.positiveRatio)}
+            detail={`${summary.ratings.positive} up, ${summary.ratings.negative} down; ${percent(summary.ratings.ratedShare)} of replies rated`}
+          />
+          <Stat
+            label="Failed replies"
+            value={summary.failedReplies}
+            detail={`${summary.stoppedReplies} stopped by the visitor`}
+          />
+        </section>
+
+        <section className="mt-8 rounded-xl border border-gray-200 bg-white p-4">
+          <h2 className="text-lg font-semibold">Reply latency</h2>
+          <table className="mt-2 w-full text-sm">
+            <thead>
+              <tr className="text-gray-500">
+                <th scope="col" className="py-2 pe-4 text-start font-normal"></th>
+                <th scope="col" className="py-2 pe-4 text-end font-normal">p50</th>
+                <th scope="col" className="py-2 pe-4 text-end font-normal">p90</th>
+                <th scope="col" className="py-2 pe-4 text-end font-normal">p99</th>
+                <th scope="col" className="py-2 text-end font-normal">Replies</th>
+              </tr>
+            </thead>
+            <tbody>
+              <LatencyRow label="First words" stats={summary.firstChunkLatency} />
+              <LatencyRow label="Full reply" stats={summary.replyDuration} />
+            </tbody>
+          </table>
+        </section>
+
+        <section className="mt-8 rounded-xl border border-gray-200 bg-white p-4">
+          <h2 className="text-lg font-semibold">Quick replies</h2>
+          {summary.quickReplies.length === 0 ? (
+            <p className="mt-2 text-sm text-gray-500">No quick replies clicked in this period.</p>
+          ) : (
+            <table className="mt-2 w-full text-sm">
+              <tbody>
+                {summary.quickReplies.map(({ text, count }) => (
+                  <tr key={text} className="border-t border-gray-100">
+                    <td className="py-2 pe-4">{text}</td>
+                    <td className="py-2 text-end">{count}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </section>
+      </div>
+    </main>
+  );
+}
@@ -0,0 +1,26 @@
+const SECTIONS = [
+  { href: '/admin/agent', label: 'Live chat' },
+  { href: '/admin/transcripts', label: 'Transcripts' },
+  { href: '/admin/analytics', label: 'Analytics' },
+];
+
+/**
+ * Shell for the admin pages. Access is checked in src/middleware.js.
+ */
+export default function AdminLayout({ children }) {
+  return (
+    <div className="min-h-screen bg-gray-50 text-gray-900">
+      <header className="border-b border-gray-200 bg-white">
+        <nav className="mx-auto flex max-w-5xl items-center gap-6 px-6 py-3 text-sm" aria-label="Admin">
+          <span className="font-bold">JenniBot admin</span>
+          {SECTIONS.map(section => (
+            <a key={section.href} href={section.href} className="text-gray-600 hover:text-blue-600">
+              {section.label}
+            </a>
+          ))}
+        </nav>
+      </header>
+      {children}
+    </div>
+  );
+}
@@ -0,0 +1,97 @@
+import Link from 'next/link';
+import { notFound } from 'next/navigation';
+import formatMessage from '@/app/chatbot/util';
+import { getConversation } from '@/lib/transcripts';
+
+export const dynamic = 'force-dynamic';
+
+export const metadata = {
+  title: 'JenniBot transcript',
+};
+
+const formatDate = (iso) => new Date(iso).toLocaleString('en', { dateStyle: 'medium', timeStyle: 'medium' });
+
+const STATUS_NOTES = {
+  stopped: 'Stopped by the visitor before the reply finished',
+  error: 'The reply failed',
+};
+
+function RatingNote({ rating }) {
+  if (!rating) return null;
+  const negative = rating.rating === 'negative';
+  return (
+    <div className={`mt-1 text-xs ${negative ? 'text-red-600' : 'text-green-700'}`}>
+      {negative ? '👎 Rated not helpful' : '👍 Rated helpful'}
+      {rating.category && ` · ${rating.category.replace(/_/g, ' ')}`}
+      {rating.reason && <span className="text-gray-600"> · “{rating.reason}”</span>}
+    </div>
+  );
+}
+
+/**
+ * One conversation, with replies rendered by the same formatMessage the
+ * widget uses (admin only, see src/middleware.js)
+ */
+export default async function Transcript({ params }) {
+  const { sessionId } = await params;
+  const conversation = await getConversation(sessionId);
+  if (!conversation) notFound();
+
+  return (
+    <main className="p-6 sm:p-10">
+      <div className="mx-auto max-w-3xl">
+        <Link href="/admin/transcripts" className="text-sm text-blue-600 hover:underline">← All transcripts</Link>
+        <h1 className="mt-2 text-2xl font-bold">Conversation</h1>
+        <p className="text-sm text-gray-500">
+          <code>{conversation.sessionId}</code> · {formatDate(conversation.startedAt)}
+          {conversation.locale && ` · ${conversation.locale}`}
+        </p>
+
+        <ol className="mt-6 space-y-6">
+          {conversation.exchanges.map(exchange => (
+            <li key={exchange.id} className="space-y-3">
+              <div className="flex justify-end">
+                <div className="max-w-[80%]">
+                  {exchange.message && (
+                    <div className="rounded-2xl rounded-se-none bg-blue-600 px-4 py-2 text-sm text-white whitespace-pre-wrap" dir="auto">
+                      {exchange.message}
+                    </div>
+                  )}
+                  {exchange.attachments > 0 && (
+                    <div className="mt-1 text-end text-xs text-gray-600">
+                      {exchange.attachments} image{exchange.attachments === 1 ? '' : 's'} attached (not stored)
+                    </div>
+                  )}
+                  <div className="mt-1 text-end text-xs text-gray-500">{formatDate(exchange.createdAt)}</div>
+                </div>
+              </div>
+
+              <div className="max-w-[80%]">
+                {exchange.response ? (
+                  <div
+                    className="rounded-2xl rounded-ss-none border border-gray-200 bg-white px-4 py-2 text-sm"
+                    dir="auto"
+                    dangerouslySetInnerHTML={{ __html: formatMessage(exchange.response) }}
+                  />
+                ) : (
+                  <div className="rounded-2xl rounded-ss-none border border-dashed border-gray-300 px-4 py-2 text-sm italic text-gray-500">
+                    No reply
+                  </div>
+                )}
+                {exchange.products?.length > 0 && (
+                  <div className="mt-1 text-xs text-gray-600">
+                    Products shown: {exchange.products.map(product => product.name).join(', ')}
+                  </div>
+                )}
+                {STATUS_NOTES[exchange.status] && (
+                  <div className="mt-1 text-xs italic text-amber-700">{STATUS_NOTES[exchange.status]}</div>
+                )}
+                <RatingNote rating={exchange.rating} />
+              </div>
+            </li>
+          ))}
+        </ol>
+      </div>
+    </main>
+  );
+}
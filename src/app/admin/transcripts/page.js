@@ -0,0 +1,114 @@
+import { listConversations } from '@/lib/transcripts';
+
+export const dynamic = 'force-dynamic';
+
+export const metadata = {
+  title: 'JenniBot transcripts',
+};
+
+const PAGE_SIZE = 50;
+const DATE_PARAM = /^\d{4}-\d{2}-\d{2}$/;
+
+const formatDate = (iso) => new Date(iso).toLocaleString('en', { dateStyle: 'medium', timeStyle: 'short' });
+
+const preview = (text, length = 90) => text.length > length ? `${text.slice(0, length)}…` : text;
+
+/**
+ * Conversations stored by the chat route, with search and filters
+ * (admin only, see src/middleware.js)
+ */
+export default async function TranscriptList({ searchParams }) {
+  const params = await searchParams;
+  const query = typeof params.q === 'string' ? params.q : '';
+  const from = DATE_PARAM.test(params.from) ? params.from : '';
+  const to = DATE_PARAM.test(params.to) ? params.to : '';
+  const negativeOnly = params.negative === '1';
+  const page = Math.max(1, Number.parseInt(params.page, 10) || 1);
+
+  const conversations = await listConversations({ query, from, to, negativeOnly });
+  const pageCount = Math.max(1, Math.ceil(conversations.length / PAGE_SIZE));
+  const shown = conversations.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE);
+
+  // Keeps the filters when moving between pages
+  const pageHref = (number) => `?${new URLSearchParams({
+    ...(query && { q: query }),
+    ...(from && { from }),
+    ...(to && { to }),
+    ...(negativeOnly && { negative: '1' }),
+    page: String(number),
+  })}`;
+
+  return (
+    <main className="p-6 sm:p-10">
+      <div className="mx-auto max-w-5xl">
+        <h1 className="text-2xl font-bold">Transcripts</h1>
+
+        <form method="get" className="mt-4 flex flex-wrap items-end gap-3 rounded-xl border border-gray-200 bg-white p-4 text-sm">
+          <label className="flex flex-1 min-w-48 flex-col gap-1">
+            <span className="text-gray-500">Search messages or session id</span>
+            <input type="search" name="q" defaultValue={query} className="rounded border border-gray-300 px-2 py-1" />
+          </label>
+          <label className="flex flex-col gap-1">
+            <span className="text-gray-500">From</span>
+            <input type="date" name="from" defaultValue={from} className="rounded border border-gray-300 px-2 py-1" />
+          </label>
+          <label className="flex flex-col gap-1">
+            <span className="text-gray-500">To</span>
+            <input type="date" name="to" defaultValue={to} className="rounded border border-gray-300 px-2 py-1" />
+          </label>
+          <label className="flex items-center gap-2 py-1">
+            <input type="checkbox" name="negative" value="1" defaultChecked={negativeOnly} />
+            <span>Has a negative rating</span>
+          </label>
+          <button type="submit" className="rounded bg-blue-600 px-4 py-1.5 font-semibold text-white hover:bg-blue-700">
+            Filter
+          </button>
+        </form>
+
+        <p className="mt-4 text-sm text-gray-500">
+          {conversations.length.toLocaleString('en')} conversation{conversations.length === 1 ? '' : 's'}
+        </p>
+
+        {shown.length > 0 && (
+          <table className="mt-2 w-full rounded-xl bg-white text-sm shadow-sm">
+            <thead>
+              <tr className="text-gray-500">
+                <th scope="col" className="px-3 py-2 text-start font-normal">Last activity</th>
+                <th scope="col" className="px-3 py-2 text-start font-normal">First message</th>
+                <th scope="col" className="px-3 py-2 text-end font-normal">Messages</th>
+                <th scope="col" className="px-3 py-2 text-end font-normal">Ratings</th>
+              </tr>
+            </thead>
+            <tbody>
+              {shown.map(conversation => (
+                <tr key={conversation.sessionId} className="border-t border-gray-100 hover:bg-gray-50">
+                  <td className="px-3 py-2 whitespace-nowrap text-gray-600">{formatDate(conversation.updatedAt)}</td>
+                  <td className="px-3 py-2">
+                    <a href={`/admin/transcripts/${encodeURIComponent(conversation.sessionId)}`} className="text-blue-600 hover:underline">
+                      {preview(conversation.exchanges[0].message || '(photo)')}
+                    </a>
+                  </td>
+                  <td className="px-3 py-2 text-end">{conversation.exchanges.length}</td>
+                  <td className="px-3 py-2 text-end whitespace-nowrap">
+                    <span className="text-green-700">{conversation.positiveRatings} 👍</span>{' '}
+                    <span className={conversation.negativeRatings ? 'font-semibold text-red-600' : 'text-gray-400'}>
+                      {conversation.negativeRatings} 👎
+                    </span>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {pageCount > 1 && (
+          <nav className="mt-4 flex items-center justify-between text-sm" aria-label="Pages">
+            {page > 1 ? <a href={pageHref(page - 1)} className="text-blue-600 hover:underline">← Newer</a> : <span />}
+            <span className="text-gray-500">Page {page} of {pageCount}</span>
+            {page < pageCount ? <a href={pageHref(page + 1)} className="text-blue-600 hover:underline">Older →</a> : <span />}
+          </nav>
+        )}
+      </div>
+    </main>
+  );
+}
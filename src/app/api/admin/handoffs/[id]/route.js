@@ -0,0 +1,32 @@
+import { NextResponse } from 'next/server';
+import { addHandoffMessage, claimHandoff, closeHandoff, handoffErrorResponse } from '@/lib/handoff';
+import { adminChallenge, isAdminRequest } from '@/lib/adminAuth';
+
+export const dynamic = 'force-dynamic';
+
+// Agent actions on a handoff: { action: 'claim' | 'message' | 'close', agent, text, messageId }
+export async function POST(request, { params }) {
+  if (!isAdminRequest(request)) {
+    return adminChallenge();
+  }
+  const { id } = await params;
+  const body = await request.json().catch(() => null);
+
+  try {
+    switch (body?.action) {
+      case 'claim':
+        return NextResponse.json({ handoff: claimHandoff(id, body.agent) });
+      case 'message':
+        return NextResponse.json(
+          { message: addHandoffMessage(id, { from: 'agent', text: body.text, id: body.messageId, agentName: body.agent }) },
+          { status: 201 }
+        );
+      case 'close':
+        return NextResponse.json({ handoff: await closeHandoff(id, 'agent') });
+      default:
+        return NextResponse.json({ error: '"action" must be claim, message or close' }, { status: 400 });
+    }
+  } catch (error) {
+    return handoffErrorResponse(error);
+  }
+}
@@ -0,0 +1,20 @@
+import { eventStreamResponse } from '@/lib/chat/sse';
+import { listOpenHandoffs, subscribeAgent } from '@/lib/handoff';
+import { adminChallenge, isAdminRequest } from '@/lib/adminAuth';
+
+export const dynamic = 'force-dynamic';
+
+// Live queue for the agent console: ?agent=Name. Sends a `snapshot` of the
+// open handoffs on connect, then `handoff` and `agents` events. The agent is
+// online for as long as this stream is open.
+export async function GET(request) {
+  if (!isAdminRequest(request)) {
+    return adminChallenge();
+  }
+  const agentName = new URL(request.url).searchParams.get('agent');
+
+  return eventStreamResponse(send => {
+    send('snapshot', { handoffs: listOpenHandoffs() });
+    return subscribeAgent(agentName, send);
+  });
+}
@@ -0,0 +1,34 @@
+import { NextResponse } from 'next/server';
+import { MAX_EVENTS_PER_BATCH, normalizeEvents } from '@/lib/analytics/events';
+import { getSink } from '@/lib/analytics/sinks';
+import { clientIp, rateLimitResponse, readJsonRequest } from '@/lib/chat/limits';
+
+export const dynamic = 'force-dynamic';
+
+const MAX_BODY_BYTES = 32 * 1024;
+
+// Collect a batch of widget events. The widget sends them as text/plain so
+// cross-origin pages need no preflight; the body is JSON either way.
+export async function POST(request) {
+  const limited = rateLimitResponse('analytics', clientIp(request));
+  if (limited) return limited;
+
+  const { body, response } = await readJsonRequest(request, MAX_BODY_BYTES);
+  if (response) return response;
+  if (body.events?.length > MAX_EVENTS_PER_BATCH) {
+    return NextResponse.json({ error: `At most ${MAX_EVENTS_PER_BATCH} events can be sent at once` }, { status: 413 });
+  }
+
+  const events = normalizeEvents(body);
+  if (!events) {
+    return NextResponse.json({ error: 'Request body must be { "events": [...] }' }, { status: 400 });
+  }
+
+  try {
+    await getSink().write(events);
+  } catch (error) {
+    console.error('Analytics error:', error);
+    return NextResponse.json({ error: 'Could not store events' }, { status: 500 });
+  }
+  return NextResponse.json({ accepted: events.length }, { status: 202 });
+}
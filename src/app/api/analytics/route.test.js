@@ -0,0 +1,33 @@
+import { describe, expect, it, vi } from 'vitest';
+import { POST } from './route';
+
+vi.mock('@/lib/analytics/sinks', () => ({ getSink: () => ({ write: async () => {} }) }));
+
+const event = { type: 'widget_opened', viewId: 'view-12345678' };
+
+const post = (body, ip) => POST(new Request('http://localhost/api/analytics', {
+  method: 'POST',
+  body: JSON.stringify(body),
+  headers: { 'Content-Type': 'text/plain', 'X-Forwarded-For': ip },
+}));
+
+describe('POST /api/analytics', () => {
+  it('accepts a batch from the widget', async () => {
+    const response = await post({ events: [event, event] }, '192.0.2.50');
+    expect(response.status).toBe(202);
+    expect(await response.json()).toEqual({ accepted: 2 });
+  });
+
+  it('refuses batches over the cap', async () => {
+    expect((await post({ events: Array(21).fill(event) }, '192.0.2.51')).status).toBe(413);
+  });
+
+  it('rate-limits batches per IP', async () => {
+    const statuses = [];
+    for (let i = 0; i < 31; i++) {
+      statuses.push((await post({ events: [event] }, '192.0.2.52')).status);
+    }
+    expect(statuses.filter(status => status === 202)).toHaveLength(30);
+    expect(statuses[30]).toBe(429);
+  });
+});
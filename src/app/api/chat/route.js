@@ -0,0 +1,198 @@
+import { NextResponse } from 'next/server';
+import { getBackend, UpstreamError } from '@/lib/chat/backends';
+import { encodeEvent } from '@/lib/chat/sse';
+import { MAX_MESSAGE_CHARS, normalizeHistory, normalizeLocale, resolveSessionId } from '@/lib/chat/session';
+import { normalizeProducts } from '@/lib/chat/products';
+import { normalizeSuggestions } from '@/lib/chat/suggestions';
+import { normalizeRichMessages } from '@/lib/chat/richMessages';
+import { detectPurchaseIntent } from '@/lib/chat/intent';
+import { MAX_CHAT_BODY_BYTES, PayloadTooLargeError, clientIp, rateLimitResponse, readJsonBody, sessionLimitKey } from '@/lib/chat/limits';
+import { AttachmentError, normalizeAttachments } from '@/lib/chat/attachments';
+import { recordExchange } from '@/lib/transcripts';
+import { findMentionedProducts } from '@/lib/catalog';
+
+export const dynamic = 'force-dynamic';
+
+const UNAVAILABLE = 'The chat service is unavailable';
+
+// Forms to show with the reply: the lead form when the visitor sounds ready to buy
+const formFor = (turn) => detectPurchaseIntent(turn.message) ? 'lead' : undefined;
+
+// Keeps the exchange for the admin transcript browser; never fails the reply
+function saveTranscript(turn, response, products, status) {
+  recordExchange({
+    id: turn.replyId,
+    sessionId: turn.sessionId,
+    locale: turn.locale,
+    message: turn.message,
+    attachments: turn.attachments.length,
+    response,
+    products,
+    status,
+  })
+    .catch(error => console.error('Transcript error:', error));
+}
+
+/**
+ * Streams backend chunks to the client as SSE `delta` events, followed by a
+ * `done` event with the full reply and any structured extras such as product
+ * cards, rich messages to show after the answer, suggested follow-ups, the
+ * catalog products the answer mentions or a form to show (or an `error`
+ * event if the backend fails).
+ * When the client goes away the backend is cancelled through `turn.signal`.
+ */
+function streamReply(backend, turn, abort) {
+  const stream = new ReadableStream({
+    async start(controller) {
+      let response = '';
+      let products;
+      let suggestions;
+      let messages;
+      try {
+        for await (const chunk of backend.stream(turn)) {
+          if (turn.signal.aborted) break;
+          if (typeof chunk !== 'string') {
+            products = normalizeProducts(chunk.products) ?? products;
+            suggestions = normalizeSuggestions(chunk.suggestions) ?? suggestions;
+            messages = normalizeRichMessages(chunk.messages) ?? messages;
+            continue;
+          }
+          response += chunk;
+          controller.enqueue(encodeEvent('delta', { text: chunk }));
+        }
+        if (turn.signal.aborted) {
+          saveTranscript(turn, response, products, 'stopped');
+          return;
+        }
+        controller.enqueue(encodeEvent('done', {
+          response,
+          products,
+          messages,
+          suggestions,
+          mentions: await findMentionedProducts(response),
+          form: formFor(turn),
+          sessionId: turn.sessionId,
+          replyId: turn.replyId,
+        }));
+        controller.close();
+        saveTranscript(turn, response, products, 'complete');
+      } catch (error) {
+        // A cancelled stream is already closed and nobody is listening
+        if (turn.signal.aborted) {
+          saveTranscript(turn, response, products, 'stopped');
+          return;
+        }
+        console.error('Chat stream error:', error);
+        controller.enqueue(encodeEvent('error', { error: UNAVAILABLE }));
+        controller.close();
+        saveTranscript(turn, response, products, 'error');
+      }
+    },
+    cancel() {
+      abort();
+    },
+  });
+
+  return new Response(stream, {
+    headers: {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      'X-Accel-Buffering': 'no',
+      'X-Session-Id': turn.sessionId,
+    },
+  });
+}
+
+export async function POST(request) {
+  // Checked before the body is read, so floods are cheap to turn away
+  const ip = clientIp(request);
+  const ipLimited = rateLimitResponse('ip', ip);
+  if (ipLimited) return ipLimited;
+
+  let body;
+  try {
+    body = await readJsonBody(request, MAX_CHAT_BODY_BYTES);
+  } catch (error) {
+    if (error instanceof PayloadTooLargeError) {
+      return NextResponse.json({ error: error.message }, { status: 413 });
+    }
+    throw error;
+  }
+  if (!body) {
+    return NextResponse.json({ error: 'Request body must be valid JSON' }, { status: 400 });
+  }
+
+  let attachments;
+  try {
+    attachments = normalizeAttachments(body.attachments);
+  } catch (error) {
+    if (error instanceof AttachmentError) {
+      return NextResponse.json({ error: error.message }, { status: error.status });
+    }
+    throw error;
+  }
+
+  // A photo can be sent on its own
+  const message = typeof body.message === 'string' ? body.message.trim() : '';
+  if (!message && attachments.length === 0) {
+    return NextResponse.json({ error: 'A non-empty "message" is required' }, { status: 400 });
+  }
+  if (message.length > MAX_MESSAGE_CHARS) {
+    return NextResponse.json({ error: `"message" must be at most ${MAX_MESSAGE_CHARS} characters` }, { status: 413 });
+  }
+
+  const sessionLimited = rateLimitResponse('session', sessionLimitKey(body.sessionId, ip));
+  if (sessionLimited) return sessionLimited;
+
+  // Aborted when the visitor stops the reply or disconnects, so the backend
+  // can drop the upstream call instead of paying for an unread answer
+  const cancellation = new AbortController();
+  const abort = () => cancellation.abort();
+  request.signal?.addEventListener('abort', abort);
+
+  const turn = {
+    // Names the exchange in the transcript; ratings of the reply quote it
+    replyId: crypto.randomUUID(),
+    message,
+    sessionId: resolveSessionId(body.sessionId),
+    history: normalizeHistory(body.history),
+    locale: normalizeLocale(body.locale),
+    attachments,
+    signal: cancellation.signal,
+  };
+
+  const wantsStream = body.stream === true ||
+    (request.headers.get('accept') || '').includes('text/event-stream');
+
+  try {
+    const backend = getBackend();
+    if (wantsStream) {
+      return streamReply(backend, turn, abort);
+    }
+    const result = await backend.reply(turn);
+    const products = normalizeProducts(result.products);
+    saveTranscript(turn, result.response, products, 'complete');
+    return NextResponse.json(
+      {
+        response: result.response,
+        products,
+        messages: normalizeRichMessages(result.messages),
+        suggestions: normalizeSuggestions(result.suggestions),
+        mentions: await findMentionedProducts(result.response),
+        form: formFor(turn),
+        sessionId: turn.sessionId,
+        replyId: turn.replyId,
+      },
+      { headers: { 'X-Session-Id': turn.sessionId } }
+    );
+  } catch (error) {
+    if (cancellation.signal.aborted) {
+      // The client is gone; the status only shows up in logs
+      return new Response(null, { status: 499 });
+    }
+    console.error('Chat backend error:', error);
+    saveTranscript(turn, '', null, 'error');
+    const status = error instanceof UpstreamError ? error.status : 500;
+    return NextResponse.json({ error: UNAVAILABLE }, { status });
+  }
+}
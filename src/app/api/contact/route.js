@@ -0,0 +1,25 @@
+import { NextResponse } from 'next/server';
+import { ContactValidationError, saveContactRequest } from '@/lib/contactRequests';
+import { clientIp, rateLimitResponse, readJsonRequest } from '@/lib/chat/limits';
+
+export const dynamic = 'force-dynamic';
+
+// Leave a message for the team when no agent is online
+export async function POST(request) {
+  const limited = rateLimitResponse('form', clientIp(request));
+  if (limited) return limited;
+
+  const { body, response } = await readJsonRequest(request);
+  if (response) return response;
+
+  try {
+    const record = await saveContactRequest(body);
+    return NextResponse.json({ id: record.id }, { status: 201 });
+  } catch (error) {
+    if (error instanceof ContactValidationError) {
+      return NextResponse.json({ error: error.message }, { status: 400 });
+    }
+    console.error('Contact request error:', error);
+    return NextResponse.json({ error: 'Could not save your message' }, { status: 500 });
+  }
+}
@@ -0,0 +1,76 @@
+import { NextResponse } from 'next/server';
+import { adminChallenge, isAdminRequest } from '@/lib/adminAuth';
+import {
+  FeedbackValidationError,
+  RATINGS,
+  feedbackToCsv,
+  listFeedback,
+  saveFeedback,
+  updateFeedbackReason,
+} from '@/lib/feedback';
+import { clientIp, rateLimitResponse, readJsonRequest } from '@/lib/chat/limits';
+
+export const dynamic = 'force-dynamic';
+
+function errorResponse(error) {
+  if (error instanceof FeedbackValidationError) {
+    return NextResponse.json({ error: error.message }, { status: 400 });
+  }
+  console.error('Feedback error:', error);
+  return NextResponse.json({ error: 'Could not save feedback' }, { status: 500 });
+}
+
+// Save a new rating
+export async function POST(request) {
+  const limited = rateLimitResponse('form', clientIp(request));
+  if (limited) return limited;
+
+  const { body, response } = await readJsonRequest(request);
+  if (response) return response;
+
+  try {
+    const record = await saveFeedback(body);
+    return NextResponse.json({ id: record.id }, { status: 201 });
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
+
+// Attach the category / free-text reason given after a thumbs-down
+export async function PATCH(request) {
+  const limited = rateLimitResponse('form', clientIp(request));
+  if (limited) return limited;
+
+  const { body, response } = await readJsonRequest(request);
+  if (response) return response;
+
+  try {
+    await updateFeedbackReason(body.id, body);
+    return NextResponse.json({ id: body.id });
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
+
+// Export ratings for review (admin only): ?format=csv|json&rating=negative
+export async function GET(request) {
+  if (!isAdminRequest(request)) {
+    return adminChallenge();
+  }
+
+  const { searchParams } = new URL(request.url);
+  const format = searchParams.get('format') === 'csv' ? 'csv' : 'json';
+  const rating = RATINGS.includes(searchParams.get('rating')) ? searchParams.get('rating') : undefined;
+
+  const records = await listFeedback({ rating });
+  if (format === 'json') {
+    return NextResponse.json({ feedback: records });
+  }
+
+  return new Response(feedbackToCsv(records), {
+    headers: {
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="jennibot-feedback-${new Date().toISOString().slice(0, 10)}.csv"`,
+    },
+  });
+}
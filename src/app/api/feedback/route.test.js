@@ -0,0 +1,30 @@
+import { describe, expect, it } from 'vitest';
+import { MAX_BODY_BYTES } from '@/lib/chat/limits';
+import { PATCH, POST } from './route';
+
+const request = (method, body, ip = '192.0.2.40') => new Request('http://localhost/api/feedback', {
+  method,
+  body,
+  headers: { 'Content-Type': 'application/json', 'X-Forwarded-For': ip },
+});
+
+describe('/api/feedback', () => {
+  it('refuses bodies over the size cap with 413', async () => {
+    const body = JSON.stringify({ rating: 'negative', messageText: 'x'.repeat(MAX_BODY_BYTES) });
+    expect((await POST(request('POST', body))).status).toBe(413);
+    expect((await PATCH(request('PATCH', body))).status).toBe(413);
+  });
+
+  it('refuses bodies that are not JSON with 400', async () => {
+    expect((await POST(request('POST', '{nope'))).status).toBe(400);
+    expect((await PATCH(request('PATCH', ''))).status).toBe(400);
+  });
+
+  it('rate-limits ratings per IP', async () => {
+    const statuses = [];
+    for (let i = 0; i < 6; i++) {
+      statuses.push((await POST(request('POST', '{nope', '192.0.2.41'))).status);
+    }
+    expect(statuses).toEqual([400, 400, 400, 400, 400, 429]);
+  });
+});
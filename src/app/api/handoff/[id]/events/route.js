@@ -0,0 +1,24 @@
+import { eventStreamResponse } from '@/lib/chat/sse';
+import { getHandoff, handoffErrorResponse, subscribeVisitor, visitorView } from '@/lib/handoff';
+
+export const dynamic = 'force-dynamic';
+
+// Live updates for the widget: ?sessionId=... A `handoff` event with the
+// current state is sent on connect and again on every change, so a
+// reconnecting client catches up without replaying anything.
+export async function GET(request, { params }) {
+  const { id } = await params;
+  const sessionId = new URL(request.url).searchParams.get('sessionId') || '';
+
+  let handoff;
+  try {
+    handoff = getHandoff(id, sessionId);
+  } catch (error) {
+    return handoffErrorResponse(error);
+  }
+
+  return eventStreamResponse(send => {
+    send('handoff', visitorView(handoff));
+    return subscribeVisitor(id, send);
+  });
+}
@@ -0,0 +1,24 @@
+import { NextResponse } from 'next/server';
+import { addHandoffMessage, getHandoff, handoffErrorResponse } from '@/lib/handoff';
+import { clientIp, rateLimitResponse, readJsonRequest } from '@/lib/chat/limits';
+
+export const dynamic = 'force-dynamic';
+
+// A message from the visitor to the agent: { sessionId, id, text }
+export async function POST(request, { params }) {
+  const { id } = await params;
+
+  const limited = rateLimitResponse('handoff', clientIp(request));
+  if (limited) return limited;
+
+  const { body, response } = await readJsonRequest(request);
+  if (response) return response;
+
+  try {
+    getHandoff(id, body.sessionId || '');
+    const message = addHandoffMessage(id, { from: 'visitor', text: body.text, id: body.id });
+    return NextResponse.json({ message }, { status: 201 });
+  } catch (error) {
+    return handoffErrorResponse(error);
+  }
+}
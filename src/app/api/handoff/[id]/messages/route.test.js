@@ -0,0 +1,35 @@
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { createHandoff, subscribeAgent } from '@/lib/handoff';
+import { POST } from './route';
+
+const SESSION_ID = 'visitor-session-1';
+
+let handoff;
+let unsubscribe;
+
+beforeAll(() => {
+  unsubscribe = subscribeAgent('Sam', () => {});
+  handoff = createHandoff({ sessionId: SESSION_ID, history: [] });
+});
+
+afterAll(() => unsubscribe());
+
+const post = (body) => POST(
+  new Request(`http://localhost/api/handoff/${handoff.id}/messages`, { method: 'POST', body: JSON.stringify(body) }),
+  { params: Promise.resolve({ id: handoff.id }) }
+);
+
+describe('/api/handoff/[id]/messages', () => {
+  it('accepts a message from the visitor who opened the handoff', async () => {
+    const response = await post({ sessionId: SESSION_ID, text: 'Hello?' });
+    expect(response.status).toBe(201);
+    expect(handoff.messages.map(message => message.text)).toEqual(['Hello?']);
+  });
+
+  it('refuses messages without the right session id', async () => {
+    expect((await post({ text: 'Spoofed' })).status).toBe(404);
+    expect((await post({ sessionId: null, text: 'Spoofed' })).status).toBe(404);
+    expect((await post({ sessionId: 'another-session', text: 'Spoofed' })).status).toBe(404);
+    expect(handoff.messages).toHaveLength(1);
+  });
+});
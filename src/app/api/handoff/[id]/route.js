@@ -0,0 +1,18 @@
+import { NextResponse } from 'next/server';
+import { closeHandoff, getHandoff, handoffErrorResponse } from '@/lib/handoff';
+
+export const dynamic = 'force-dynamic';
+
+// The visitor ends the chat with the agent: ?sessionId=...
+export async function DELETE(request, { params }) {
+  const { id } = await params;
+  const sessionId = new URL(request.url).searchParams.get('sessionId') || '';
+
+  try {
+    getHandoff(id, sessionId);
+    await closeHandoff(id, 'visitor');
+    return new NextResponse(null, { status: 204 });
+  } catch (error) {
+    return handoffErrorResponse(error);
+  }
+}
@@ -0,0 +1,35 @@
+import { NextResponse } from 'next/server';
+import { agentsOnline, createHandoff, handoffErrorResponse, visitorView } from '@/lib/handoff';
+import { isSessionId, normalizeLocale } from '@/lib/chat/session';
+import { clientIp, rateLimitResponse, readJsonRequest } from '@/lib/chat/limits';
+
+export const dynamic = 'force-dynamic';
+
+// Whether someone can take the chat right now; otherwise the widget offers
+// to leave a message
+export async function GET() {
+  return NextResponse.json({ available: agentsOnline() });
+}
+
+// Ask for a human: puts the conversation in the agents' queue
+export async function POST(request) {
+  const limited = rateLimitResponse('handoff', clientIp(request));
+  if (limited) return limited;
+
+  const { body, response } = await readJsonRequest(request);
+  if (response) return response;
+  if (!isSessionId(body.sessionId)) {
+    return NextResponse.json({ error: 'A valid "sessionId" is required' }, { status: 400 });
+  }
+
+  try {
+    const handoff = createHandoff({
+      sessionId: body.sessionId,
+      locale: normalizeLocale(body.locale),
+      history: body.history,
+    });
+    return NextResponse.json({ handoff: visitorView(handoff) }, { status: 201 });
+  } catch (error) {
+    return handoffErrorResponse(error);
+  }
+}
@@ -0,0 +1,25 @@
+import { describe, expect, it } from 'vitest';
+import { MAX_BODY_BYTES } from '@/lib/chat/limits';
+import { POST } from './route';
+
+const post = (body, ip) => POST(new Request('http://localhost/api/handoff', {
+  method: 'POST',
+  body,
+  headers: { 'Content-Type': 'application/json', 'X-Forwarded-For': ip },
+}));
+
+describe('POST /api/handoff', () => {
+  it('refuses bodies over the size cap with 413', async () => {
+    const body = JSON.stringify({ sessionId: 'visitor-session-1', history: [{ role: 'user', content: 'x'.repeat(MAX_BODY_BYTES) }] });
+    expect((await post(body, '192.0.2.1')).status).toBe(413);
+  });
+
+  it('rate-limits requests per IP', async () => {
+    const statuses = [];
+    for (let i = 0; i < 21; i++) {
+      statuses.push((await post('{}', '192.0.2.2')).status);
+    }
+    expect(statuses.slice(0, 20).every(status => status === 400)).toBe(true);
+    expect(statuses[20]).toBe(429);
+  });
+});
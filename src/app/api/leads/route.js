@@ -0,0 +1,46 @@
+import { NextResponse } from 'next/server';
+import { adminChallenge, isAdminRequest } from '@/lib/adminAuth';
+import { LeadValidationError, leadsToCsv, listLeads, saveLead } from '@/lib/leads/records';
+import { clientIp, rateLimitResponse, readJsonRequest } from '@/lib/chat/limits';
+
+export const dynamic = 'force-dynamic';
+
+// Save a lead from the in-chat form
+export async function POST(request) {
+  const limited = rateLimitResponse('form', clientIp(request));
+  if (limited) return limited;
+
+  const { body, response } = await readJsonRequest(request);
+  if (response) return response;
+
+  try {
+    const record = await saveLead(body);
+    return NextResponse.json({ id: record.id }, { status: 201 });
+  } catch (error) {
+    if (error instanceof LeadValidationError) {
+      return NextResponse.json({ error: error.message, fields: error.fields }, { status: 400 });
+    }
+    console.error('Lead error:', error);
+    return NextResponse.json({ error: 'Could not save your details' }, { status: 500 });
+  }
+}
+
+// Export leads for the sales team (admin only): ?format=csv|json
+export async function GET(request) {
+  if (!isAdminRequest(request)) {
+    return adminChallenge();
+  }
+
+  const format = new URL(request.url).searchParams.get('format') === 'csv' ? 'csv' : 'json';
+  const records = await listLeads();
+  if (format === 'json') {
+    return NextResponse.json({ leads: records });
+  }
+
+  return new Response(leadsToCsv(records), {
+    headers: {
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="jennibot-leads-${new Date().toISOString().slice(0, 10)}.csv"`,
+    },
+  });
+}
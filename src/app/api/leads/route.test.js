@@ -0,0 +1,19 @@
+import { describe, expect, it } from 'vitest';
+import { MAX_BODY_BYTES } from '@/lib/chat/limits';
+import { POST } from './route';
+
+const post = (body) => POST(new Request('http://localhost/api/leads', {
+  method: 'POST',
+  body,
+  headers: { 'Content-Type': 'application/json', 'X-Forwarded-For': '192.0.2.30' },
+}));
+
+describe('POST /api/leads', () => {
+  it('refuses bodies over the size cap with 413', async () => {
+    expect((await post(JSON.stringify({ message: 'x'.repeat(MAX_BODY_BYTES) }))).status).toBe(413);
+  });
+
+  it('refuses bodies that are not JSON with 400', async () => {
+    expect((await post('{nope')).status).toBe(400);
+  });
+});
@@ -0,0 +1,14 @@
+import { NextResponse } from 'next/server';
+import { getCatalogProduct } from '@/lib/catalog';
+
+export const dynamic = 'force-dynamic';
+
+// One catalog product, for the widget's product details
+export async function GET(request, { params }) {
+  const { id } = await params;
+  const product = await getCatalogProduct(id);
+  if (!product) {
+    return NextResponse.json({ error: 'No such product' }, { status: 404 });
+  }
+  return NextResponse.json({ product }, { headers: { 'Cache-Control': 'public, max-age=60' } });
+}
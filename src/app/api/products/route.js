@@ -0,0 +1,14 @@
+import { NextResponse } from 'next/server';
+import { parseProductFilters, searchProducts } from '@/lib/catalog';
+
+export const dynamic = 'force-dynamic';
+
+// Search the catalog: ?q=&category=&color=&size=&material=&minPrice=&maxPrice=&limit=&offset=
+export async function GET(request) {
+  const filters = parseProductFilters(new URL(request.url).searchParams);
+  const { products, total } = await searchProducts(filters);
+  return NextResponse.json(
+    { products, total, limit: filters.limit, offset: filters.offset },
+    { headers: { 'Cache-Control': 'public, max-age=60' } }
+  );
+}
@@ -0,0 +1,28 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { NextResponse } from 'next/server';
+import { resolveWidgetConfig } from '@/app/chatbot/config';
+
+export const dynamic = 'force-dynamic';
+
+// Read on every request so edits to the file show up without a rebuild
+const CONFIG_PATH = process.env.WIDGET_CONFIG_PATH || path.join(process.cwd(), 'widget.config.json');
+
+async function readConfigFile() {
+  try {
+    return JSON.parse(await fs.readFile(CONFIG_PATH, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Invalid widget config:', error.message);
+    }
+    return null;
+  }
+}
+
+// Configuration for the chat widget: defaults merged with the config file
+export async function GET() {
+  const config = resolveWidgetConfig(await readConfigFile());
+  return NextResponse.json(config, {
+    headers: { 'Cache-Control': 'public, max-age=60' },
+  });
+}
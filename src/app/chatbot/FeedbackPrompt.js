@@ -0,0 +1,67 @@
+'use client'
+import { useState } from 'react';
+
+// Category id -> catalog key of its label
+const CATEGORIES = [
+  { id: 'wrong_product', label: 'feedbackWrongProduct' },
+  { id: 'did_not_answer', label: 'feedbackDidNotAnswer' },
+  { id: 'incorrect_info', label: 'feedbackIncorrectInfo' },
+  { id: 'other', label: 'feedbackOther' },
+];
+
+/**
+ * Optional follow-up shown after a thumbs-down, asking what went wrong
+ */
+export default function FeedbackPrompt({ t, onSubmit, onSkip }) {
+  const [category, setCategory] = useState(null);
+  const [reason, setReason] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit({ category, reason: reason.trim() });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-2 ms-10 p-3 rounded-xl border border-[var(--jb-border)] bg-[var(--jb-surface)]">
+      <div className="text-sm text-[var(--jb-text)] mb-2">{t('feedbackQuestion')}</div>
+      <div className="flex flex-wrap gap-2 mb-2" role="group" aria-label={t('feedbackQuestion')}>
+        {CATEGORIES.map(option => (
+          <button
+            key={option.id}
+            type="button"
+            onClick={() => setCategory(category === option.id ? null : option.id)}
+            aria-pressed={category === option.id}
+            className={`rounded-full px-3 py-1 text-xs border transition-colors ${
+              category === option.id
+                ? 'bg-[var(--jb-primary)] text-[var(--jb-on-primary)] border-[var(--jb-primary)]'
+                : 'bg-[var(--jb-surface)] text-[var(--jb-text)] border-[var(--jb-border-strong)] hover:bg-[var(--jb-hover)]'
+            }`}
+          >
+            {t(option.label)}
+          </button>
+        ))}
+      </div>
+      <textarea
+        value={reason}
+        onChange={(e) => setReason(e.target.value)}
+        maxLength={1000}
+        rows={2}
+        placeholder={t('feedbackPlaceholder')}
+        aria-label={t('feedbackDetails')}
+        className="w-full text-sm bg-transparent text-[var(--jb-text)] border border-[var(--jb-border-strong)] rounded-lg p-2 focus:outline-none focus:border-[var(--jb-primary)] resize-none"
+      />
+      <div className="flex justify-end gap-2 mt-2">
+        <button type="button" onClick={onSkip} className="text-xs text-[var(--jb-text-muted)] hover:text-[var(--jb-text)] px-2 py-1">
+          {t('skip')}
+        </button>
+        <button
+          type="submit"
+          disabled={!category && !reason.trim()}
+          className="text-xs bg-[var(--jb-primary)] text-[var(--jb-on-primary)] rounded-full px-3 py-1 hover:bg-[var(--jb-primary-hover)] disabled:opacity-50"
+        >
+          {t('send')}
+        </button>
+      </div>
+    </form>
+  );
+}
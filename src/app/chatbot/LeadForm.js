@@ -0,0 +1,128 @@
+'use client'
+import { useId, useState } from 'react';
+import { LEAD_LIMITS, validateLead } from '@/lib/leads/fields';
+
+// Validation problem -> catalog key of its message, by field
+const ERROR_MESSAGES = {
+  name: { required: 'fieldRequired', invalid: 'fieldRequired' },
+  email: { required: 'fieldRequired', invalid: 'invalidEmail' },
+  phone: { invalid: 'invalidPhone' },
+  postcode: { invalid: 'invalidPostcode' },
+  consent: { required: 'consentRequired' },
+};
+
+const FIELDS = [
+  { name: 'name', type: 'text', label: 'leadName', autoComplete: 'name' },
+  { name: 'email', type: 'email', label: 'leadEmail', autoComplete: 'email' },
+  { name: 'phone', type: 'tel', label: 'leadPhone', autoComplete: 'tel' },
+  { name: 'postcode', type: 'text', label: 'leadPostcode', autoComplete: 'postal-code' },
+];
+
+/**
+ * Inline form asking a shopper who sounds ready to buy for their contact
+ * details. Renders the thank-you note once submitted and nothing once dismissed.
+ * @param {Object} props
+ * @param {string} props.status - 'open', 'submitted' or 'dismissed'
+ * @param {Function} props.onSubmit - Called with the cleaned lead; rejects if it was not saved
+ * @param {Function} props.onDismiss
+ */
+export default function LeadForm({ t, status, onSubmit, onDismiss }) {
+  const [values, setValues] = useState({ name: '', email: '', phone: '', postcode: '', consent: false });
+  const [errors, setErrors] = useState({});
+  const [sendError, setSendError] = useState(null);
+  const [isSending, setIsSending] = useState(false);
+  const idPrefix = useId();
+
+  if (status === 'dismissed') return null;
+  if (status === 'submitted') {
+    return <div className="mb-6 ms-10 text-xs text-[var(--jb-text-muted)]">{t('leadThanks')}</div>;
+  }
+
+  const update = (name, value) => {
+    setValues(prev => ({ ...prev, [name]: value }));
+    // Clear a field's error as soon as it is edited
+    if (errors[name]) setErrors(prev => ({ ...prev, [name]: undefined }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const { lead, errors: problems } = validateLead(values);
+    setErrors(problems);
+    if (Object.keys(problems).length > 0) return;
+
+    setSendError(null);
+    setIsSending(true);
+    try {
+      await onSubmit(lead);
+    } catch {
+      setSendError(t('leadNotSent'));
+      setIsSending(false);
+    }
+  };
+
+  const errorFor = (name) => errors[name] && t(ERROR_MESSAGES[name][errors[name]]);
+  const fieldClass = 'w-full text-sm bg-transparent text-[var(--jb-text)] border rounded-lg px-2 py-1.5 focus:outline-none focus:border-[var(--jb-primary)]';
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="mb-6 ms-10 p-3 rounded-xl border border-[var(--jb-border)] bg-[var(--jb-surface)] space-y-2"
+      aria-label={t('leadIntro')}
+      noValidate
+    >
+      <div className="text-sm text-[var(--jb-text)]">{t('leadIntro')}</div>
+      {FIELDS.map(field => (
+        <div key={field.name}>
+          <label htmlFor={`${idPrefix}-${field.name}`} className="block text-xs text-[var(--jb-text-muted)] mb-0.5">
+            {t(field.label)}
+          </label>
+          <input
+            id={`${idPrefix}-${field.name}`}
+            type={field.type}
+            value={values[field.name]}
+            onChange={(e) => update(field.name, e.target.value)}
+            maxLength={LEAD_LIMITS[field.name]}
+            autoComplete={field.autoComplete}
+            aria-invalid={errors[field.name] ? 'true' : undefined}
+            aria-describedby={errors[field.name] ? `${idPrefix}-${field.name}-error` : undefined}
+            className={`${fieldClass} ${errors[field.name] ? 'border-[var(--jb-danger)]' : 'border-[var(--jb-border-strong)]'}`}
+          />
+          {errors[field.name] && (
+            <div id={`${idPrefix}-${field.name}-error`} className="text-xs text-[var(--jb-danger)] mt-0.5">
+              {errorFor(field.name)}
+            </div>
+          )}
+        </div>
+      ))}
+      <label className="flex items-start gap-2 text-xs text-[var(--jb-text)]">
+        <input
+          type="checkbox"
+          checked={values.consent}
+          onChange={(e) => update('consent', e.target.checked)}
+          aria-invalid={errors.consent ? 'true' : undefined}
+          aria-describedby={errors.consent ? `${idPrefix}-consent-error` : undefined}
+          className="mt-0.5 accent-[var(--jb-primary)]"
+        />
+        <span>{t('leadConsent')}</span>
+      </label>
+      {errors.consent && (
+        <div id={`${idPrefix}-consent-error`} className="text-xs text-[var(--jb-danger)]">{errorFor('consent')}</div>
+      )}
+      {sendError && (
+        <div role="alert" className="text-xs text-[var(--jb-danger)]">{sendError}</div>
+      )}
+      <div className="flex justify-end gap-2">
+        <button type="button" onClick={onDismiss} className="text-xs text-[var(--jb-text-muted)] hover:text-[var(--jb-text)] px-2 py-1">
+          {t('noThanks')}
+        </button>
+        <button
+          type="submit"
+          disabled={isSending}
+          className="text-xs bg-[var(--jb-primary)] text-[var(--jb-on-primary)] rounded-full px-3 py-1 hover:bg-[var(--jb-primary-hover)] disabled:opacity-50"
+        >
+          {t('send')}
+        </button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,88 @@
+'use client'
+import { useState } from 'react';
+
+// Same rule as the server: one @, a dot in the domain, no spaces
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Shown instead of a live chat when no agent is online: the visitor leaves
+ * their email and a message for the team
+ */
+export default function LeaveMessageForm({ t, onSubmit, onCancel }) {
+  const [name, setName] = useState('');
+  const [email, setEmail] = useState('');
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState(null);
+  const [isSending, setIsSending] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!EMAIL_PATTERN.test(email.trim())) {
+      setError(t('invalidEmail'));
+      return;
+    }
+    setError(null);
+    setIsSending(true);
+    try {
+      await onSubmit({ name: name.trim(), email: email.trim(), message: message.trim() });
+    } catch {
+      setError(t('messageNotSent'));
+      setIsSending(false);
+    }
+  };
+
+  const fieldClass = 'w-full text-sm bg-transparent text-[var(--jb-text)] border border-[var(--jb-border-strong)] rounded-lg px-2 py-1.5 focus:outline-none focus:border-[var(--jb-primary)]';
+
+  return (
+    <form onSubmit={handleSubmit} className="mb-6 ms-10 p-3 rounded-xl border border-[var(--jb-border)] bg-[var(--jb-surface)] space-y-2" noValidate>
+      <div className="text-sm text-[var(--jb-text)]">{t('leaveMessageIntro')}</div>
+      <input
+        type="text"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        maxLength={100}
+        placeholder={t('yourName')}
+        aria-label={t('yourName')}
+        autoComplete="name"
+        className={fieldClass}
+      />
+      <input
+        type="email"
+        value={email}
+        onChange={(e) => setEmail(e.target.value)}
+        maxLength={254}
+        required
+        placeholder={t('yourEmail')}
+        aria-label={t('yourEmail')}
+        aria-invalid={error === t('invalidEmail') ? 'true' : undefined}
+        autoComplete="email"
+        className={fieldClass}
+      />
+      <textarea
+        value={message}
+        onChange={(e) => setMessage(e.target.value)}
+        maxLength={4000}
+        rows={3}
+        required
+        placeholder={t('yourMessage')}
+        aria-label={t('yourMessage')}
+        className={`${fieldClass} resize-none`}
+      />
+      {error && (
+        <div role="alert" className="text-xs text-[var(--jb-danger)]">{error}</div>
+      )}
+      <div className="flex justify-end gap-2">
+        <button type="button" onClick={onCancel} className="text-xs text-[var(--jb-text-muted)] hover:text-[var(--jb-text)] px-2 py-1">
+          {t('cancel')}
+        </button>
+        <button
+          type="submit"
+          disabled={!email.trim() || !message.trim() || isSending}
+          className="text-xs bg-[var(--jb-primary)] text-[var(--jb-on-primary)] rounded-full px-3 py-1 hover:bg-[var(--jb-primary-hover)] disabled:opacity-50"
+        >
+          {t('send')}
+        </button>
+      </div>
+    </form>
+  );
+}
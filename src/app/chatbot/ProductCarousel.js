@@ -0,0 +1,105 @@
+'use client'
+import { useRef } from 'react';
+
+// Product data can come back from storage, so URLs are checked again here
+export const isSafeUrl = (url) => typeof url === 'string' && (/^https?:\/\//i.test(url) || /^\/(?!\/)/.test(url));
+
+export const formatPrice = (price, currency, locale) => {
+  if (typeof price !== 'number') return price;
+  return currency
+    ? price.toLocaleString(locale, { style: 'currency', currency, maximumFractionDigits: 0 })
+    : price.toLocaleString(locale);
+};
+
+function OptionRow({ label, options }) {
+  if (!options || options.length === 0) return null;
+  return (
+    <div className="mt-1 text-xs text-[var(--jb-text-muted)]">
+      <span className="font-semibold">{label}:</span> {options.join(', ')}
+    </div>
+  );
+}
+
+function ProductCard({ product, t, locale }) {
+  return (
+    <div className="snap-start flex-shrink-0 w-52 rounded-xl border border-[var(--jb-border)] bg-[var(--jb-surface)] overflow-hidden flex flex-col">
+      {isSafeUrl(product.image) ? (
+        <img src={product.image} alt={product.name} loading="lazy" className="w-full h-32 object-cover" />
+      ) : (
+        <div className="w-full h-32 bg-[var(--jb-primary-soft)] flex items-center justify-center text-3xl font-bold text-[var(--jb-primary)]" aria-hidden="true">
+          {product.name.charAt(0)}
+        </div>
+      )}
+      <div className="p-3 flex flex-col flex-1">
+        <div className="text-sm font-semibold text-[var(--jb-text)]">{product.name}</div>
+        {product.price !== undefined && (
+          <div className="text-sm font-bold text-[var(--jb-primary)] mt-1">{formatPrice(product.price, product.currency, locale)}</div>
+        )}
+        <OptionRow label={t('sizes')} options={product.sizes} />
+        <OptionRow label={t('colours')} options={product.colors} />
+        <OptionRow label={t('materials')} options={product.materials} />
+        {isSafeUrl(product.link) && (
+          <a
+            href={product.link}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="mt-auto pt-3 text-sm font-semibold text-[var(--jb-primary)] hover:underline"
+          >
+            {t('viewProduct')}
+          </a>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Horizontally swipeable row of product cards shown inside a bot message
+ */
+export default function ProductCarousel({ products, t, locale }) {
+  const trackRef = useRef(null);
+
+  if (!products || products.length === 0) return null;
+
+  // Scroll by roughly one card; "next" runs leftwards in right-to-left layouts
+  const scrollBy = (direction) => {
+    const track = trackRef.current;
+    if (!track) return;
+    const sign = getComputedStyle(track).direction === 'rtl' ? -1 : 1;
+    track.scrollBy({ left: sign * direction * 216, behavior: 'smooth' });
+  };
+
+  return (
+    <div className="relative mt-3 -mx-1">
+      <div ref={trackRef} className="product-carousel flex gap-2 overflow-x-auto snap-x snap-mandatory px-1 pb-1">
+        {products.map((product, index) => (
+          <ProductCard key={product.id || index} product={product} t={t} locale={locale} />
+        ))}
+      </div>
+      {products.length > 1 && (
+        <>
+          <button
+            type="button"
+            onClick={() => scrollBy(-1)}
+            className="absolute start-0 top-14 w-7 h-7 rounded-full bg-[var(--jb-surface)] shadow flex items-center justify-center text-[var(--jb-text-muted)] hover:text-[var(--jb-primary)]"
+            aria-label={t('previousProducts')}
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 directional-icon" viewBox="0 0 20 20" fill="currentColor">
+              <path fillRule="evenodd" d="M12.707 5.293a1 1 0 010 1.414L9.414 10l3.293 3.293a1 1 0 01-1.414 1.414l-4-4a1 1 0 010-1.414l4-4a1 1 0 011.414 0z" clipRule="evenodd" />
+            </svg>
+          </button>
+          <button
+            type="button"
+            onClick={() => scrollBy(1)}
+            className="absolute end-0 top-14 w-7 h-7 rounded-full bg-[var(--jb-surface)] shadow flex items-center justify-center text-[var(--jb-text-muted)] hover:text-[var(--jb-primary)]"
+            aria-label={t('nextProducts')}
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 directional-icon" viewBox="0 0 20 20" fill="currentColor">
+              <path fillRule="evenodd" d="M7.293 14.707a1 1 0 010-1.414L10.586 10 7.293 6.707a1 1 0 011.414-1.414l4 4a1 1 0 010 1.414l-4 4a1 1 0 01-1.414 0z" clipRule="evenodd" />
+            </svg>
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
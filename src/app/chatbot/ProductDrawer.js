@@ -0,0 +1,116 @@
+'use client'
+import { useEffect, useRef, useState } from 'react';
+import { formatPrice, isSafeUrl } from './ProductCarousel';
+
+function DetailRow({ label, values }) {
+  if (!values || values.length === 0) return null;
+  return (
+    <div className="mt-3">
+      <dt className="text-xs font-semibold text-[var(--jb-text-muted)]">{label}</dt>
+      <dd className="text-sm text-[var(--jb-text)]">{values.join(', ')}</dd>
+    </div>
+  );
+}
+
+/**
+ * Panel over the conversation with the details of a catalog product, opened
+ * from a product named in a reply. Escape or the close button closes it.
+ * @param {Object} props
+ * @param {string} props.productId
+ * @param {Function} props.loadProduct - Resolves to the product; rejects if it cannot be loaded
+ * @param {Function} props.onClose
+ */
+export default function ProductDrawer({ productId, loadProduct, t, locale, onClose }) {
+  const [product, setProduct] = useState(null);
+  const [error, setError] = useState(false);
+  const closeRef = useRef(null);
+
+  useEffect(() => {
+    let current = true;
+    setProduct(null);
+    setError(false);
+    loadProduct(productId)
+      .then(loaded => { if (current) setProduct(loaded); })
+      .catch(() => { if (current) setError(true); });
+    return () => { current = false; };
+  }, [productId, loadProduct]);
+
+  useEffect(() => {
+    closeRef.current?.focus();
+  }, []);
+
+  // Close the drawer only, not the whole chat window
+  const handleKeyDown = (e) => {
+    if (e.key !== 'Escape') return;
+    e.stopPropagation();
+    onClose();
+  };
+
+  return (
+    <div className="absolute inset-0 z-10 flex justify-end bg-black/30" onClick={onClose}>
+      <section
+        aria-label={product?.name ?? t('productDetails')}
+        onKeyDown={handleKeyDown}
+        onClick={(e) => e.stopPropagation()}
+        className="h-full w-full max-w-xs bg-[var(--jb-surface)] text-[var(--jb-text)] shadow-xl flex flex-col"
+      >
+        <div className="flex items-center justify-between border-b border-[var(--jb-border)] p-3">
+          <span className="text-sm font-semibold">{t('productDetails')}</span>
+          <button
+            ref={closeRef}
+            type="button"
+            onClick={onClose}
+            aria-label={t('closeProductDetails')}
+            className="p-1 rounded text-[var(--jb-text-muted)] hover:bg-[var(--jb-hover)]"
+          >
+            <svg aria-hidden="true" xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
+              <path fillRule="evenodd" d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z" clipRule="evenodd" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-4" aria-busy={!product && !error ? 'true' : undefined}>
+          {error && <p role="alert" className="text-sm text-[var(--jb-danger)]">{t('productUnavailable')}</p>}
+          {!product && !error && <p className="text-sm text-[var(--jb-text-muted)]">{t('loadingProduct')}</p>}
+          {product && (
+            <>
+              {isSafeUrl(product.image) ? (
+                <img src={product.image} alt={product.name} className="w-full h-44 object-cover rounded-xl" />
+              ) : (
+                <div className="w-full h-44 rounded-xl bg-[var(--jb-primary-soft)] flex items-center justify-center text-5xl font-bold text-[var(--jb-primary)]" aria-hidden="true">
+                  {product.name.charAt(0)}
+                </div>
+              )}
+              {product.categoryName && (
+                <div className="mt-3 text-xs text-[var(--jb-text-muted)]">{product.categoryName}</div>
+              )}
+              <h2 className="text-lg font-semibold" dir="auto">{product.name}</h2>
+              {product.price !== undefined && (
+                <div className="text-base font-bold text-[var(--jb-primary)]">{formatPrice(product.price, product.currency, locale)}</div>
+              )}
+              {product.description && <p className="mt-2 text-sm" dir="auto">{product.description}</p>}
+              <dl>
+                <DetailRow label={t('sizes')} values={product.sizes} />
+                <DetailRow label={t('colours')} values={product.colors} />
+                <DetailRow label={t('materials')} values={product.materials} />
+              </dl>
+            </>
+          )}
+        </div>
+
+        {isSafeUrl(product?.link) && (
+          <div className="border-t border-[var(--jb-border)] p-3">
+            <a
+              href={product.link}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="block text-center text-sm font-semibold bg-[var(--jb-primary)] text-[var(--jb-on-primary)] rounded-full px-4 py-2 hover:bg-[var(--jb-primary-hover)]"
+            >
+              {t('viewProduct')}
+            </a>
+          </div>
+        )}
+      </section>
+    </div>
+  );
+}
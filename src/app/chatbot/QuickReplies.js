@@ -0,0 +1,70 @@
+'use client'
+import { useRef, useState } from 'react';
+
+/**
+ * Chips under the welcome message (the configured quick replies) or under a
+ * bot answer (the suggestions it came with). The row is a single Tab stop;
+ * arrow keys move between the replies and Home/End jump to the ends.
+ */
+export default function QuickReplies({ replies, label, onSelect }) {
+  const [activeIndex, setActiveIndex] = useState(0);
+  const buttonsRef = useRef([]);
+
+  if (!replies || replies.length === 0) return null;
+
+  // The configured replies can change under us
+  const current = Math.min(activeIndex, replies.length - 1);
+
+  const focusReply = (index) => {
+    const next = (index + replies.length) % replies.length;
+    setActiveIndex(next);
+    buttonsRef.current[next]?.focus();
+  };
+
+  const handleKeyDown = (e) => {
+    // Left and right swap meaning in right-to-left layouts
+    const rtl = getComputedStyle(e.currentTarget).direction === 'rtl';
+    switch (e.key) {
+      case 'ArrowDown':
+      case rtl ? 'ArrowLeft' : 'ArrowRight':
+        focusReply(current + 1);
+        break;
+      case 'ArrowUp':
+      case rtl ? 'ArrowRight' : 'ArrowLeft':
+        focusReply(current - 1);
+        break;
+      case 'Home':
+        focusReply(0);
+        break;
+      case 'End':
+        focusReply(replies.length - 1);
+        break;
+      default:
+        return;
+    }
+    e.preventDefault();
+  };
+
+  return (
+    <div
+      role="toolbar"
+      aria-label={label}
+      onKeyDown={handleKeyDown}
+      className="mt-3 flex flex-wrap gap-2 justify-center"
+    >
+      {replies.map((reply, index) => (
+        <button
+          key={reply}
+          type="button"
+          ref={(element) => { buttonsRef.current[index] = element; }}
+          tabIndex={index === current ? 0 : -1}
+          onFocus={() => setActiveIndex(index)}
+          onClick={() => onSelect(reply)}
+          className="bg-[var(--jb-surface)] text-[var(--jb-text)] border border-[var(--jb-border-strong)] rounded-full px-3 py-1 text-sm hover:bg-[var(--jb-hover)] transition-colors"
+        >
+          {reply}
+        </button>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,47 @@
+import { createSessionId } from './session';
+
+// Events are sent in batches: when this many are waiting, or after FLUSH_DELAY_MS
+const MAX_BATCH = 20;
+const FLUSH_DELAY_MS = 5000;
+
+/**
+ * Batching client for widget analytics. Events are queued and sent together;
+ * sending is best effort, a batch that fails is dropped.
+ * @param {Function} send - Delivers an array of events, e.g. api.sendEvents
+ * @return {{track: Function, flush: Function}}
+ */
+export function createAnalytics(send) {
+  // Ties together the events of one page view, across conversations
+  const viewId = createSessionId();
+  let queue = [];
+  let timer = null;
+
+  /**
+   * Sends everything queued so far; call it when the page is hidden too
+   */
+  function flush() {
+    clearTimeout(timer);
+    timer = null;
+    if (queue.length === 0) return;
+    const batch = queue;
+    queue = [];
+    send(batch).catch(error => console.error('Error:', error));
+  }
+
+  /**
+   * Queues an event
+   * @param {string} type - e.g. 'widget_opened', see src/lib/analytics/events.js
+   * @param {string} sessionId - Conversation the event belongs to
+   * @param {Object} props - Flat extra details, e.g. { durationMs: 1200 }
+   */
+  function track(type, sessionId, props = {}) {
+    queue.push({ type, viewId, sessionId, at: Date.now(), props });
+    if (queue.length >= MAX_BATCH) {
+      flush();
+    } else if (!timer) {
+      timer = setTimeout(flush, FLUSH_DELAY_MS);
+    }
+  }
+
+  return { track, flush };
+}
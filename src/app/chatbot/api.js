@@ -0,0 +1,352 @@
+import { parseEventStream } from '@/lib/chat/sse';
+
+// A chat request that receives no data for this long is abandoned
+const IDLE_TIMEOUT_MS = 30000;
+// Waits before each automatic retry; a random jitter of up to a quarter is added
+const RETRY_DELAYS_MS = [1000, 3000];
+
+/**
+ * Error raised when a chat request fails. `retryable` marks transient
+ * failures (network errors, timeouts, 5xx) that may succeed if repeated;
+ * `cancelled` marks requests stopped through the caller's abort signal.
+ * A rate-limited request (429) carries `retryAfter`, in seconds.
+ */
+export class ChatRequestError extends Error {
+  constructor(message, { status, retryable = false, cancelled = false, retryAfter } = {}) {
+    super(message);
+    this.name = 'ChatRequestError';
+    this.status = status;
+    this.retryable = retryable;
+    this.cancelled = cancelled;
+    this.retryAfter = retryAfter;
+  }
+}
+
+// 429 is left out: retrying straight away would only use up more of the limit
+const isTransientStatus = (status) => status === 408 || status >= 500;
+
+// Seconds to wait, from the Retry-After header (only the delay form is sent by our API)
+const DEFAULT_RETRY_AFTER = 10;
+const retryAfterSeconds = (response) => {
+  const seconds = Number(response.headers.get('retry-after'));
+  return Number.isFinite(seconds) && seconds > 0 ? seconds : DEFAULT_RETRY_AFTER;
+};
+
+const isOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false;
+
+// Resolves after `ms`, or as soon as the signal aborts
+const wait = (ms, signal) => new Promise(resolve => {
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    resolve();
+  }, { once: true });
+});
+
+const cancelledError = () => new ChatRequestError('The request was cancelled', { cancelled: true });
+
+/**
+ * Client for the chat widget's API routes
+ * @param {string} baseUrl - Origin of the JenniBot app. Empty when the widget
+ *   runs inside the app itself, absolute when embedded on another site.
+ */
+export function createChatApi(baseUrl = '') {
+  const endpoint = (path) => `${baseUrl.replace(/\/$/, '')}${path}`;
+
+  /**
+   * One attempt at a chat request. The request is aborted when no data
+   * arrives for IDLE_TIMEOUT_MS, or when the caller's signal aborts.
+   */
+  async function requestChat({ message, history, sessionId, locale, attachments, onDelta, signal }) {
+    const controller = new AbortController();
+    const cancel = () => controller.abort();
+    signal?.addEventListener('abort', cancel);
+    let timer;
+    const resetTimer = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => controller.abort(), IDLE_TIMEOUT_MS);
+    };
+
+    resetTimer();
+    try {
+      const response = await fetch(endpoint('/api/chat'), {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: 'text/event-stream',
+        },
+        body: JSON.stringify({ message, history, sessionId, locale, attachments, stream: true }),
+        signal: controller.signal,
+      });
+
+      if (!response.ok) {
+        throw new ChatRequestError('Failed to get response', {
+          status: response.status,
+          retryable: isTransientStatus(response.status),
+          retryAfter: response.status === 429 ? retryAfterSeconds(response) : undefined,
+        });
+      }
+
+      // Servers that ignore the stream flag still answer with plain JSON
+      const contentType = response.headers.get('content-type') || '';
+      if (!contentType.includes('text/event-stream')) {
+        const data = await response.json();
+        if (data.response) onDelta(data.response);
+        return data;
+      }
+
+      let text = '';
+      for await (const { event, data } of parseEventStream(response.body)) {
+        resetTimer();
+        if (event === 'delta') {
+          text += data.text;
+          onDelta(data.text);
+        } else if (event === 'done') {
+          return data;
+        } else if (event === 'error') {
+          throw new ChatRequestError(data.error || 'Failed to get response', { retryable: true });
+        }
+      }
+
+      // Stream ended without a done event; keep whatever arrived
+      if (!text) {
+        throw new ChatRequestError('Stream closed before any reply arrived', { retryable: true });
+      }
+      return { response: text, sessionId: response.headers.get('x-session-id') || sessionId };
+    } catch (error) {
+      if (signal?.aborted) throw cancelledError();
+      if (error instanceof ChatRequestError) throw error;
+      // fetch rejects with a TypeError on network failures and an AbortError on our timeout
+      throw new ChatRequestError(
+        controller.signal.aborted ? 'The chat service did not respond in time' : error.message,
+        { retryable: true }
+      );
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', cancel);
+    }
+  }
+
+  /**
+   * Sends a message to the chat API and streams the reply. Transient failures
+   * are retried with backoff as long as no part of the reply has arrived yet.
+   * @param {Object} params
+   * @param {string} params.message - User message
+   * @param {Array} params.history - Prior turns as { role, content }
+   * @param {string} params.sessionId - Conversation session id
+   * @param {string} params.locale - Language the widget is displayed in
+   * @param {Array} params.attachments - Images as { type, data } with base64 data
+   * @param {Function} params.onDelta - Called with each text chunk as it arrives
+   * @param {AbortSignal} params.signal - Stops the request and any pending retry
+   * @return {Promise<Object>} - The final payload, e.g. { response, products, form, sessionId }
+   * @throws {ChatRequestError}
+   */
+  async function streamChat({ message, history = [], sessionId, locale, attachments, onDelta, signal }) {
+    let received = false;
+    const handleDelta = (text) => {
+      received = true;
+      onDelta(text);
+    };
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await requestChat({ message, history, sessionId, locale, attachments, onDelta: handleDelta, signal });
+      } catch (error) {
+        // Retrying after text was shown would repeat it; retrying offline is pointless
+        if (!error.retryable || received || isOffline() || attempt >= RETRY_DELAYS_MS.length) {
+          throw error;
+        }
+        const delay = RETRY_DELAYS_MS[attempt];
+        await wait(delay + Math.random() * delay / 4, signal);
+        if (signal?.aborted) throw cancelledError();
+      }
+    }
+  }
+
+  /**
+   * Stores a thumbs-up/down rating
+   * @param {Object} feedback - { sessionId, messageId, replyId, rating, messageText, question }
+   * @return {Promise<string>} - The feedback id
+   */
+  async function sendFeedback(feedback) {
+    const response = await fetch(endpoint('/api/feedback'), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(feedback),
+    });
+    if (!response.ok) {
+      throw new Error('Failed to save feedback');
+    }
+    const data = await response.json();
+    return data.id;
+  }
+
+  /**
+   * Adds the reason for a thumbs-down to a stored rating
+   * @param {string} id - Feedback id returned by sendFeedback
+   * @param {Object} reason - { category, reason }
+   */
+  async function updateFeedback(id, { category, reason }) {
+    const response = await fetch(endpoint('/api/feedback'), {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ id, category, reason }),
+    });
+    if (!response.ok) {
+      throw new Error('Failed to save feedback');
+    }
+  }
+
+  /**
+   * Loads the widget configuration
+   * @param {string} url - Configuration endpoint, e.g. /api/widget-config
+   * @return {Promise<Object>} - Partial configuration as served
+   */
+  async function fetchConfig(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error('Failed to load widget configuration');
+    }
+    return response.json();
+  }
+
+  /**
+   * Sends a batch of analytics events. Plain text keeps cross-origin requests
+   * free of a preflight, and keepalive lets the last batch leave as the page closes.
+   * @param {Array<Object>} events
+   */
+  async function sendEvents(events) {
+    const response = await fetch(endpoint('/api/analytics'), {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/plain' },
+      body: JSON.stringify({ events }),
+      keepalive: true,
+    });
+    if (!response.ok) {
+      throw new Error('Failed to send analytics events');
+    }
+  }
+
+  const postJson = (path, body) => fetch(endpoint(path), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+
+  /**
+   * Asks for a human agent
+   * @param {Object} request - { sessionId, locale, history }
+   * @return {Promise<Object|null>} - The handoff ({ id, status, agentName,
+   *   messages }), or null when no agent is online
+   */
+  async function requestHandoff(request) {
+    const response = await postJson('/api/handoff', request);
+    if (response.status === 503) return null;
+    if (!response.ok) {
+      throw new ChatRequestError('Failed to reach an agent', { status: response.status });
+    }
+    const data = await response.json();
+    return data.handoff;
+  }
+
+  /**
+   * Sends a message to the agent
+   * @param {string} handoffId
+   * @param {Object} message - { sessionId, id, text }; `id` lets the echo be matched
+   */
+  async function sendHandoffMessage(handoffId, message) {
+    const response = await postJson(`/api/handoff/${encodeURIComponent(handoffId)}/messages`, message);
+    if (!response.ok) {
+      throw new ChatRequestError('Failed to send the message', {
+        status: response.status,
+        retryAfter: response.status === 429 ? retryAfterSeconds(response) : undefined,
+      });
+    }
+  }
+
+  /**
+   * Ends the chat with the agent
+   * @param {string} handoffId
+   * @param {string} sessionId
+   */
+  async function endHandoff(handoffId, sessionId) {
+    const params = new URLSearchParams({ sessionId });
+    const response = await fetch(endpoint(`/api/handoff/${encodeURIComponent(handoffId)}?${params}`), { method: 'DELETE' });
+    // 404: the agent already ended it
+    if (!response.ok && response.status !== 404) {
+      throw new Error('Failed to end the chat');
+    }
+  }
+
+  /**
+   * Follows a handoff live. EventSource reconnects by itself after network
+   * hiccups; each connection starts with the full current state.
+   * @param {string} handoffId
+   * @param {string} sessionId
+   * @param {Object} handlers
+   * @param {Function} handlers.onUpdate - Called with the handoff on every change
+   * @param {Function} handlers.onGone - Called when the handoff no longer exists
+   * @return {Function} - Stops following
+   */
+  function followHandoff(handoffId, sessionId, { onUpdate, onGone }) {
+    const params = new URLSearchParams({ sessionId });
+    const source = new EventSource(endpoint(`/api/handoff/${encodeURIComponent(handoffId)}/events?${params}`));
+    source.addEventListener('handoff', (event) => onUpdate(JSON.parse(event.data)));
+    source.onerror = () => {
+      // An error response (404 once the chat is over) closes the source for good
+      if (source.readyState === EventSource.CLOSED) onGone();
+    };
+    return () => source.close();
+  }
+
+  /**
+   * Leaves a message for the team when no agent is online
+   * @param {Object} request - { sessionId, name, email, message, locale }
+   */
+  async function sendContactRequest(request) {
+    const response = await postJson('/api/contact', request);
+    if (!response.ok) {
+      throw new ChatRequestError('Failed to send the message', { status: response.status });
+    }
+  }
+
+  /**
+   * Stores the details entered in the lead form
+   * @param {Object} lead - { sessionId, name, email, phone, postcode, consent, interest, locale }
+   */
+  async function sendLead(lead) {
+    const response = await postJson('/api/leads', lead);
+    if (!response.ok) {
+      throw new ChatRequestError('Failed to send your details', { status: response.status });
+    }
+  }
+
+  /**
+   * Loads a product from the catalog
+   * @param {string} id
+   * @return {Promise<Object>} - { id, name, categoryName, description, price, currency, sizes, colors, materials, image, link }
+   */
+  async function getProduct(id) {
+    const response = await fetch(endpoint(`/api/products/${encodeURIComponent(id)}`));
+    if (!response.ok) {
+      throw new ChatRequestError('Failed to load the product', { status: response.status });
+    }
+    const data = await response.json();
+    return data.product;
+  }
+
+  return {
+    streamChat,
+    sendFeedback,
+    updateFeedback,
+    fetchConfig,
+    sendEvents,
+    requestHandoff,
+    sendHandoffMessage,
+    endHandoff,
+    followHandoff,
+    sendContactRequest,
+    sendLead,
+    getProduct,
+  };
+}
@@ -0,0 +1,63 @@
+import { ATTACHMENT_TYPES, MAX_ATTACHMENT_BYTES, base64Bytes } from '@/lib/chat/attachments';
+
+/**
+ * Prepares photos picked in the widget for sending: checks the file, then
+ * redraws it smaller as a JPEG for the request and as a tiny thumbnail for
+ * the transcript
+ */
+
+// Larger files are refused before decoding, to spare the visitor's memory
+export const MAX_SOURCE_BYTES = 15 * 1024 * 1024;
+// Longest side of the image sent to the backend
+const MAX_DIMENSION = 1280;
+// Longest side of the thumbnail kept in the transcript and localStorage
+const THUMBNAIL_DIMENSION = 160;
+
+export const ACCEPTED_FILE_TYPES = ATTACHMENT_TYPES.join(',');
+
+/**
+ * @param {File} file
+ * @return {string|null} - Catalog key of the problem, or null when the file can be used
+ */
+export function checkImageFile(file) {
+  if (!ATTACHMENT_TYPES.includes(file.type)) return 'imageTypeError';
+  if (file.size > MAX_SOURCE_BYTES) return 'imageSizeError';
+  return null;
+}
+
+function drawScaled(bitmap, maxDimension, quality) {
+  const scale = Math.min(1, maxDimension / Math.max(bitmap.width, bitmap.height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+  canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+  const context = canvas.getContext('2d');
+  // JPEG has no transparency; without a fill, transparent PNG areas turn black
+  context.fillStyle = '#fff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  return canvas.toDataURL('image/jpeg', quality);
+}
+
+/**
+ * Resizes a picked image
+ * @param {File} file - An image that passed checkImageFile
+ * @return {Promise<{id: string, type: string, data: string, thumbnail: string}>} -
+ *   `data` is the base64 JPEG to send, `thumbnail` a small data: URL to display
+ * @throws {Error} - When the image cannot be decoded or is still too large
+ */
+export async function prepareImage(file) {
+  // Applies the EXIF orientation, so phone photos are not sideways
+  const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+  try {
+    const data = drawScaled(bitmap, MAX_DIMENSION, 0.85).split(',')[1];
+    if (base64Bytes(data) > MAX_ATTACHMENT_BYTES) throw new Error('Image is too large after resizing');
+    return {
+      id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      type: 'image/jpeg',
+      data,
+      thumbnail: drawScaled(bitmap, THUMBNAIL_DIMENSION, 0.7),
+    };
+  } finally {
+    bitmap.close();
+  }
+}
@@ -0,0 +1,149 @@
+import { SUPPORTED_LOCALES } from './i18n';
+import { COLOR_VALUE } from './sanitize';
+
+/**
+ * Widget configuration: copy, quick replies, branding, colors, analytics, the
+ * human handoff, lead capture, photo attachments, voice and the options
+ * passed to formatMessage. Defaults live here; overrides come from
+ * the /api/widget-config endpoint and from the props of the Chatbot component.
+ *
+ * The default copy (greeting, tagline, welcomeMessage, inputPlaceholder,
+ * agentLabel, quickReplies) comes from the message catalog in ./i18n.js.
+ * Copy set at the top level replaces it in every language; `translations`
+ * replaces it for one language, e.g. { fr: { greeting: 'Bonjour !' } }.
+ */
+
+export const DEFAULT_WIDGET_CONFIG = {
+  locale: 'auto', // 'auto' detects the visitor's language; 'en', 'fr' or 'ar' fixes it
+  translations: {},
+  poweredBy: 'JenniBot AGENT',
+  analytics: true, // Report usage events to /api/analytics
+  handoff: true, // Offer "Talk to a human", or leaving a message when no agent is online
+  leadCapture: true, // Show the lead form when a shopper asks about prices or delivery
+  attachments: true, // Let visitors attach photos to their messages
+  voice: true, // Microphone dictation and reading replies aloud, where the browser supports them
+  colors: {
+    primary: '#2563eb', // Launcher, header, user bubbles and buttons
+    primaryHover: '#1d4ed8',
+    primarySoft: '#dbeafe', // Avatar and light highlights
+    onPrimary: '#ffffff', // Text and icons on the primary color
+  },
+  // Options for formatMessage
+  format: {
+    theme: 'auto', // 'auto' follows prefers-color-scheme; 'light' or 'dark' fixes it
+    accentColor: '#000',
+    darkAccentColor: '#f9fafb', // Accent used while the widget is dark
+  },
+};
+
+const MAX_QUICK_REPLIES = 8;
+
+// Copy fields and their maximum length
+const COPY_LIMITS = {
+  greeting: 120,
+  tagline: 160,
+  welcomeMessage: 1000,
+  inputPlaceholder: 120,
+  agentLabel: 60,
+};
+
+const LOCALE_VALUE = /^(auto|[a-z]{2,3}(-[a-z0-9]{2,8}){0,3})$/i;
+
+const cleanText = (value, fallback, maxLength = 300) =>
+  typeof value === 'string' && value.trim() ? value.trim().slice(0, maxLength) : fallback;
+
+const cleanColor = (value, fallback) =>
+  typeof value === 'string' && COLOR_VALUE.test(value.trim()) ? value.trim() : fallback;
+
+function cleanQuickReplies(value, fallback) {
+  if (!Array.isArray(value)) return fallback;
+  return value
+    // Entries may also be written as { text } objects
+    .map(entry => cleanText(typeof entry === 'object' && entry ? entry.text : entry, null, 120))
+    .filter(Boolean)
+    .slice(0, MAX_QUICK_REPLIES);
+}
+
+function mergeCopy(base, source) {
+  const copy = { ...base };
+  Object.entries(COPY_LIMITS).forEach(([key, maxLength]) => {
+    const value = cleanText(source[key], copy[key], maxLength);
+    if (value !== undefined) copy[key] = value;
+  });
+  const quickReplies = cleanQuickReplies(source.quickReplies, copy.quickReplies);
+  if (quickReplies !== undefined) copy.quickReplies = quickReplies;
+  return copy;
+}
+
+function mergeTranslations(base, source) {
+  if (!source || typeof source !== 'object') return base;
+  const translations = { ...base };
+  SUPPORTED_LOCALES.forEach(locale => {
+    if (source[locale] && typeof source[locale] === 'object') {
+      translations[locale] = mergeCopy(translations[locale] || {}, source[locale]);
+    }
+  });
+  return translations;
+}
+
+/**
+ * Merges configuration overrides onto the defaults, ignoring unknown keys and
+ * values of the wrong type. Later sources win.
+ * @param {...Object} sources - Partial configurations, e.g. (remote, props)
+ * @return {Object} - A complete widget configuration
+ */
+export function resolveWidgetConfig(...sources) {
+  return sources.reduce((config, source) => {
+    if (!source || typeof source !== 'object') return config;
+
+    const colors = source.colors || {};
+    const format = source.format || {};
+    return {
+      ...mergeCopy(config, source),
+      locale: typeof source.locale === 'string' && LOCALE_VALUE.test(source.locale) ? source.locale : config.locale,
+      translations: mergeTranslations(config.translations, source.translations),
+      poweredBy: cleanText(source.poweredBy, config.poweredBy, 60),
+      analytics: typeof source.analytics === 'boolean' ? source.analytics : config.analytics,
+      handoff: typeof source.handoff === 'boolean' ? source.handoff : config.handoff,
+      leadCapture: typeof source.leadCapture === 'boolean' ? source.leadCapture : config.leadCapture,
+      attachments: typeof source.attachments === 'boolean' ? source.attachments : config.attachments,
+      voice: typeof source.voice === 'boolean' ? source.voice : config.voice,
+      colors: {
+        primary: cleanColor(colors.primary, config.colors.primary),
+        primaryHover: cleanColor(colors.primaryHover, config.colors.primaryHover),
+        primarySoft: cleanColor(colors.primarySoft, config.colors.primarySoft),
+        onPrimary: cleanColor(colors.onPrimary, config.colors.onPrimary),
+      },
+      format: {
+        theme: ['auto', 'light', 'dark'].includes(format.theme) ? format.theme : config.format.theme,
+        accentColor: cleanColor(format.accentColor, config.format.accentColor),
+        darkAccentColor: cleanColor(format.darkAccentColor, config.format.darkAccentColor),
+      },
+    };
+  }, DEFAULT_WIDGET_CONFIG);
+}
+
+/**
+ * Configured copy for a locale, to pass to createTranslator as overrides
+ * @param {Object} config - A resolved configuration
+ * @param {string} locale - The active locale
+ * @return {Object} - Copy keyed like the message catalog
+ */
+export function copyOverrides(config, locale) {
+  return { ...mergeCopy({}, config), ...config.translations[locale] };
+}
+
+/**
+ * CSS custom properties the widget's color utilities read,
+ * e.g. bg-[var(--jb-primary)]
+ * @param {Object} colors - The `colors` of a resolved configuration
+ * @return {Object} - Inline style object
+ */
+export function colorVariables(colors) {
+  return {
+    '--jb-primary': colors.primary,
+    '--jb-primary-hover': colors.primaryHover,
+    '--jb-primary-soft': colors.primarySoft,
+    '--jb-on-primary': colors.onPrimary,
+  };
+}
@@ -1,6 +1,25 @@
 'use client'
-import { useState, useRef, useEffect } from 'react';
+import { useState, useRef, useEffect, useMemo } from 'react';
 import formatMessage from './util';
+import { createChatApi } from './api';
+import { createAnalytics } from './analytics';
+import { buildHistory, createSessionId } from './session';
+import { MAX_MESSAGE_CHARS } from '@/lib/chat/session';
+import { MAX_ATTACHMENTS } from '@/lib/chat/attachments';
+import { ACCEPTED_FILE_TYPES, MAX_SOURCE_BYTES, checkImageFile, prepareImage } from './attachments';
+import { clearConversation, loadConversation, saveConversation } from './storage';
+import { sanitizeHtml } from './sanitize';
+import { colorVariables, copyOverrides, resolveWidgetConfig } from './config';
+import { createTranslator, formatTime, isRtl } from './i18n';
+import { useLocale } from './locale';
+import { useCooldown, useOnlineStatus } from './network';
+import { themeVariables, useTheme } from './theme';
+import { speak, speechText, stopSpeaking, useDictation, useReadAloud } from './speech';
+import FeedbackPrompt from './FeedbackPrompt';
+import QuickReplies from './QuickReplies';
+import LeaveMessageForm from './LeaveMessageForm';
+import ProductDrawer from './ProductDrawer';
+import MessageContent, { isStandalone, messageTypeOf } from './messageTypes';
 import './chat.css';
 import { Mulish } from "next/font/google";
 
@@ -10,25 +29,206 @@ const mulish = Mulish({
   weight: ["300", "400", "600", "700"],
 });
 
-export default function Chatbot() {
-  const [isOpen, setIsOpen] = useState(false);
+// Elements the focus trap cycles through
+const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), textarea:not([disabled]), [tabindex]';
+
+// Replace a message with the same id in place; otherwise insert a reply right
+// after the message it answers, or append
+const upsertMessage = (messages, message) => {
+  if (messages.some(msg => msg.id === message.id)) {
+    return messages.map(msg => msg.id === message.id ? message : msg);
+  }
+  const index = messages.findIndex(msg => msg.id === message.replyTo);
+  return index === -1
+    ? [...messages, message]
+    : [...messages.slice(0, index + 1), message, ...messages.slice(index + 1)];
+};
+
+// Notices for the stages of a live chat with an agent. Their ids are derived
+// from the handoff so updates that arrive twice add them once.
+const handoffNotice = (handoff, stage) => ({
+  id: `${handoff.id}-${stage}`,
+  type: 'system',
+  sender: 'system',
+  notice: { waiting: 'handoffWaiting', active: 'agentJoined', closed: 'handoffEnded' }[stage],
+  values: { name: handoff.agentName },
+  createdAt: Date.now(),
+  handoff: true
+});
+
+// Merge a handoff update from the server into the transcript
+const applyHandoffUpdate = (messages, handoff) => {
+  const addNotice = (list, stage) =>
+    list.some(msg => msg.id === `${handoff.id}-${stage}`) ? list : [...list, handoffNotice(handoff, stage)];
+
+  let next = handoff.status === 'closed' ? messages : addNotice(messages, handoff.status);
+  handoff.messages.forEach(message => {
+    const existing = next.find(msg => msg.id === message.id);
+    next = upsertMessage(next, {
+      id: message.id,
+      text: message.text,
+      sender: message.from === 'agent' ? 'agent' : 'user',
+      agentName: message.agentName,
+      createdAt: existing?.createdAt ?? Date.parse(message.createdAt),
+      handoff: true
+    });
+  });
+  return handoff.status === 'closed' ? addNotice(next, 'closed') : next;
+};
+
+// Rich messages that came with a reply, in order after it. Markdown ones are
+// formatted like the reply itself.
+const richMessagesFor = (reply, richMessages = [], formatOptions) =>
+  richMessages.map((message, index) => ({
+    ...message,
+    ...(message.type === 'markdown' && { raw: message.text, text: formatMessage(message.text, formatOptions) }),
+    id: `${reply.id}-${index}`,
+    replyTo: index === 0 ? reply.id : `${reply.id}-${index - 1}`,
+    // Part of the reply: no rating or chips of its own, and left out of the history
+    partOf: reply.id,
+    sender: 'bot',
+    createdAt: reply.createdAt
+  }));
+
+// The welcome text comes from the widget config when rendered
+const createWelcomeMessage = () => ({
+  id: Date.now(),
+  sender: 'bot',
+  createdAt: Date.now(),
+  showQuickResponses: true
+});
+
+/**
+ * JenniBot chat widget
+ * @param {Object} props
+ * @param {string} props.apiBase - Origin of the JenniBot app when embedded on another site
+ * @param {boolean} props.defaultOpen - Open the chat window on load
+ * @param {Object} props.config - Widget configuration overrides (see ./config.js)
+ * @param {string|null} props.configUrl - Where to load the configuration from; null to skip
+ */
+export default function Chatbot({ apiBase = '', defaultOpen = false, config: configOverrides, configUrl }) {
+  const api = useMemo(() => createChatApi(apiBase), [apiBase]);
+  const analytics = useMemo(() => createAnalytics(api.sendEvents), [api]);
+  const [remoteConfig, setRemoteConfig] = useState(null);
+  const [isOpen, setIsOpen] = useState(defaultOpen);
   const [isExpanded, setIsExpanded] = useState(true);
   const [messages, setMessages] = useState([]);
   const [inputValue, setInputValue] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [showRating, setShowRating] = useState(false);
   const [currentRatingMessageId, setCurrentRatingMessageId] = useState(null);
+  const [sessionId, setSessionId] = useState(createSessionId);
+  const [hasRestored, setHasRestored] = useState(false);
+  // Open live chat with an agent: { id, status, agentName }
+  const [handoff, setHandoff] = useState(null);
+  const [isRequestingAgent, setIsRequestingAgent] = useState(false);
+  const [showLeaveMessage, setShowLeaveMessage] = useState(false);
+  // Photos picked for the next message, resized and ready to send
+  const [attachments, setAttachments] = useState([]);
+  const [attachmentError, setAttachmentError] = useState(null);
+  const fileInputRef = useRef(null);
+  // Catalog product shown in the drawer, and what had focus before it opened
+  const [openProductId, setOpenProductId] = useState(null);
+  const productOpenerRef = useRef(null);
   const messagesEndRef = useRef(null);
   const inputRef = useRef(null);
+  const dialogRef = useRef(null);
+  const launcherRef = useRef(null);
+  const wasOpen = useRef(defaultOpen);
+  // Pending feedback requests by message id, resolving to the feedback id
+  const feedbackRequests = useRef({});
+  // Aborts the reply currently on its way, if any
+  const replyController = useRef(null);
+  // Latest transcript, for sends that start outside of an event handler
+  const messagesRef = useRef(messages);
+  messagesRef.current = messages;
+  const isOnline = useOnlineStatus();
+  // Seconds until sending is allowed again after the server asked us to slow down
+  const [cooldown, startCooldown] = useCooldown();
+
+  // The dots loader is only needed until the first streamed chunk arrives
+  const isStreaming = messages.some(msg => msg.streaming);
+
+  // Props override the remote configuration, which overrides the defaults
+  const config = useMemo(
+    () => resolveWidgetConfig(remoteConfig, configOverrides),
+    [remoteConfig, configOverrides]
+  );
+
+  // Load the configuration served by the app so copy can change without a deploy
+  const resolvedConfigUrl = configUrl === undefined ? `${apiBase.replace(/\/$/, '')}/api/widget-config` : configUrl;
+  useEffect(() => {
+    if (!resolvedConfigUrl) return;
+    let cancelled = false;
+    api.fetchConfig(resolvedConfigUrl)
+      .then(data => { if (!cancelled) setRemoteConfig(data); })
+      .catch(error => console.error('Error:', error));
+    return () => { cancelled = true; };
+  }, [api, resolvedConfigUrl]);
+
+  // UI strings in the visitor's language, with configured copy taking precedence
+  const locale = useLocale(config.locale);
+  const t = useMemo(() => createTranslator(locale, copyOverrides(config, locale)), [locale, config]);
+  const dir = isRtl(locale) ? 'rtl' : 'ltr';
+
+  // Usage events for the analytics dashboard, unless the configuration turns them off
+  const track = (type, props) => {
+    if (config.analytics) analytics.track(type, sessionId, props);
+  };
+  // For effects that must not run again each time `track` is recreated
+  const trackRef = useRef(track);
+  trackRef.current = track;
+
+  // Send what is queued when the visitor leaves or hides the page
+  useEffect(() => {
+    const flushIfHidden = () => {
+      if (document.visibilityState === 'hidden') analytics.flush();
+    };
+    document.addEventListener('visibilitychange', flushIfHidden);
+    window.addEventListener('pagehide', analytics.flush);
+    return () => {
+      document.removeEventListener('visibilitychange', flushIfHidden);
+      window.removeEventListener('pagehide', analytics.flush);
+      analytics.flush();
+    };
+  }, [analytics]);
+
+  // Spoken input goes into the text field, after whatever was typed before it
+  const dictationBase = useRef('');
+  const dictation = useDictation(locale, (spoken) => {
+    const base = dictationBase.current;
+    setInputValue(`${base}${base && spoken ? ' ' : ''}${spoken}`.slice(0, MAX_MESSAGE_CHARS));
+  });
+  const toggleDictation = () => {
+    if (dictation.listening) {
+      dictation.stop();
+      return;
+    }
+    dictationBase.current = inputValue.trim();
+    dictation.start();
+  };
 
-  // Quick response options
-  const quickResponses = [
-    { id: 1, text: 'Different bed sizes available' },
-    { id: 2, text: 'Outdoor dining tables' },
-    { id: 3, text: 'Unique Sofa sets colors' },
-    { id: 4, text: 'Living room furniture colors' },
- 
-  ];
+  // Read when a reply finishes, which may be after the setting was toggled
+  const readAloud = useReadAloud();
+  const readAloudRef = useRef(false);
+  readAloudRef.current = config.voice && readAloud.enabled;
+
+  // The same theme drives the widget chrome and the formatted replies
+  const [theme, toggleTheme] = useTheme(config.format.theme);
+  const accentColor = theme === 'dark' ? config.format.darkAccentColor : config.format.accentColor;
+  const formatOptions = useMemo(() => ({ theme, accentColor }), [theme, accentColor]);
+  // Read when a reply finishes, which may be after the theme was toggled
+  const formatOptionsRef = useRef(formatOptions);
+  formatOptionsRef.current = formatOptions;
+
+  // Re-render finished replies from their Markdown when the theme changes
+  useEffect(() => {
+    setMessages(prev => prev.map(msg =>
+      messageTypeOf(msg) === 'markdown' && msg.raw && !msg.streaming
+        ? { ...msg, text: formatMessage(msg.raw, { ...formatOptions, mentions: msg.mentions }) }
+        : msg
+    ));
+  }, [formatOptions]);
 
   // Function to scroll to the bottom of messages
   const scrollToBottom = () => {
@@ -39,22 +239,56 @@ export default function Chatbot() {
     scrollToBottom();
   }, [messages]);
 
-  // Add initial welcome message
+  // Restore the saved conversation, or start with the welcome message
   useEffect(() => {
-    if (messages.length === 0) {
-      const welcomeMessage = {
-        id: Date.now(),
-        text: 'Hey there! How can I help you today?',
-        sender: 'bot',
-        time: new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
-        showQuickResponses: true
-      };
-      setMessages([welcomeMessage]);
+    const saved = loadConversation();
+    if (saved && saved.messages.length > 0) {
+      setMessages(saved.messages.map(msg => {
+        // Stored HTML is re-checked, it may predate the sanitizer or be tampered with
+        if (messageTypeOf(msg) === 'markdown') return { ...msg, text: sanitizeHtml(msg.text) };
+        // A send cut off by leaving the page gets a Retry button
+        if (msg.status === 'sending') return { ...msg, status: 'failed' };
+        return msg;
+      }));
+      if (saved.sessionId) setSessionId(saved.sessionId);
+      if (saved.handoff) setHandoff(saved.handoff);
+    } else {
+      setMessages([createWelcomeMessage()]);
     }
+    setHasRestored(true);
   }, []);
 
+  // Count the page view once the restored session id is known
+  useEffect(() => {
+    if (hasRestored) trackRef.current('widget_loaded');
+  }, [hasRestored]);
+
+  // Save the transcript whenever it changes, skipping partial streamed replies
+  useEffect(() => {
+    if (!hasRestored || isStreaming) return;
+    saveConversation({ sessionId, messages, handoff });
+  }, [messages, sessionId, handoff, hasRestored, isStreaming]);
+
+  // Follow the live chat with an agent while one is open
+  const handoffId = handoff?.id;
+  useEffect(() => {
+    if (!handoffId) return;
+    return api.followHandoff(handoffId, sessionId, {
+      onUpdate: (update) => {
+        setMessages(prev => applyHandoffUpdate(prev, update));
+        setHandoff(update.status === 'closed' ? null : { id: update.id, status: update.status, agentName: update.agentName });
+      },
+      // Ended while the widget was away, or lost when the server restarted
+      onGone: () => {
+        setMessages(prev => applyHandoffUpdate(prev, { id: handoffId, status: 'closed', messages: [] }));
+        setHandoff(null);
+      }
+    });
+  }, [api, handoffId, sessionId]);
+
   // Toggle chat window
   const toggleChat = () => {
+    track(isOpen ? 'widget_closed' : 'widget_opened');
     setIsOpen(!isOpen);
     // Focus input when chat is opened
     setTimeout(() => {
@@ -71,25 +305,144 @@ export default function Chatbot() {
 
   // Close chat window
   const closeChat = () => {
+    track('widget_closed');
+    stopSpeaking();
+    setOpenProductId(null);
     setIsOpen(false);
   };
 
-  // Handle quick response click
-  const handleQuickResponse = (text) => {
+  // Give focus back to the launcher once the window closes
+  useEffect(() => {
+    if (wasOpen.current && !isOpen) {
+      launcherRef.current?.focus();
+    }
+    wasOpen.current = isOpen;
+  }, [isOpen]);
+
+  // Escape closes the window; Tab and Shift+Tab stay inside it while open
+  const handleDialogKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.stopPropagation();
+      closeChat();
+      return;
+    }
+    if (e.key !== 'Tab') return;
+
+    const focusable = Array.from(dialogRef.current.querySelectorAll(FOCUSABLE))
+      .filter(element => element.tabIndex >= 0);
+    if (focusable.length === 0) return;
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    // Inside a shadow root document.activeElement is the host element
+    const active = dialogRef.current.getRootNode().activeElement;
+    if (e.shiftKey && active === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && active === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  };
+
+  // Drop the saved transcript and start over with a fresh session
+  const startNewConversation = () => {
+    track('conversation_reset');
+    stopSpeaking();
+    if (handoff) {
+      api.endHandoff(handoff.id, sessionId).catch(error => console.error('Error:', error));
+      setHandoff(null);
+    }
+    setShowLeaveMessage(false);
+    clearConversation();
+    setSessionId(createSessionId());
+    setMessages([createWelcomeMessage()]);
+    setInputValue('');
+    setShowRating(false);
+    setCurrentRatingMessageId(null);
+    inputRef.current?.focus();
+  };
+
+  // Handle a click on a quick reply or on a suggestion under a bot answer
+  const handleQuickResponse = (text, suggestion = false) => {
+    track('quick_reply_clicked', { text, suggestion });
     sendMessage(null, text);
   };
 
+  // Chips are only offered under the latest turn; a newer message retires them
+  const latestTurnId = [...messages].reverse().find(msg => !isStandalone(msg) && !msg.partOf)?.id;
+
   // Handle rating click
   const handleRating = (messageId, isPositive) => {
+    const rating = isPositive ? 'positive' : 'negative';
     setMessages(prev => 
       prev.map(msg => 
         msg.id === messageId 
-          ? { ...msg, rated: true, rating: isPositive ? 'positive' : 'negative' } 
+          ? { ...msg, rated: true, rating, awaitingReason: !isPositive } 
           : msg
       )
     );
     setShowRating(false);
-    // Here you could also send the rating to your API
+    track('reply_rated', { rating });
+
+    // Store the rating with the reply and the question that led to it
+    const index = messages.findIndex(msg => msg.id === messageId);
+    const question = messages.slice(0, index).reverse().find(msg => msg.sender === 'user');
+    feedbackRequests.current[messageId] = api.sendFeedback({
+      sessionId,
+      messageId,
+      replyId: messages[index]?.replyId,
+      rating,
+      messageText: messages[index]?.raw,
+      question: question?.text
+    }).catch(error => {
+      console.error('Error:', error);
+      return null;
+    });
+  };
+
+  // Handle the optional reason after a thumbs-down (null when skipped)
+  const handleFeedbackReason = async (messageId, reason) => {
+    setMessages(prev =>
+      prev.map(msg => msg.id === messageId ? { ...msg, awaitingReason: false } : msg)
+    );
+    if (!reason) return;
+
+    const feedbackId = await feedbackRequests.current[messageId];
+    if (feedbackId) {
+      api.updateFeedback(feedbackId, reason).catch(error => console.error('Error:', error));
+    }
+  };
+
+  // Check and resize picked photos, keeping at most MAX_ATTACHMENTS
+  const handleImagesPicked = async (e) => {
+    const files = Array.from(e.target.files || []);
+    // Lets the same file be picked again after it was removed
+    e.target.value = '';
+    setAttachmentError(null);
+
+    const room = MAX_ATTACHMENTS - attachments.length;
+    if (files.length > room) setAttachmentError(t('tooManyImages', { max: MAX_ATTACHMENTS }));
+    for (const file of files.slice(0, Math.max(0, room))) {
+      const problem = checkImageFile(file);
+      if (problem) {
+        setAttachmentError(t(problem, { max: MAX_SOURCE_BYTES / 1024 / 1024 }));
+        continue;
+      }
+      try {
+        const image = await prepareImage(file);
+        setAttachments(prev => [...prev, image].slice(0, MAX_ATTACHMENTS));
+      } catch (error) {
+        console.error('Error:', error);
+        setAttachmentError(t('imageReadError'));
+      }
+    }
+  };
+
+  const removeAttachment = (imageId) => {
+    setAttachments(prev => prev.filter(image => image.id !== imageId));
+    setAttachmentError(null);
+    inputRef.current?.focus();
   };
 
   // Handle key press in input field
@@ -100,84 +453,315 @@ export default function Chatbot() {
     }
   };
 
-  // Send message to API
-  const sendMessage = async (e, quickResponseText = null) => {
+  // Send the user's message, or queue it while offline or busy with another reply
+  const sendMessage = (e, quickResponseText = null) => {
     if (e) e.preventDefault();
     
     const messageText = quickResponseText || inputValue;
-    if (!messageText.trim()) return;
+    // Photos go with typed messages to the bot, not with quick replies or to an agent
+    const images = quickResponseText || handoff ? [] : attachments;
+    if ((!messageText.trim() && images.length === 0) || cooldown > 0) return;
+    if (dictation.listening) dictation.stop();
+    stopSpeaking();
+
+    // During a live chat messages go to the agent instead of the bot
+    if (handoff) {
+      const handoffMessage = {
+        // The server echoes the message back with the same id
+        id: createSessionId(),
+        text: messageText,
+        sender: 'user',
+        createdAt: Date.now(),
+        handoff: true
+      };
+      setMessages(prev => [...prev, handoffMessage]);
+      setInputValue('');
+      deliverHandoffMessage(handoffMessage);
+      return;
+    }
     
     // Add user message to chat
+    const canSend = isOnline && !isLoading;
     const userMessage = {
       id: Date.now(),
       text: messageText,
       sender: 'user',
-      time: new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+      createdAt: Date.now(),
+      attachments: images.length > 0 ? images : undefined,
+      // Queued messages go out as soon as the widget is free and online
+      status: canSend ? undefined : 'queued'
     };
-    
+
     setMessages(prev => [...prev, userMessage]);
     setInputValue('');
+    if (images.length > 0) {
+      setAttachments([]);
+      setAttachmentError(null);
+    }
+    track('message_sent', { length: messageText.length, quickReply: Boolean(quickResponseText), images: images.length });
+    if (canSend) {
+      deliverMessage(userMessage);
+    }
+  };
+
+  // Send a user message that is already in the transcript to the API
+  const deliverMessage = async (userMessage) => {
+    // Earlier turns give the backend context for follow-up questions
+    const current = messagesRef.current;
+    const position = current.findIndex(msg => msg.id === userMessage.id);
+    const history = buildHistory(position === -1 ? current : current.slice(0, position));
+
+    // A reply cut short by an earlier failed attempt is replaced by the new one
+    setMessages(prev => prev
+      .filter(msg => !(msg.replyTo === userMessage.id && msg.interrupted))
+      .map(msg => msg.id === userMessage.id ? { ...msg, status: 'sending' } : msg)
+    );
     setIsLoading(true);
+    const controller = new AbortController();
+    replyController.current = controller;
+
+    const botMessageId = Date.now() + 1;
+    const botCreatedAt = Date.now();
+    let rawText = '';
+    let firstChunkMs;
 
     try {
-      // Call the API
-      const response = await fetch('/api/proxy-chat', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ message: messageText }),
+      // Call the API and render the reply as it streams in
+      const data = await api.streamChat({
+        message: userMessage.text,
+        history,
+        sessionId,
+        locale,
+        // Restored messages only have thumbnails; the full photos were not saved
+        attachments: userMessage.attachments
+          ?.filter(image => image.data)
+          .map(({ type, data }) => ({ type, data })),
+        signal: controller.signal,
+        onDelta: (delta) => {
+          firstChunkMs ??= Date.now() - botCreatedAt;
+          rawText += delta;
+          setMessages(prev => upsertMessage(prev, {
+            id: botMessageId,
+            replyTo: userMessage.id,
+            raw: rawText,
+            text: formatMessage(rawText, { ...formatOptionsRef.current, partial: true }),
+            sender: 'bot',
+            createdAt: botCreatedAt,
+            type: 'markdown',
+            streaming: true
+          }));
+        }
       });
-      
-      if (!response.ok) {
-        throw new Error('Failed to get response');
-      }
-      
-      const data = await response.json();
-      console.log(data);
-      
-      // Add bot response to chat
-      const botMessageId = Date.now();
+
+      // Adopt the session id the server settled on
+      if (data.sessionId) setSessionId(data.sessionId);
+
+      const finalText = data.response || rawText;
       const botMessage = {
         id: botMessageId,
-        text: formatMessage(data.response) || 'Sorry, I could not process your request.',
+        replyTo: userMessage.id,
+        raw: finalText,
+        // A reply made of product cards alone needs no fallback text
+        text: formatMessage(finalText, { ...formatOptionsRef.current, mentions: data.mentions }) ||
+          (data.products ? '' : t('emptyReply')),
+        products: data.products,
+        mentions: data.mentions,
+        suggestions: data.suggestions,
+        // Ties a rating to the exchange in the transcript
+        replyId: data.replyId,
         sender: 'bot',
-        time: new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
+        createdAt: botCreatedAt,
         showRating: true,
-        isHTML: true // Flag to indicate this message contains HTML
+        type: 'markdown'
       };
+      const richMessages = richMessagesFor(botMessage, data.messages, formatOptionsRef.current);
 
-      console.log(botMessage.text);
-      
-      setMessages(prev => [...prev, botMessage]);
+      // Offer the lead form under the reply, once per conversation
+      const leadForm = data.form === 'lead' && config.leadCapture &&
+        !messagesRef.current.some(msg => msg.type === 'form' && msg.form === 'lead')
+        ? {
+          id: botMessageId + 1,
+          replyTo: richMessages.at(-1)?.id ?? botMessageId,
+          type: 'form',
+          form: 'lead',
+          formStatus: 'open',
+          // Saved with the lead so the team knows what was asked
+          interest: userMessage.text,
+          sender: 'bot',
+          createdAt: botCreatedAt
+        }
+        : null;
+
+      setMessages(prev => [botMessage, ...richMessages, ...(leadForm ? [leadForm] : [])].reduce(
+        upsertMessage,
+        prev.map(msg => msg.id === userMessage.id ? { ...msg, status: undefined } : msg)
+      ));
       setCurrentRatingMessageId(botMessageId);
       setShowRating(true);
+      // Spoken from the Markdown, so markup and link targets are not read out
+      if (readAloudRef.current) speak(speechText(finalText), { lang: locale });
+      track('reply_received', {
+        firstChunkMs: firstChunkMs ?? Date.now() - botCreatedAt,
+        durationMs: Date.now() - botCreatedAt,
+        products: data.products?.length ?? 0
+      });
     } catch (error) {
-      console.error('Error:', error);
-      
-      // Add error message
-      const errorMessage = {
-        id: Date.now(),
-        text: 'Sorry, there was an error processing your request. Please try again later.',
-        sender: 'bot',
-        time: new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
-      };
-      
-      setMessages(prev => [...prev, errorMessage]);
+      if (!error.cancelled) console.error('Error:', error);
+
+      // Stopped by the visitor: the message counts as sent.
+      // Connection lost: send again automatically once it is back.
+      // Anything else: keep the message with a Retry button.
+      let status;
+      if (!error.cancelled) status = navigator.onLine === false ? 'queued' : 'failed';
+      // Rate limited: pause sending for as long as the server asked
+      if (error.status === 429) startCooldown(error.retryAfter);
+      if (error.cancelled) track('reply_stopped');
+      else track('reply_failed', { status: error.status ?? 0 });
+      setMessages(prev => prev.map(msg => {
+        if (msg.id === userMessage.id) return { ...msg, status };
+        // Keep any partial reply that already arrived
+        if (msg.id === botMessageId) return { ...msg, streaming: false, interrupted: true };
+        return msg;
+      }));
     } finally {
+      if (replyController.current === controller) replyController.current = null;
       setIsLoading(false);
     }
-  }
+  };
+  // The offline queue sends with the latest one, without re-running on each render
+  const deliverMessageRef = useRef(deliverMessage);
+  deliverMessageRef.current = deliverMessage;
+
+  // Send a message to the agent; the echo from the server confirms delivery
+  const deliverHandoffMessage = async (message) => {
+    const setStatus = (status) => setMessages(prev =>
+      prev.map(msg => msg.id === message.id ? { ...msg, status } : msg)
+    );
+    setStatus('sending');
+    try {
+      await api.sendHandoffMessage(handoff.id, { sessionId, id: message.id, text: message.text });
+      setStatus(undefined);
+    } catch (error) {
+      console.error('Error:', error);
+      if (error.status === 429) startCooldown(error.retryAfter);
+      setStatus('failed');
+    }
+  };
+
+  // Ask for a person; when nobody is online, offer to leave a message instead
+  const requestAgent = async () => {
+    setIsRequestingAgent(true);
+    try {
+      const opened = await api.requestHandoff({ sessionId, locale, history: buildHistory(messagesRef.current) });
+      if (opened) {
+        setMessages(prev => applyHandoffUpdate(prev, opened));
+        setHandoff({ id: opened.id, status: opened.status, agentName: opened.agentName });
+      } else {
+        setShowLeaveMessage(true);
+      }
+    } catch (error) {
+      console.error('Error:', error);
+      setMessages(prev => [...prev, { id: Date.now(), type: 'system', sender: 'system', notice: 'handoffFailed', createdAt: Date.now() }]);
+    } finally {
+      setIsRequestingAgent(false);
+    }
+  };
+
+  // Leave the live chat and go back to the bot
+  const endLiveChat = async () => {
+    const current = handoff;
+    try {
+      await api.endHandoff(current.id, sessionId);
+    } catch (error) {
+      console.error('Error:', error);
+    }
+    setMessages(prev => applyHandoffUpdate(prev, { ...current, status: 'closed', messages: [] }));
+    setHandoff(null);
+  };
+
+  // Store the message for the team; the form shows the error if it fails
+  const leaveMessage = async (contact) => {
+    await api.sendContactRequest({ ...contact, sessionId, locale });
+    setShowLeaveMessage(false);
+    setMessages(prev => [...prev, { id: Date.now(), type: 'system', sender: 'system', notice: 'messageLeft', createdAt: Date.now() }]);
+  };
+
+  const setFormStatus = (messageId, formStatus) => {
+    setMessages(prev => prev.map(msg => msg.id === messageId ? { ...msg, formStatus } : msg));
+  };
+
+  // Store the lead with the conversation it came from; the form shows the error if it fails
+  const submitLead = async (message, lead) => {
+    await api.sendLead({ ...lead, sessionId, locale, interest: message.interest });
+    setFormStatus(message.id, 'submitted');
+  };
+
+  // Show a catalog product named in a reply
+  const openProduct = (productId) => {
+    productOpenerRef.current = dialogRef.current?.getRootNode().activeElement;
+    setOpenProductId(productId);
+    track('product_opened', { id: productId });
+  };
+
+  const closeProduct = () => {
+    setOpenProductId(null);
+    productOpenerRef.current?.focus();
+  };
+
+  // Passed to every message renderer (see ./messageTypes.js)
+  const messageProps = {
+    t,
+    locale,
+    onReply: handleQuickResponse,
+    onSubmitForm: submitLead,
+    onFormStatus: setFormStatus,
+    onOpenProduct: openProduct,
+    disabled: isLoading || cooldown > 0
+  };
+
+  // Stop the reply on its way; whatever arrived so far stays in the transcript
+  const stopReply = () => {
+    replyController.current?.abort();
+    inputRef.current?.focus();
+  };
+
+  // Send a failed message again
+  const retryMessage = (messageId) => {
+    const message = messages.find(msg => msg.id === messageId);
+    if (!message) return;
+    if (message.handoff) {
+      deliverHandoffMessage(message);
+    } else if (isOnline) {
+      deliverMessage(message);
+    } else {
+      setMessages(prev => prev.map(msg => msg.id === messageId ? { ...msg, status: 'queued' } : msg));
+    }
+  };
+
+  // Send queued messages one at a time, oldest first, once online
+  useEffect(() => {
+    if (!hasRestored || !isOnline || isLoading || cooldown > 0) return;
+    const queued = messages.find(msg => msg.status === 'queued');
+    if (queued) deliverMessageRef.current(queued);
+  }, [hasRestored, isOnline, isLoading, cooldown, messages]);
 
   return (
-    <div className="fixed bottom-4 right-4 z-50">
+    <div
+      className="chat-widget fixed bottom-4 end-4 z-50"
+      lang={locale}
+      dir={dir}
+      style={{ ...colorVariables(config.colors), ...themeVariables(theme) }}
+    >
       {/* Chat toggle button */}
       {!isOpen && (
         <button 
+          ref={launcherRef}
           onClick={toggleChat}
-          className="bg-blue-600 text-white rounded-full p-4 shadow-lg flex items-center justify-center hover:bg-blue-700 transition-colors w-16 h-16"
+          aria-label={t('openChat')}
+          aria-haspopup="dialog"
+          className="bg-[var(--jb-primary)] text-[var(--jb-on-primary)] rounded-full p-4 shadow-lg flex items-center justify-center hover:bg-[var(--jb-primary-hover)] transition-colors w-16 h-16"
         >
-          <svg xmlns="http://www.w3.org/2000/svg" className="h-8 w-8" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+          <svg aria-hidden="true" xmlns="http://www.w3.org/2000/svg" className="h-8 w-8" fill="none" viewBox="0 0 24 24" stroke="currentColor">
             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 12h.01M12 12h.01M16 12h.01M21 12c0 4.418-4.03 8-9 8a9.863 9.863 0 01-4.255-.949L3 20l1.395-3.72C3.512 15.042 3 13.574 3 12c0-4.418 4.03-8 9-8s9 3.582 9 8z" />
           </svg>
         </button>
@@ -185,19 +769,27 @@ export default function Chatbot() {
       
       {/* Chat window */}
       {isOpen && (
-        <div className="bg-white rounded-[16px] shadow-xl flex flex-col w-96 overflow-hidden border border-gray-200" style={{height: isExpanded ? '700px' : 'auto', maxHeight: '700px'}}>
+        <div
+          ref={dialogRef}
+          role="dialog"
+          aria-modal="true"
+          aria-label={t('chatWindow')}
+          onKeyDown={handleDialogKeyDown}
+          className="relative bg-[var(--jb-surface)] rounded-[16px] shadow-xl flex flex-col w-96 overflow-hidden border border-[var(--jb-border)]"
+          style={{height: isExpanded ? '700px' : 'auto', maxHeight: '700px'}}
+        >
           {/* Fluid Header with Wave Pattern */}
-          <div className="relative bg-blue-600 text-white" style={{ minHeight: '100px' }}>
+          <div className="chat-header relative bg-[var(--jb-primary)] text-[var(--jb-on-primary)]" style={{ minHeight: '100px' }}>
             {/* Curved Wave Bottom Border */}
             <div className="absolute bottom-0 left-0 w-full overflow-hidden" style={{ height: '16px' }}>
-              <svg 
+              <svg aria-hidden="true" 
                 className="absolute bottom-0 w-full h-full"
                 viewBox="0 0 400 20" 
                 preserveAspectRatio="none"
               >
                 <path 
                   d="M0,0 C100,40 300,-20 400,10 L400,20 L0,20 Z" 
-                  fill="white"
+                  className="fill-[var(--jb-surface)]"
                 />
               </svg>
             </div>
@@ -206,31 +798,76 @@ export default function Chatbot() {
             <div className="py-[20px] px-[20px] relative z-10">
               <div className="flex justify-between items-center">
                 <div className="flex items-center">
-                  <button onClick={closeChat} className="w-8 h-8 rounded-full flex items-center justify-center mr-1 text-white font-bold hover:bg-[#0558DA]">
-                    <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" fill="white" viewBox="0 0 24 24" className="directional-icon">
+                  <button onClick={closeChat} aria-label={t('closeChat')} className="w-8 h-8 rounded-full flex items-center justify-center me-1 font-bold hover:bg-[var(--jb-primary-hover)]">
+                    <svg aria-hidden="true" xmlns="http://www.w3.org/2000/svg" width="24" height="24" fill="currentColor" viewBox="0 0 24 24" className="directional-icon">
                       <path d="M16.6312 17.7375L14.8687 19.5L7.36865 12L14.8687 4.5L16.6312 6.2625L10.9062 12L16.6312 17.7375Z"></path>
                     </svg>
                   </button>
                   <div>
                     <div className={`${mulish.variable}`}>
-                      <div className="text-md font-mulish">Hi there! <span className='text-lg'>👋</span></div>
+                      <div className="text-md font-mulish">{t('greeting')}</div>
                     </div>
                   </div>
                 </div>
                 <div className="flex">
-                  <button onClick={toggleExpand} className="text-white p-1 hover:bg-blue-500 rounded mr-1">
+                  {config.voice && readAloud.supported && (
+                    <button
+                      onClick={readAloud.toggle}
+                      title={t('readAloud')}
+                      aria-label={t('readAloud')}
+                      aria-pressed={readAloud.enabled}
+                      className={`p-1 hover:bg-[var(--jb-primary-hover)] rounded me-1 ${readAloud.enabled ? 'bg-[var(--jb-primary-hover)]' : ''}`}
+                    >
+                      <svg aria-hidden="true" xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
+                        <path fillRule="evenodd" d="M9.383 3.076A1 1 0 0110 4v12a1 1 0 01-1.707.707L4.586 13H2a1 1 0 01-1-1V8a1 1 0 011-1h2.586l3.707-3.707a1 1 0 011.09-.217zM14.657 2.929a1 1 0 011.414 0A9.972 9.972 0 0119 10a9.972 9.972 0 01-2.929 7.071 1 1 0 01-1.414-1.414A7.971 7.971 0 0017 10c0-2.21-.894-4.208-2.343-5.657a1 1 0 010-1.414zm-2.829 2.828a1 1 0 011.415 0A5.983 5.983 0 0115 10a5.984 5.984 0 01-1.757 4.243 1 1 0 01-1.415-1.415A3.984 3.984 0 0013 10a3.983 3.983 0 00-1.172-2.828 1 1 0 010-1.415z" clipRule="evenodd" />
+                      </svg>
+                    </button>
+                  )}
+                  <button
+                    onClick={toggleTheme}
+                    title={theme === 'dark' ? t('lightMode') : t('darkMode')}
+                    aria-label={theme === 'dark' ? t('lightMode') : t('darkMode')}
+                    className="p-1 hover:bg-[var(--jb-primary-hover)] rounded me-1"
+                  >
+                    {theme === 'dark' ? (
+                      <svg aria-hidden="true" xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
+                        <path fillRule="evenodd" d="M10 2a1 1 0 011 1v1a1 1 0 11-2 0V3a1 1 0 011-1zm4 8a4 4 0 11-8 0 4 4 0 018 0zm-.464 4.95l.707.707a1 1 0 001.414-1.414l-.707-.707a1 1 0 00-1.414 1.414zm2.12-10.607a1 1 0 010 1.414l-.706.707a1 1 0 11-1.414-1.414l.707-.707a1 1 0 011.414 0zM17 11a1 1 0 100-2h-1a1 1 0 100 2h1zm-7 4a1 1 0 011 1v1a1 1 0 11-2 0v-1a1 1 0 011-1zM5.05 6.464A1 1 0 106.465 5.05l-.708-.707a1 1 0 00-1.414 1.414l.707.707zm1.414 8.486l-.707.707a1 1 0 01-1.414-1.414l.707-.707a1 1 0 011.414 1.414zM4 11a1 1 0 100-2H3a1 1 0 000 2h1z" clipRule="evenodd" />
+                      </svg>
+                    ) : (
+                      <svg aria-hidden="true" xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
+                        <path d="M17.293 13.293A8 8 0 016.707 2.707a8.001 8.001 0 1010.586 10.586z" />
+                      </svg>
+                    )}
+                  </button>
+                  <button
+                    onClick={startNewConversation}
+                    disabled={isLoading}
+                    title={t('newConversation')}
+                    aria-label={t('newConversation')}
+                    className="p-1 hover:bg-[var(--jb-primary-hover)] rounded me-1 disabled:opacity-50"
+                  >
+                    <svg aria-hidden="true" xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
+                      <path fillRule="evenodd" d="M4 2a1 1 0 011 1v2.101a7.002 7.002 0 0111.601 2.566 1 1 0 11-1.885.666A5.002 5.002 0 005.999 7H9a1 1 0 010 2H4a1 1 0 01-1-1V3a1 1 0 011-1zm.008 9.057a1 1 0 011.276.61A5.002 5.002 0 0014.001 13H11a1 1 0 110-2h5a1 1 0 011 1v5a1 1 0 11-2 0v-2.101a7.002 7.002 0 01-11.601-2.566 1 1 0 01.61-1.276z" clipRule="evenodd" />
+                    </svg>
+                  </button>
+                  <button
+                    onClick={toggleExpand}
+                    aria-label={isExpanded ? t('minimizeChat') : t('expandChat')}
+                    aria-expanded={isExpanded}
+                    className="p-1 hover:bg-[var(--jb-primary-hover)] rounded me-1"
+                  >
                     {isExpanded ? (
-                      <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
+                      <svg aria-hidden="true" xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
                         <path fillRule="evenodd" d="M14.707 12.707a1 1 0 01-1.414 0L10 9.414l-3.293 3.293a1 1 0 01-1.414-1.414l4-4a1 1 0 011.414 0l4 4a1 1 0 010 1.414z" clipRule="evenodd" />
                       </svg>
                     ) : (
-                      <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
+                      <svg aria-hidden="true" xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
                         <path fillRule="evenodd" d="M5.293 7.293a1 1 0 011.414 0L10 10.586l3.293-3.293a1 1 0 111.414 1.414l-4 4a1 1 0 01-1.414 0l-4-4a1 1 0 010-1.414z" clipRule="evenodd" />
                       </svg>
                     )}
                   </button>
-                  <button onClick={closeChat} className="text-white p-1 hover:bg-blue-500 rounded">
-                    <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
+                  <button onClick={closeChat} aria-label={t('closeChat')} className="p-1 hover:bg-[var(--jb-primary-hover)] rounded">
+                    <svg aria-hidden="true" xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
                       <path fillRule="evenodd" d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z" clipRule="evenodd" />
                     </svg>
                   </button>
@@ -239,8 +876,8 @@ export default function Chatbot() {
               
               {/* Status Label */}
               {isExpanded && (
-                <div className="text-sm text-white opacity-90 mt-2 font-sans ml-[10px]">
-                  I'm JenniBot – Your 24/7 Design Concierge
+                <div className="text-sm opacity-90 mt-2 font-sans ms-[10px]">
+                  {t('tagline')}
                 </div>
               )}
             </div>
@@ -249,139 +886,329 @@ export default function Chatbot() {
           {isExpanded && (
             <>
               {/* Messages area */}
-              <div className="flex-1 p-4 overflow-y-auto bg-white" style={{minHeight: '400px'}}>
-                {messages.map((message) => (
+              {/* New messages are read out by screen readers as they are added; the log is
+                  busy while a reply streams, so the reply is read once when it is complete
+                  instead of again on every chunk */}
+              <div
+                role="log"
+                aria-live="polite"
+                aria-busy={isStreaming}
+                aria-label={t('conversation')}
+                className="flex-1 p-4 overflow-y-auto bg-[var(--jb-surface)]"
+                style={{minHeight: '400px'}}
+              >
+                {messages.map((message) => isStandalone(message) ? (
+                  <MessageContent key={message.id} message={message} {...messageProps} />
+                ) : (
                   <div key={message.id} className={`mb-6 ${message.sender === 'user' ? 'user-message' : 'bot-message'}`}>
                     <div 
                       className={`flex ${message.sender === 'user' ? 'justify-end' : 'justify-start'}`}
                     >
                       {message.sender === 'bot' && (
-                        <div className="w-8 h-8 rounded-full overflow-hidden flex-shrink-0 mr-2 bg-blue-100 flex items-center justify-center">
-                          <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 text-blue-600" viewBox="0 0 20 20" fill="currentColor">
+                        <div className="w-8 h-8 rounded-full overflow-hidden flex-shrink-0 me-2 bg-[var(--jb-primary-soft)] flex items-center justify-center">
+                          <svg aria-hidden="true" xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 text-[var(--jb-primary)]" viewBox="0 0 20 20" fill="currentColor">
                             <path fillRule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7-4a1 1 0 11-2 0 1 1 0 012 0zM9 9a1 1 0 000 2v3a1 1 0 001 1h1a1 1 0 100-2v-3a1 1 0 00-1-1H9z" clipRule="evenodd" />
                           </svg>
                         </div>
                       )}
+                      {message.sender === 'agent' && (
+                        <div aria-hidden="true" className="w-8 h-8 rounded-full flex-shrink-0 me-2 bg-[var(--jb-primary)] text-[var(--jb-on-primary)] text-sm font-bold flex items-center justify-center">
+                          {message.agentName?.charAt(0).toUpperCase()}
+                        </div>
+                      )}
                       
                       <div 
                         className={`px-4 py-3 rounded-2xl max-w-[90%] ${
                           message.sender === 'user' 
-                            ? 'bg-blue-600 text-white rounded-tr-none' 
-                            : 'bg-gray-100 text-gray-800 rounded-tl-none'
+                            ? 'bg-[var(--jb-primary)] text-[var(--jb-on-primary)] rounded-se-none' 
+                            : 'bg-[var(--jb-surface-muted)] text-[var(--jb-text)] rounded-ss-none'
                         }`}
                       >
-                        {message.isHTML ? (
-                          <div 
-                            className="message-content" 
-                            dangerouslySetInnerHTML={{ __html: message.text }}
-                          />
-                        ) : (
-                          <div className="whitespace-pre-wrap text-sm">{message.text}</div>
+                        {message.attachments?.length > 0 && (
+                          <div className={`flex flex-wrap justify-end gap-1 ${message.text ? 'mb-2' : ''}`}>
+                            {message.attachments.map(image => (
+                              <img
+                                key={image.id}
+                                src={image.thumbnail}
+                                alt={t('attachedImage')}
+                                className="h-20 w-20 object-cover rounded-lg"
+                              />
+                            ))}
+                          </div>
                         )}
+                        <MessageContent message={message} {...messageProps} />
                       </div>
                     </div>
                     
                     {/* Time under message */}
-                    <div className={`text-xs text-gray-500 mt-1 ${message.sender === 'user' ? 'text-right mr-1' : 'ml-10'}`}>
-                      {message.sender === 'bot' ? 'JenniBot Agent - ' : ''}{message.time}
+                    <div className={`text-xs text-[var(--jb-text-muted)] mt-1 ${message.sender === 'user' ? 'text-end me-1' : 'ms-10'}`}>
+                      {message.sender === 'bot' ? `${t('agentLabel')} - ` : ''}
+                      {message.sender === 'agent' ? `${message.agentName} - ` : ''}
+                      {message.createdAt ? formatTime(message.createdAt, locale) : message.time}
                     </div>
-                    
-                    {/* Quick responses after bot messages */}
-                    {message.showQuickResponses && (
-                      <div className="mt-3 flex flex-wrap gap-2 justify-center">
-                        {quickResponses.map(response => (
-                          <button
-                            key={response.id}
-                            onClick={() => handleQuickResponse(response.text)}
-                            className="bg-white text-gray-700 border border-gray-300 rounded-full px-3 py-1 text-sm hover:bg-gray-50 transition-colors"
-                          >
-                            {response.text}
-                          </button>
-                        ))}
+
+                    {/* Delivery problems */}
+                    {message.status === 'queued' && !isOnline && (
+                      <div className="text-xs text-[var(--jb-text-muted)] mt-1 text-end me-1">
+                        {t('queuedMessage')}
                       </div>
                     )}
+                    {message.status === 'failed' && (
+                      <div className="text-xs text-[var(--jb-danger)] mt-1 text-end me-1">
+                        {t('notSent')}{' '}
+                        <button
+                          type="button"
+                          onClick={() => retryMessage(message.id)}
+                          disabled={isLoading || cooldown > 0 || (message.handoff && !handoff)}
+                          className="font-semibold underline disabled:opacity-50"
+                        >
+                          {t('retry')}
+                        </button>
+                      </div>
+                    )}
+                    {message.interrupted && (
+                      <div className="text-xs text-[var(--jb-text-muted)] mt-1 ms-10 italic">
+                        {t('replyInterrupted')}
+                      </div>
+                    )}
+                    
+                    {/* Quick responses after the welcome message, suggested follow-ups after answers */}
+                    {message.id === latestTurnId && message.showQuickResponses && (
+                      <QuickReplies
+                        replies={t('quickReplies')}
+                        label={t('suggestedQuestions')}
+                        onSelect={handleQuickResponse}
+                      />
+                    )}
+                    {message.id === latestTurnId && !message.streaming && (
+                      <QuickReplies
+                        replies={message.suggestions}
+                        label={t('suggestedReplies')}
+                        onSelect={(text) => handleQuickResponse(text, true)}
+                      />
+                    )}
                     
                     {/* Rating buttons */}
                     {message.showRating && currentRatingMessageId === message.id && showRating && !message.rated && (
-                      <div className="mt-2 flex items-center justify-start">
-                        <span className="text-sm text-gray-500 mr-2">Was this helpful?</span>
+                      <div className="mt-2 flex items-center justify-start" role="group" aria-label={t('wasThisHelpful')}>
+                        <span className="text-sm text-[var(--jb-text-muted)] me-2" aria-hidden="true">{t('wasThisHelpful')}</span>
                         <button 
                           onClick={() => handleRating(message.id, true)}
-                          className="text-gray-500 hover:text-blue-500 mr-2"
+                          aria-label={t('helpful')}
+                          className="text-[var(--jb-text-muted)] hover:text-[var(--jb-primary)] me-2"
                         >
-                          <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
+                          <svg aria-hidden="true" xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
                             <path d="M2 10.5a1.5 1.5 0 113 0v6a1.5 1.5 0 01-3 0v-6zM6 10.333v5.43a2 2 0 001.106 1.79l.05.025A4 4 0 008.943 18h5.416a2 2 0 001.962-1.608l1.2-6A2 2 0 0015.56 8H12V4a2 2 0 00-2-2 1 1 0 00-1 1v.667a4 4 0 01-.8 2.4L6.8 7.933a4 4 0 00-.8 2.4z" />
                           </svg>
                         </button>
                         <button 
                           onClick={() => handleRating(message.id, false)}
-                          className="text-gray-500 hover:text-red-500"
+                          aria-label={t('notHelpful')}
+                          className="text-[var(--jb-text-muted)] hover:text-red-500"
                         >
-                          <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
+                          <svg aria-hidden="true" xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
                             <path d="M18 9.5a1.5 1.5 0 11-3 0v-6a1.5 1.5 0 013 0v6zM14 9.667v-5.43a2 2 0 00-1.105-1.79l-.05-.025A4 4 0 0011.055 2H5.64a2 2 0 00-1.962 1.608l-1.2 6A2 2 0 004.44 12H8v4a2 2 0 002 2 1 1 0 001-1v-.667a4 4 0 01.8-2.4l1.4-1.866a4 4 0 00.8-2.4z" />
                           </svg>
                         </button>
                       </div>
                     )}
                     
+                    {/* Ask what went wrong after a thumbs-down */}
+                    {message.awaitingReason && (
+                      <FeedbackPrompt
+                        t={t}
+                        onSubmit={(reason) => handleFeedbackReason(message.id, reason)}
+                        onSkip={() => handleFeedbackReason(message.id, null)}
+                      />
+                    )}
+
                     {/* Show rating result */}
-                    {message.rated && (
-                      <div className="mt-2 text-xs text-gray-500 ml-10">
-                        Thanks for your feedback!
+                    {message.rated && !message.awaitingReason && (
+                      <div className="mt-2 text-xs text-[var(--jb-text-muted)] ms-10">
+                        {t('thanksForFeedback')}
                       </div>
                     )}
                   </div>
                 ))}
+
+                {/* Nobody online to take the chat */}
+                {showLeaveMessage && (
+                  <LeaveMessageForm t={t} onSubmit={leaveMessage} onCancel={() => setShowLeaveMessage(false)} />
+                )}
                 
-                {isLoading && (
-                  <div className="flex justify-start mb-4">
-                    <div className="w-8 h-8 rounded-full overflow-hidden flex-shrink-0 mr-2 bg-blue-100 flex items-center justify-center">
-                      <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 text-blue-600" viewBox="0 0 20 20" fill="currentColor">
+                {isLoading && !isStreaming && (
+                  <div className="flex justify-start mb-4" aria-hidden="true">
+                    <div className="w-8 h-8 rounded-full overflow-hidden flex-shrink-0 me-2 bg-[var(--jb-primary-soft)] flex items-center justify-center">
+                      <svg aria-hidden="true" xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 text-[var(--jb-primary)]" viewBox="0 0 20 20" fill="currentColor">
                         <path fillRule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7-4a1 1 0 11-2 0 1 1 0 012 0zM9 9a1 1 0 000 2v3a1 1 0 001 1h1a1 1 0 100-2v-3a1 1 0 00-1-1H9z" clipRule="evenodd" />
                       </svg>
                     </div>
-                    <div className="bg-gray-100 text-black px-4 py-3 rounded-2xl rounded-tl-none">
+                    <div className="bg-[var(--jb-surface-muted)] text-[var(--jb-text)] px-4 py-3 rounded-2xl rounded-ss-none">
                       <div className="flex space-x-1">
-                        <div className="w-2 h-2 bg-gray-400 rounded-full animate-bounce"></div>
-                        <div className="w-2 h-2 bg-gray-400 rounded-full animate-bounce" style={{ animationDelay: '0.2s' }}></div>
-                        <div className="w-2 h-2 bg-gray-400 rounded-full animate-bounce" style={{ animationDelay: '0.4s' }}></div>
+                        <div className="w-2 h-2 bg-[var(--jb-text-muted)] rounded-full animate-bounce"></div>
+                        <div className="w-2 h-2 bg-[var(--jb-text-muted)] rounded-full animate-bounce" style={{ animationDelay: '0.2s' }}></div>
+                        <div className="w-2 h-2 bg-[var(--jb-text-muted)] rounded-full animate-bounce" style={{ animationDelay: '0.4s' }}></div>
                       </div>
                     </div>
                   </div>
                 )}
                 <div ref={messagesEndRef} /> {/* Anchor for auto-scroll */}
               </div>
+
+              {/* Announces that a reply is on its way; the dots above are visual only */}
+              <div role="status" className="sr-only">
+                {isLoading && !isStreaming ? t('typing') : ''}
+                {dictation.listening ? t('listening') : ''}
+              </div>
               
               {/* Input area */}
-              <form onSubmit={sendMessage} className="border-t border-gray-200 p-3 bg-white">
-                <div className="flex items-center rounded-3xl border border-gray-300 bg-white pl-4 pr-1 py-1">
+              {cooldown > 0 && (
+                <div className="px-3 py-2 text-xs text-center bg-[var(--jb-surface-muted)] text-[var(--jb-text)] border-t border-[var(--jb-border)]">
+                  {t('slowDown', { seconds: cooldown })}
+                </div>
+              )}
+              {!isOnline && (
+                <div className="px-3 py-2 text-xs text-center bg-[var(--jb-surface-muted)] text-[var(--jb-text)] border-t border-[var(--jb-border)]">
+                  {t('offline')}
+                </div>
+              )}
+              <form onSubmit={sendMessage} className="border-t border-[var(--jb-border)] p-3 bg-[var(--jb-surface)]">
+                {attachments.length > 0 && (
+                  <ul className="flex gap-2 mb-2" aria-label={t('attachedImages')}>
+                    {attachments.map(image => (
+                      <li key={image.id} className="relative">
+                        <img src={image.thumbnail} alt={t('attachedImage')} className="h-14 w-14 object-cover rounded-lg border border-[var(--jb-border)]" />
+                        <button
+                          type="button"
+                          onClick={() => removeAttachment(image.id)}
+                          aria-label={t('removeImage')}
+                          className="absolute -top-1.5 -end-1.5 w-5 h-5 rounded-full bg-[var(--jb-text)] text-[var(--jb-surface)] text-xs leading-none flex items-center justify-center"
+                        >
+                          ×
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                {attachmentError && (
+                  <div role="alert" className="text-xs text-[var(--jb-danger)] mb-2">{attachmentError}</div>
+                )}
+                {dictation.error && (
+                  <div role="alert" className="text-xs text-[var(--jb-danger)] mb-2">
+                    {['not-allowed', 'service-not-allowed'].includes(dictation.error) ? t('micBlocked') : t('dictationFailed')}
+                  </div>
+                )}
+                <div className="flex items-center rounded-3xl border border-[var(--jb-border-strong)] focus-within:border-[var(--jb-primary)] bg-[var(--jb-surface)] ps-4 pe-1 py-1">
+                  {config.attachments && !handoff && (
+                    <>
+                      <button
+                        type="button"
+                        onClick={() => fileInputRef.current?.click()}
+                        disabled={attachments.length >= MAX_ATTACHMENTS}
+                        title={t('attachImage')}
+                        aria-label={t('attachImage')}
+                        className="p-1 -ms-2 me-1 rounded-full text-[var(--jb-text-muted)] hover:text-[var(--jb-primary)] disabled:opacity-50"
+                      >
+                        <svg aria-hidden="true" xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
+                          <path fillRule="evenodd" d="M4 3a2 2 0 00-2 2v10a2 2 0 002 2h12a2 2 0 002-2V5a2 2 0 00-2-2H4zm12 12H4l4-8 3 6 2-4 3 6z" clipRule="evenodd" />
+                        </svg>
+                      </button>
+                      <input
+                        ref={fileInputRef}
+                        type="file"
+                        accept={ACCEPTED_FILE_TYPES}
+                        multiple
+                        onChange={handleImagesPicked}
+                        className="hidden"
+                        tabIndex={-1}
+                      />
+                    </>
+                  )}
                   <input
                     type="text"
                     value={inputValue}
                     onChange={(e) => setInputValue(e.target.value)}
                     onKeyPress={handleKeyPress}
                     ref={inputRef}
-                    placeholder="Hello, how can I help you? 😊"
-                    className="flex-1 text-sm focus:outline-none text-black font-medium"
+                    placeholder={dictation.listening ? t('listening') : t('inputPlaceholder')}
+                    aria-label={t('messageLabel')}
+                    maxLength={MAX_MESSAGE_CHARS}
+                    className="flex-1 text-sm bg-transparent focus:outline-none text-[var(--jb-text)] font-medium"
                   />
-                  <button
-                    type="submit"
-                    disabled={!inputValue.trim() || isLoading}
-                    className={`p-2 rounded-full ${
-                      !inputValue.trim() || isLoading ? 'text-gray-400' : 'text-blue-600 hover:bg-blue-50'
-                    }`}
-                  >
-                    <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 19l9 2-9-18-9 18 9-2zm0 0v-8" />
-                    </svg>
-                  </button>
+                  {config.voice && dictation.supported && (
+                    <button
+                      type="button"
+                      onClick={toggleDictation}
+                      title={dictation.listening ? t('stopDictation') : t('startDictation')}
+                      aria-label={dictation.listening ? t('stopDictation') : t('startDictation')}
+                      aria-pressed={dictation.listening}
+                      className={`p-2 rounded-full hover:bg-[var(--jb-primary-soft)] ${
+                        dictation.listening ? 'text-[var(--jb-danger)] animate-pulse' : 'text-[var(--jb-text-muted)] hover:text-[var(--jb-primary)]'
+                      }`}
+                    >
+                      <svg aria-hidden="true" xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
+                        <path fillRule="evenodd" d="M7 4a3 3 0 016 0v4a3 3 0 11-6 0V4zm4 10.93A7.001 7.001 0 0017 8a1 1 0 10-2 0A5 5 0 015 8a1 1 0 00-2 0 7.001 7.001 0 006 6.93V17H6a1 1 0 100 2h8a1 1 0 100-2h-3v-2.07z" clipRule="evenodd" />
+                      </svg>
+                    </button>
+                  )}
+                  {/* While a reply is on its way the send button turns into a stop button */}
+                  {isLoading ? (
+                    <button
+                      type="button"
+                      onClick={stopReply}
+                      title={t('stopReply')}
+                      aria-label={t('stopReply')}
+                      className="p-2 rounded-full text-[var(--jb-primary)] hover:bg-[var(--jb-primary-soft)]"
+                    >
+                      <svg aria-hidden="true" xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
+                        <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM8 7a1 1 0 00-1 1v4a1 1 0 001 1h4a1 1 0 001-1V8a1 1 0 00-1-1H8z" clipRule="evenodd" />
+                      </svg>
+                    </button>
+                  ) : (
+                    <button
+                      type="submit"
+                      disabled={(!inputValue.trim() && attachments.length === 0) || cooldown > 0}
+                      aria-label={t('sendMessage')}
+                      className={`p-2 rounded-full ${
+                        (!inputValue.trim() && attachments.length === 0) || cooldown > 0 ? 'text-[var(--jb-text-muted)]' : 'text-[var(--jb-primary)] hover:bg-[var(--jb-primary-soft)]'
+                      }`}
+                    >
+                      <svg aria-hidden="true" xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 19l9 2-9-18-9 18 9-2zm0 0v-8" />
+                      </svg>
+                    </button>
+                  )}
                 </div>
-                <div className="flex justify-end items-center mt-2 text-xs text-gray-400">
-                  <div>POWERED BY <span className="font-bold text-gray-500">JenniBot AGENT</span></div>
+                <div className="flex items-center mt-2 text-xs text-[var(--jb-text-muted)]">
+                  {config.handoff && (handoff ? (
+                    <button type="button" onClick={endLiveChat} className="font-semibold hover:text-[var(--jb-danger)]">
+                      {t('endHandoff')}
+                    </button>
+                  ) : (
+                    <button
+                      type="button"
+                      onClick={requestAgent}
+                      disabled={isLoading || isRequestingAgent || !isOnline}
+                      className="font-semibold hover:text-[var(--jb-primary)] disabled:opacity-50"
+                    >
+                      {t('talkToHuman')}
+                    </button>
+                  ))}
+                  <div className="ms-auto">{t('poweredByLabel')} <span className="font-bold text-[var(--jb-text-muted)]">{config.poweredBy}</span></div>
                 </div>
               </form>
             </>
           )}
+
+          {openProductId && (
+            <ProductDrawer
+              productId={openProductId}
+              loadProduct={api.getProduct}
+              t={t}
+              locale={locale}
+              onClose={closeProduct}
+            />
+          )}
         </div>
       )}
     </div>
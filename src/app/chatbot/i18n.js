@@ -0,0 +1,367 @@
+/**
+ * Message catalog and locale helpers for the chat widget.
+ *
+ * Strings are looked up by key in the active locale, then in English.
+ * Copy from the widget configuration (greeting, quick replies, ...) is passed
+ * in as overrides and wins over the catalog.
+ *
+ * Route handlers use this module through ./config.js, so it must not import
+ * React; the useLocale hook lives in ./locale.js.
+ */
+
+export const DEFAULT_LOCALE = 'en';
+
+const RTL_LOCALES = ['ar'];
+
+const MESSAGES = {
+  en: {
+    greeting: 'Hi there! 👋',
+    tagline: "I'm JenniBot – Your 24/7 Design Concierge",
+    welcomeMessage: 'Hey there! How can I help you today?',
+    inputPlaceholder: 'Hello, how can I help you? 😊',
+    agentLabel: 'JenniBot Agent',
+    quickReplies: [
+      'Different bed sizes available',
+      'Outdoor dining tables',
+      'Unique Sofa sets colors',
+      'Living room furniture colors',
+    ],
+    poweredByLabel: 'POWERED BY',
+    newConversation: 'Start new conversation',
+    lightMode: 'Switch to light mode',
+    darkMode: 'Switch to dark mode',
+    openChat: 'Open chat',
+    closeChat: 'Close chat',
+    minimizeChat: 'Minimize chat',
+    expandChat: 'Expand chat',
+    chatWindow: 'JenniBot chat',
+    conversation: 'Conversation',
+    suggestedQuestions: 'Suggested questions',
+    suggestedReplies: 'Suggested replies',
+    messageLabel: 'Type your message',
+    sendMessage: 'Send message',
+    stopReply: 'Stop generating',
+    helpful: 'Yes, this was helpful',
+    notHelpful: 'No, this was not helpful',
+    typing: 'JenniBot is typing…',
+    wasThisHelpful: 'Was this helpful?',
+    thanksForFeedback: 'Thanks for your feedback!',
+    offline: "You're offline. Messages will be sent when the connection is back.",
+    queuedMessage: 'Waiting for connection…',
+    notSent: 'Not sent.',
+    slowDown: "You're sending messages a little too fast. You can send again in {seconds} s.",
+    retry: 'Retry',
+    replyInterrupted: 'Reply interrupted',
+    emptyReply: 'Sorry, I could not process your request.',
+    feedbackQuestion: 'What went wrong? (optional)',
+    feedbackWrongProduct: 'Wrong product',
+    feedbackDidNotAnswer: "Didn't answer my question",
+    feedbackIncorrectInfo: 'Incorrect information',
+    feedbackOther: 'Other',
+    feedbackPlaceholder: 'Tell us more...',
+    feedbackDetails: 'Tell us more (optional)',
+    skip: 'Skip',
+    send: 'Send',
+    sizes: 'Sizes',
+    colours: 'Colours',
+    materials: 'Materials',
+    viewProduct: 'View product',
+    productDetails: 'Product details',
+    closeProductDetails: 'Close product details',
+    loadingProduct: 'Loading…',
+    productUnavailable: 'This product could not be loaded.',
+    previousProducts: 'Previous products',
+    nextProducts: 'Next products',
+    talkToHuman: 'Talk to a human',
+    endHandoff: 'End chat',
+    handoffWaiting: "We're finding someone to help you. Please stay on this page.",
+    agentJoined: '{name} joined the chat',
+    handoffEnded: 'The chat with our team has ended',
+    handoffFailed: "We couldn't reach our team. Please try again.",
+    leaveMessageIntro: "No one is available right now. Leave a message and we'll get back to you by email.",
+    yourName: 'Your name (optional)',
+    yourEmail: 'Your email',
+    yourMessage: 'Your message',
+    invalidEmail: 'Please enter a valid email address.',
+    messageNotSent: "Your message couldn't be sent. Please try again.",
+    messageLeft: "Thanks! We've received your message and will reply by email.",
+    cancel: 'Cancel',
+    leadIntro: 'Want a quote or delivery details? Leave your details and our team will get in touch.',
+    leadName: 'Name',
+    leadEmail: 'Email',
+    leadPhone: 'Phone (optional)',
+    leadPostcode: 'Postcode (optional)',
+    leadConsent: 'I agree to be contacted about my enquiry by email or phone.',
+    fieldRequired: 'This field is required.',
+    invalidPhone: 'Please enter a valid phone number.',
+    invalidPostcode: 'Please enter a valid postcode.',
+    consentRequired: 'Please agree to be contacted so we can reply.',
+    leadNotSent: "Your details couldn't be sent. Please try again.",
+    leadThanks: 'Thanks! Our team will be in touch shortly.',
+    noThanks: 'No thanks',
+    attachImage: 'Attach a photo',
+    removeImage: 'Remove photo',
+    attachedImage: 'Attached photo',
+    attachedImages: 'Photos to send',
+    imageTypeError: 'Only JPEG, PNG and WebP photos can be attached.',
+    imageSizeError: 'Photos must be smaller than {max} MB.',
+    tooManyImages: 'You can attach up to {max} photos.',
+    imageReadError: "This photo couldn't be read. Please try another one.",
+    startDictation: 'Speak your message',
+    stopDictation: 'Stop listening',
+    listening: 'Listening…',
+    micBlocked: 'Microphone access is blocked. Allow it in your browser settings to talk to JenniBot.',
+    dictationFailed: "Sorry, that didn't work. Please try again or type your message.",
+    readAloud: 'Read replies aloud',
+  },
+  fr: {
+    greeting: 'Bonjour ! 👋',
+    tagline: 'Je suis JenniBot – votre conseiller déco 24h/24, 7j/7',
+    welcomeMessage: "Bonjour ! Comment puis-je vous aider aujourd'hui ?",
+    inputPlaceholder: 'Bonjour, comment puis-je vous aider ? 😊',
+    agentLabel: 'Agent JenniBot',
+    quickReplies: [
+      'Tailles de lit disponibles',
+      "Tables à manger d'extérieur",
+      'Coloris des canapés',
+      'Couleurs des meubles de salon',
+    ],
+    poweredByLabel: 'PROPULSÉ PAR',
+    newConversation: 'Nouvelle conversation',
+    lightMode: 'Passer en mode clair',
+    darkMode: 'Passer en mode sombre',
+    openChat: 'Ouvrir le chat',
+    closeChat: 'Fermer le chat',
+    minimizeChat: 'Réduire le chat',
+    expandChat: 'Agrandir le chat',
+    chatWindow: 'Chat JenniBot',
+    conversation: 'Conversation',
+    suggestedQuestions: 'Questions suggérées',
+    suggestedReplies: 'Réponses suggérées',
+    messageLabel: 'Saisissez votre message',
+    sendMessage: 'Envoyer le message',
+    stopReply: 'Arrêter la réponse',
+    helpful: "Oui, cela m'a aidé",
+    notHelpful: "Non, cela ne m'a pas aidé",
+    typing: "JenniBot est en train d'écrire…",
+    wasThisHelpful: 'Cette réponse vous a-t-elle aidé ?',
+    thanksForFeedback: 'Merci pour votre avis !',
+    offline: 'Vous êtes hors ligne. Vos messages seront envoyés dès le retour de la connexion.',
+    queuedMessage: 'En attente de connexion…',
+    notSent: 'Non envoyé.',
+    slowDown: 'Vous envoyez des messages un peu trop vite. Vous pourrez réessayer dans {seconds} s.',
+    retry: 'Réessayer',
+    replyInterrupted: 'Réponse interrompue',
+    emptyReply: "Désolé, je n'ai pas pu traiter votre demande.",
+    feedbackQuestion: "Qu'est-ce qui n'allait pas ? (facultatif)",
+    feedbackWrongProduct: 'Mauvais produit',
+    feedbackDidNotAnswer: "N'a pas répondu à ma question",
+    feedbackIncorrectInfo: 'Information incorrecte',
+    feedbackOther: 'Autre',
+    feedbackPlaceholder: 'Dites-nous en plus...',
+    feedbackDetails: 'Dites-nous en plus (facultatif)',
+    skip: 'Passer',
+    send: 'Envoyer',
+    sizes: 'Tailles',
+    colours: 'Coloris',
+    materials: 'Matières',
+    viewProduct: 'Voir le produit',
+    productDetails: 'Détails du produit',
+    closeProductDetails: 'Fermer les détails du produit',
+    loadingProduct: 'Chargement…',
+    productUnavailable: 'Impossible de charger ce produit.',
+    previousProducts: 'Produits précédents',
+    nextProducts: 'Produits suivants',
+    talkToHuman: 'Parler à un conseiller',
+    endHandoff: 'Terminer la discussion',
+    handoffWaiting: 'Nous cherchons quelqu’un pour vous aider. Merci de rester sur cette page.',
+    agentJoined: '{name} a rejoint la discussion',
+    handoffEnded: 'La discussion avec notre équipe est terminée',
+    handoffFailed: 'Impossible de joindre notre équipe. Veuillez réessayer.',
+    leaveMessageIntro: 'Personne n’est disponible pour le moment. Laissez-nous un message et nous vous répondrons par e-mail.',
+    yourName: 'Votre nom (facultatif)',
+    yourEmail: 'Votre e-mail',
+    yourMessage: 'Votre message',
+    invalidEmail: 'Veuillez saisir une adresse e-mail valide.',
+    messageNotSent: 'Votre message n’a pas pu être envoyé. Veuillez réessayer.',
+    messageLeft: 'Merci ! Nous avons bien reçu votre message et vous répondrons par e-mail.',
+    cancel: 'Annuler',
+    leadIntro: 'Envie d’un devis ou d’informations sur la livraison ? Laissez vos coordonnées et notre équipe vous contactera.',
+    leadName: 'Nom',
+    leadEmail: 'E-mail',
+    leadPhone: 'Téléphone (facultatif)',
+    leadPostcode: 'Code postal (facultatif)',
+    leadConsent: 'J’accepte d’être contacté(e) par e-mail ou par téléphone au sujet de ma demande.',
+    fieldRequired: 'Ce champ est obligatoire.',
+    invalidPhone: 'Veuillez saisir un numéro de téléphone valide.',
+    invalidPostcode: 'Veuillez saisir un code postal valide.',
+    consentRequired: 'Veuillez accepter d’être contacté(e) pour que nous puissions vous répondre.',
+    leadNotSent: 'Vos coordonnées n’ont pas pu être envoyées. Veuillez réessayer.',
+    leadThanks: 'Merci ! Notre équipe vous contactera très bientôt.',
+    noThanks: 'Non merci',
+    attachImage: 'Joindre une photo',
+    removeImage: 'Retirer la photo',
+    attachedImage: 'Photo jointe',
+    attachedImages: 'Photos à envoyer',
+    imageTypeError: 'Seules les photos JPEG, PNG et WebP peuvent être jointes.',
+    imageSizeError: 'Les photos doivent faire moins de {max} Mo.',
+    tooManyImages: 'Vous pouvez joindre jusqu’à {max} photos.',
+    imageReadError: 'Impossible de lire cette photo. Veuillez en essayer une autre.',
+    startDictation: 'Dicter votre message',
+    stopDictation: 'Arrêter l’écoute',
+    listening: 'À l’écoute…',
+    micBlocked: 'L’accès au micro est bloqué. Autorisez-le dans les réglages du navigateur pour parler à JenniBot.',
+    dictationFailed: 'Désolé, cela n’a pas fonctionné. Réessayez ou saisissez votre message.',
+    readAloud: 'Lire les réponses à voix haute',
+  },
+  ar: {
+    greeting: 'مرحباً! 👋',
+    tagline: 'أنا JenniBot – مستشارك للتصميم على مدار الساعة',
+    welcomeMessage: 'مرحباً! كيف يمكنني مساعدتك اليوم؟',
+    inputPlaceholder: 'مرحباً، كيف يمكنني مساعدتك؟ 😊',
+    agentLabel: 'وكيل JenniBot',
+    quickReplies: [
+      'مقاسات الأسرّة المتوفرة',
+      'طاولات طعام خارجية',
+      'ألوان أطقم الكنب',
+      'ألوان أثاث غرفة المعيشة',
+    ],
+    poweredByLabel: 'مدعوم من',
+    newConversation: 'بدء محادثة جديدة',
+    lightMode: 'التبديل إلى الوضع الفاتح',
+    darkMode: 'التبديل إلى الوضع الداكن',
+    openChat: 'فتح المحادثة',
+    closeChat: 'إغلاق المحادثة',
+    minimizeChat: 'تصغير المحادثة',
+    expandChat: 'توسيع المحادثة',
+    chatWindow: 'محادثة JenniBot',
+    conversation: 'المحادثة',
+    suggestedQuestions: 'أسئلة مقترحة',
+    suggestedReplies: 'ردود مقترحة',
+    messageLabel: 'اكتب رسالتك',
+    sendMessage: 'إرسال الرسالة',
+    stopReply: 'إيقاف الرد',
+    helpful: 'نعم، كان مفيداً',
+    notHelpful: 'لا، لم يكن مفيداً',
+    typing: 'JenniBot يكتب الآن…',
+    wasThisHelpful: 'هل كان هذا مفيداً؟',
+    thanksForFeedback: 'شكراً على ملاحظاتك!',
+    offline: 'أنت غير متصل بالإنترنت. سيتم إرسال رسائلك عند عودة الاتصال.',
+    queuedMessage: 'في انتظار الاتصال…',
+    notSent: 'لم يتم الإرسال.',
+    slowDown: 'أنت ترسل الرسائل بسرعة كبيرة. يمكنك الإرسال مجدداً بعد {seconds} ثانية.',
+    retry: 'إعادة المحاولة',
+    replyInterrupted: 'انقطع الرد',
+    emptyReply: 'عذراً، لم أتمكن من معالجة طلبك.',
+    feedbackQuestion: 'ما الخطأ الذي حدث؟ (اختياري)',
+    feedbackWrongProduct: 'منتج خاطئ',
+    feedbackDidNotAnswer: 'لم يُجب عن سؤالي',
+    feedbackIncorrectInfo: 'معلومات غير صحيحة',
+    feedbackOther: 'أخرى',
+    feedbackPlaceholder: 'أخبرنا بالمزيد...',
+    feedbackDetails: 'أخبرنا بالمزيد (اختياري)',
+    skip: 'تخطي',
+    send: 'إرسال',
+    sizes: 'المقاسات',
+    colours: 'الألوان',
+    materials: 'الخامات',
+    viewProduct: 'عرض المنتج',
+    productDetails: 'تفاصيل المنتج',
+    closeProductDetails: 'إغلاق تفاصيل المنتج',
+    loadingProduct: 'جارٍ التحميل…',
+    productUnavailable: 'تعذّر تحميل هذا المنتج.',
+    previousProducts: 'المنتجات السابقة',
+    nextProducts: 'المنتجات التالية',
+    talkToHuman: 'التحدث إلى موظف',
+    endHandoff: 'إنهاء المحادثة',
+    handoffWaiting: 'نبحث عن شخص لمساعدتك. يُرجى البقاء في هذه الصفحة.',
+    agentJoined: 'انضم {name} إلى المحادثة',
+    handoffEnded: 'انتهت المحادثة مع فريقنا',
+    handoffFailed: 'تعذّر الوصول إلى فريقنا. يُرجى المحاولة مرة أخرى.',
+    leaveMessageIntro: 'لا يوجد أحد متاح حالياً. اترك رسالة وسنرد عليك عبر البريد الإلكتروني.',
+    yourName: 'اسمك (اختياري)',
+    yourEmail: 'بريدك الإلكتروني',
+    yourMessage: 'رسالتك',
+    invalidEmail: 'يُرجى إدخال بريد إلكتروني صالح.',
+    messageNotSent: 'تعذّر إرسال رسالتك. يُرجى المحاولة مرة أخرى.',
+    messageLeft: 'شكراً! تلقينا رسالتك وسنرد عليك عبر البريد الإلكتروني.',
+    cancel: 'إلغاء',
+    leadIntro: 'هل تريد عرض سعر أو تفاصيل التوصيل؟ اترك بياناتك وسيتواصل معك فريقنا.',
+    leadName: 'الاسم',
+    leadEmail: 'البريد الإلكتروني',
+    leadPhone: 'الهاتف (اختياري)',
+    leadPostcode: 'الرمز البريدي (اختياري)',
+    leadConsent: 'أوافق على التواصل معي بخصوص طلبي عبر البريد الإلكتروني أو الهاتف.',
+    fieldRequired: 'هذا الحقل مطلوب.',
+    invalidPhone: 'يُرجى إدخال رقم هاتف صالح.',
+    invalidPostcode: 'يُرجى إدخال رمز بريدي صالح.',
+    consentRequired: 'يُرجى الموافقة على التواصل معك حتى نتمكن من الرد.',
+    leadNotSent: 'تعذّر إرسال بياناتك. يُرجى المحاولة مرة أخرى.',
+    leadThanks: 'شكراً! سيتواصل معك فريقنا قريباً.',
+    noThanks: 'لا، شكراً',
+    attachImage: 'إرفاق صورة',
+    removeImage: 'إزالة الصورة',
+    attachedImage: 'صورة مرفقة',
+    attachedImages: 'صور للإرسال',
+    imageTypeError: 'يمكن إرفاق صور JPEG وPNG وWebP فقط.',
+    imageSizeError: 'يجب أن يكون حجم الصور أقل من {max} ميغابايت.',
+    tooManyImages: 'يمكنك إرفاق {max} صور كحد أقصى.',
+    imageReadError: 'تعذّرت قراءة هذه الصورة. يُرجى تجربة صورة أخرى.',
+    startDictation: 'تحدّث لكتابة رسالتك',
+    stopDictation: 'إيقاف الاستماع',
+    listening: 'جارٍ الاستماع…',
+    micBlocked: 'الوصول إلى الميكروفون محظور. اسمح به من إعدادات المتصفح للتحدث مع JenniBot.',
+    dictationFailed: 'عذراً، لم ينجح ذلك. حاول مرة أخرى أو اكتب رسالتك.',
+    readAloud: 'قراءة الردود بصوت عالٍ',
+  },
+};
+
+export const SUPPORTED_LOCALES = Object.keys(MESSAGES);
+
+/**
+ * Picks the first supported locale from a list of language tags,
+ * matching on the language only ("fr-CA" -> "fr")
+ * @param {Array<string>} candidates - Language tags, most preferred first
+ * @return {string}
+ */
+export function matchLocale(candidates) {
+  for (const candidate of candidates) {
+    const language = typeof candidate === 'string' ? candidate.toLowerCase().split('-')[0] : '';
+    if (MESSAGES[language]) return language;
+  }
+  return DEFAULT_LOCALE;
+}
+
+/**
+ * @param {string} locale
+ * @return {boolean} - Whether the locale is written right to left
+ */
+export function isRtl(locale) {
+  return RTL_LOCALES.includes(locale);
+}
+
+/**
+ * Creates the lookup function for a locale
+ * @param {string} locale - One of SUPPORTED_LOCALES
+ * @param {Object} overrides - Strings that replace catalog entries, e.g. configured copy
+ * @return {Function} - t(key, values) returning the string (or array, for
+ *   quickReplies), with {placeholders} filled in from `values`
+ */
+export function createTranslator(locale, overrides = {}) {
+  const messages = MESSAGES[locale] || MESSAGES[DEFAULT_LOCALE];
+  return (key, values) => {
+    const message = overrides[key] ?? messages[key] ?? MESSAGES[DEFAULT_LOCALE][key] ?? key;
+    if (!values || typeof message !== 'string') return message;
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => values[name] ?? placeholder);
+  };
+}
+
+/**
+ * Formats a message time, e.g. "14:05" or "2:05 PM"
+ * @param {number} timestamp - Milliseconds since the epoch
+ * @param {string} locale
+ * @return {string}
+ */
+export function formatTime(timestamp, locale) {
+  return new Date(timestamp).toLocaleTimeString(locale, { hour: '2-digit', minute: '2-digit' });
+}
@@ -0,0 +1,22 @@
+import { useEffect, useState } from 'react';
+import { DEFAULT_LOCALE, matchLocale } from './i18n';
+
+/**
+ * Resolves the widget locale: a fixed locale from the configuration, or the
+ * host page's `lang` attribute followed by the browser's languages
+ * @param {string} configLocale - 'auto' or a locale
+ * @return {string}
+ */
+export function useLocale(configLocale = 'auto') {
+  // Detection needs the browser, so it runs after the first render
+  const [detected, setDetected] = useState(DEFAULT_LOCALE);
+
+  useEffect(() => {
+    setDetected(matchLocale([
+      document.documentElement.lang,
+      ...(navigator.languages || [navigator.language]),
+    ]));
+  }, []);
+
+  return configLocale === 'auto' ? detected : matchLocale([configLocale]);
+}
@@ -0,0 +1,409 @@
+/**
+ * Small Markdown parser for bot replies.
+ *
+ * Turns text into an AST that util.js renders to themed HTML. It covers the
+ * subset the backend actually produces: headings, paragraphs, nested ordered
+ * and bullet lists, fenced code, block quotes, tables, rules and the inline
+ * styles (bold, italic, strikethrough, code, links). It is deliberately
+ * forgiving about the quirks of model output, such as bullets placed directly
+ * under numbered items without indentation.
+ *
+ * Block nodes:
+ *   { type: 'heading', level, children }
+ *   { type: 'paragraph', children }
+ *   { type: 'list', ordered, start, tight, items: [{ children: blocks }] }
+ *   { type: 'code', lang, value }
+ *   { type: 'blockquote', children: blocks }
+ *   { type: 'table', align, header: cells, rows: [cells] }  (cell = inlines)
+ *   { type: 'hr' }
+ * Inline nodes:
+ *   { type: 'text', value }, { type: 'code', value }, { type: 'break' },
+ *   { type: 'strong' | 'em' | 'del', children }, { type: 'link', href, children }
+ */
+
+const FENCE = /^\s{0,3}(`{3,}|~{3,})\s*([\w+-]*)\s*$/;
+const HEADING = /^\s{0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const RULE = /^\s{0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const LIST_ITEM = /^(\s*)([-*+•]|\d{1,9}[.)])(?:\s+(.*))?$/;
+const BLOCKQUOTE = /^\s{0,3}>\s?(.*)$/;
+const TABLE_DELIMITER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+const indentOf = (line) => line.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+const isBlank = (line) => line.trim() === '';
+
+function matchListItem(line) {
+  const match = line.match(LIST_ITEM);
+  if (!match) return null;
+  return {
+    indent: indentOf(match[1]),
+    marker: match[2],
+    ordered: /\d/.test(match[2]),
+    content: match[3] || '',
+  };
+}
+
+function isTableStart(lines, i) {
+  return lines[i].includes('|') && i + 1 < lines.length && lines[i + 1].includes('-') &&
+    TABLE_DELIMITER.test(lines[i + 1]);
+}
+
+// Lines that end a paragraph without a blank line in between
+function startsBlock(lines, i) {
+  const line = lines[i];
+  return FENCE.test(line) || HEADING.test(line) || RULE.test(line) ||
+    BLOCKQUOTE.test(line) || Boolean(matchListItem(line)) || isTableStart(lines, i);
+}
+
+/**
+ * Cleans up backend quirks before parsing:
+ * - escaped newlines and literal <br> tags become real line breaks
+ * - "**1.** Item" and "**1. Title**" become ordinary numbered items
+ */
+function normalize(text) {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/^(\s*)\*\*(\d+)\.\*\*[ \t]*/gm, '$1$2. ')
+    .replace(/^(\s*)\*\*(\d+)\.\s+([^*\n]+?)\*\*/gm, '$1$2. **$3**');
+}
+
+/**
+ * Parses Markdown text into a list of block nodes
+ * @param {string} text
+ * @return {Array<Object>}
+ */
+export function parseMarkdown(text) {
+  if (!text) return [];
+  return parseBlocks(normalize(text).split('\n'));
+}
+
+function parseBlocks(lines) {
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (isBlank(line)) {
+      i++;
+      continue;
+    }
+
+    const fence = line.match(FENCE);
+    if (fence) {
+      const body = [];
+      i++;
+      // An unterminated fence runs to the end, which is what a streaming reply needs
+      while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+        body.push(lines[i]);
+        i++;
+      }
+      i++;
+      blocks.push({ type: 'code', lang: fence[2], value: body.join('\n') });
+      continue;
+    }
+
+    const heading = line.match(HEADING);
+    if (heading) {
+      blocks.push({ type: 'heading', level: heading[1].length, children: parseInline(heading[2]) });
+      i++;
+      continue;
+    }
+
+    if (RULE.test(line)) {
+      blocks.push({ type: 'hr' });
+      i++;
+      continue;
+    }
+
+    if (BLOCKQUOTE.test(line)) {
+      const quoted = [];
+      while (i < lines.length && BLOCKQUOTE.test(lines[i])) {
+        quoted.push(lines[i].match(BLOCKQUOTE)[1]);
+        i++;
+      }
+      blocks.push({ type: 'blockquote', children: parseBlocks(quoted) });
+      continue;
+    }
+
+    if (isTableStart(lines, i)) {
+      i = parseTable(lines, i, blocks);
+      continue;
+    }
+
+    if (matchListItem(line)) {
+      i = parseList(lines, i, blocks);
+      continue;
+    }
+
+    const paragraph = [line.trim()];
+    i++;
+    while (i < lines.length && !isBlank(lines[i]) && !startsBlock(lines, i)) {
+      paragraph.push(lines[i].trim());
+      i++;
+    }
+    blocks.push({ type: 'paragraph', children: parseInline(paragraph.join('\n')) });
+  }
+
+  return blocks;
+}
+
+function parseList(lines, start, blocks) {
+  const first = matchListItem(lines[start]);
+  const list = {
+    type: 'list',
+    ordered: first.ordered,
+    start: first.ordered ? parseInt(first.marker, 10) : null,
+    tight: true,
+    items: [],
+  };
+
+  let i = start;
+  let itemLines = null;
+  let contentIndent = 0;
+
+  const finishItem = () => {
+    if (itemLines) list.items.push({ children: parseBlocks(itemLines) });
+  };
+
+  while (i < lines.length) {
+    const line = lines[i];
+    const item = matchListItem(line);
+
+    // A sibling item: same kind of marker at (roughly) the list's indentation
+    if (item && item.ordered === list.ordered && item.indent <= first.indent + 1) {
+      finishItem();
+      itemLines = [item.content];
+      contentIndent = item.indent + item.marker.length + 1;
+      i++;
+      continue;
+    }
+
+    if (isBlank(line)) {
+      // Look past blank lines: the list goes on only if more of it follows
+      let next = i + 1;
+      while (next < lines.length && isBlank(lines[next])) next++;
+      if (next >= lines.length) break;
+
+      const nextItem = matchListItem(lines[next]);
+      const continuesItem = indentOf(lines[next]) > first.indent && (!nextItem || nextItem.indent > first.indent + 1);
+      const isSibling = nextItem && nextItem.ordered === list.ordered && nextItem.indent <= first.indent + 1;
+      if (!continuesItem && !isSibling) break;
+
+      list.tight = false;
+      itemLines.push('');
+      i = next;
+      continue;
+    }
+
+    const indent = indentOf(line);
+    // Models often put bullets directly under numbered items without indenting them
+    const isBulletUnderNumber = item && !item.ordered && list.ordered && item.indent <= first.indent + 1;
+
+    if (indent > first.indent + 1 || isBulletUnderNumber) {
+      const strip = Math.min(indent, contentIndent);
+      itemLines.push(line.replace(/\t/g, '    ').slice(strip));
+      i++;
+      continue;
+    }
+
+    // Lazy continuation of the item's text, unless another block starts here.
+    // This also picks up text placed on the line after a bare "1." marker.
+    const lastLine = itemLines[itemLines.length - 1];
+    if (!startsBlock(lines, i) && (itemLines.length === 1 || !isBlank(lastLine))) {
+      itemLines.push(line.trim());
+      i++;
+      continue;
+    }
+
+    break;
+  }
+
+  finishItem();
+  blocks.push(list);
+  return i;
+}
+
+function splitRow(line) {
+  const cells = [];
+  let current = '';
+  const trimmed = line.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '');
+  for (let i = 0; i < trimmed.length; i++) {
+    if (trimmed[i] === '\\' && trimmed[i + 1] === '|') {
+      current += '|';
+      i++;
+    } else if (trimmed[i] === '|') {
+      cells.push(current.trim());
+      current = '';
+    } else {
+      current += trimmed[i];
+    }
+  }
+  cells.push(current.trim());
+  return cells;
+}
+
+function parseTable(lines, start, blocks) {
+  const header = splitRow(lines[start]);
+  const align = splitRow(lines[start + 1]).map(cell => {
+    const left = cell.startsWith(':');
+    const right = cell.endsWith(':');
+    if (left && right) return 'center';
+    if (right) return 'right';
+    return left ? 'left' : null;
+  });
+
+  const rows = [];
+  let i = start + 2;
+  while (i < lines.length && !isBlank(lines[i]) && lines[i].includes('|')) {
+    const cells = splitRow(lines[i]);
+    rows.push(header.map((_, column) => parseInline(cells[column] || '')));
+    i++;
+  }
+
+  blocks.push({
+    type: 'table',
+    align: header.map((_, column) => align[column] || null),
+    header: header.map(cell => parseInline(cell)),
+    rows,
+  });
+  return i;
+}
+
+const ESCAPABLE = /[\\`*_{}[\]()#+\-.!|~>]/;
+const URL_PATTERN = /^https?:\/\/[^\s<>]+/;
+
+/**
+ * Parses inline Markdown into inline nodes
+ * @param {string} text
+ * @return {Array<Object>}
+ */
+export function parseInline(text) {
+  const nodes = [];
+  let buffer = '';
+
+  const pushText = (value) => {
+    buffer += value;
+  };
+  const flush = () => {
+    if (buffer) nodes.push({ type: 'text', value: buffer });
+    buffer = '';
+  };
+  const push = (node) => {
+    flush();
+    nodes.push(node);
+  };
+
+  let i = 0;
+  while (i < text.length) {
+    const char = text[i];
+
+    if (char === '\\' && ESCAPABLE.test(text[i + 1] || '')) {
+      pushText(text[i + 1]);
+      i += 2;
+      continue;
+    }
+
+    if (char === '\n') {
+      push({ type: 'break' });
+      i++;
+      continue;
+    }
+
+    if (char === '`') {
+      const ticks = text.slice(i).match(/^`+/)[0];
+      const end = text.indexOf(ticks, i + ticks.length);
+      if (end !== -1) {
+        push({ type: 'code', value: text.slice(i + ticks.length, end).trim() });
+        i = end + ticks.length;
+        continue;
+      }
+      pushText(ticks);
+      i += ticks.length;
+      continue;
+    }
+
+    const delimited = matchDelimited(text, i);
+    if (delimited) {
+      push({ type: delimited.type, children: parseInline(delimited.inner) });
+      i = delimited.end;
+      continue;
+    }
+
+    if (char === '[') {
+      const link = text.slice(i).match(/^\[((?:[^\[\]\\]|\\.)*)\]\(\s*<?([^\s()<>]*(?:\([^\s()]*\)[^\s()<>]*)*)>?(?:\s+"([^"]*)")?\s*\)/);
+      if (link) {
+        push({ type: 'link', href: link[2], title: link[3], children: parseInline(link[1]) });
+        i += link[0].length;
+        continue;
+      }
+    }
+
+    if (char === '<') {
+      const autolink = text.slice(i).match(/^<(https?:\/\/[^\s<>]+|mailto:[^\s<>]+)>/i);
+      if (autolink) {
+        push({ type: 'link', href: autolink[1], children: [{ type: 'text', value: autolink[1].replace(/^mailto:/i, '') }] });
+        i += autolink[0].length;
+        continue;
+      }
+    }
+
+    if ((char === 'h' || char === 'H') && !/\w/.test(text[i - 1] || '') && /^https?:\/\//i.test(text.slice(i, i + 8))) {
+      const url = text.slice(i).match(URL_PATTERN);
+      if (url) {
+        // Trailing punctuation belongs to the sentence, not the URL
+        const href = url[0].replace(/[.,;:!?)"']+$/, '');
+        push({ type: 'link', href, children: [{ type: 'text', value: href }] });
+        i += href.length;
+        continue;
+      }
+    }
+
+    pushText(char);
+    i++;
+  }
+
+  flush();
+  return nodes;
+}
+
+const DELIMITERS = [
+  { marker: '**', type: 'strong' },
+  { marker: '__', type: 'strong' },
+  { marker: '~~', type: 'del' },
+  { marker: '*', type: 'em' },
+  { marker: '_', type: 'em' },
+];
+
+/**
+ * Matches an emphasis span starting at `start`. Openers must be followed by
+ * non-space text and closers preceded by it; underscores never work inside
+ * words, so snake_case stays intact.
+ */
+function matchDelimited(text, start) {
+  for (const { marker, type } of DELIMITERS) {
+    if (!text.startsWith(marker, start)) continue;
+
+    const contentStart = start + marker.length;
+    if (/\s/.test(text[contentStart] || ' ')) continue;
+    if (marker[0] === '_' && /\w/.test(text[start - 1] || '')) continue;
+    // "**" must not be read as two single "*" openers
+    if (marker.length === 1 && text[contentStart] === marker) continue;
+
+    let search = contentStart;
+    while (search < text.length) {
+      const end = text.indexOf(marker, search);
+      if (end === -1) break;
+
+      const closesWord = !/\s/.test(text[end - 1]) && end > contentStart;
+      const isDoubled = marker.length === 1 && (text[end + 1] === marker || text[end - 1] === marker);
+      const insideWord = marker[0] === '_' && /\w/.test(text[end + marker.length] || '');
+
+      if (closesWord && !isDoubled && !insideWord) {
+        return { type, inner: text.slice(contentStart, end), end: end + marker.length };
+      }
+      search = end + marker.length;
+    }
+  }
+  return null;
+}
@@ -0,0 +1,84 @@
+import { describe, expect, it } from 'vitest';
+import { parseInline, parseMarkdown } from './markdown';
+
+const text = (value) => ({ type: 'text', value });
+const paragraph = (...children) => ({ type: 'paragraph', children });
+const item = (...children) => ({ children });
+
+describe('parseMarkdown', () => {
+  it('keeps a heading followed by a numbered list', () => {
+    expect(parseMarkdown('## Options\n1. First\n2. Second')).toEqual([
+      { type: 'heading', level: 2, children: [text('Options')] },
+      {
+        type: 'list', ordered: true, start: 1, tight: true,
+        items: [item(paragraph(text('First'))), item(paragraph(text('Second')))],
+      },
+    ]);
+  });
+
+  it('nests bullets under numbered items, indented or not', () => {
+    const [list] = parseMarkdown('1. Beds\n- Oak\n- Walnut\n2. Sofas\n   - Linen');
+    expect(list.ordered).toBe(true);
+    expect(list.items).toHaveLength(2);
+    expect(list.items[0].children[1]).toMatchObject({
+      type: 'list', ordered: false, items: [item(paragraph(text('Oak'))), item(paragraph(text('Walnut')))],
+    });
+    expect(list.items[1].children[1]).toMatchObject({ type: 'list', ordered: false, items: [item(paragraph(text('Linen')))] });
+  });
+
+  it('keeps the numbering of a list that does not start at 1', () => {
+    expect(parseMarkdown('3. Third\n4. Fourth')[0].start).toBe(3);
+  });
+
+  it('reads bold inside list items', () => {
+    expect(parseMarkdown('- **Oak** frame')[0].items[0]).toEqual(
+      item(paragraph({ type: 'strong', children: [text('Oak')] }, text(' frame')))
+    );
+  });
+
+  it('turns bold numbers into ordinary numbered items', () => {
+    const [list] = parseMarkdown('**1.** First\n**2.** Second');
+    expect(list).toMatchObject({ type: 'list', ordered: true, start: 1 });
+    expect(list.items).toEqual([item(paragraph(text('First'))), item(paragraph(text('Second')))]);
+  });
+
+  it('reads fenced code without parsing its content', () => {
+    expect(parseMarkdown('```js\nconst **a** = 1;\n```')).toEqual([{ type: 'code', lang: 'js', value: 'const **a** = 1;' }]);
+  });
+
+  it('reads tables with their alignment', () => {
+    expect(parseMarkdown('| Size | Price |\n| :--- | ---: |\n| King | £549 |')).toEqual([{
+      type: 'table',
+      align: ['left', 'right'],
+      header: [[text('Size')], [text('Price')]],
+      rows: [[[text('King')], [text('£549')]]],
+    }]);
+  });
+
+  it('reads block quotes and rules', () => {
+    expect(parseMarkdown('> Note\n\n---')).toEqual([
+      { type: 'blockquote', children: [paragraph(text('Note'))] },
+      { type: 'hr' },
+    ]);
+  });
+});
+
+describe('parseInline', () => {
+  it('reads links and inline code', () => {
+    expect(parseInline('See [delivery](https://shop.example/d) and `npm test`')).toEqual([
+      text('See '),
+      { type: 'link', href: 'https://shop.example/d', children: [text('delivery')] },
+      text(' and '),
+      { type: 'code', value: 'npm test' },
+    ]);
+  });
+
+  it('reads emphasis, but not underscores inside words', () => {
+    expect(parseInline('*soft* ~~old~~ snake_case_name')).toEqual([
+      { type: 'em', children: [text('soft')] },
+      text(' '),
+      { type: 'del', children: [text('old')] },
+      text(' snake_case_name'),
+    ]);
+  });
+});
@@ -0,0 +1,194 @@
+'use client'
+import ProductCarousel, { isSafeUrl } from './ProductCarousel';
+import LeadForm from './LeadForm';
+
+/**
+ * Renderers for the kinds of message the chat can show, by `message.type`:
+ *
+ * - text: `text` as plain text (the default)
+ * - markdown: a reply; `raw` holds the Markdown, `text` the sanitized HTML and
+ *   `mentions` the catalog products it names
+ * - image: { url, alt, caption }
+ * - buttons: { text, buttons: [{ label, reply } or { label, url }] }
+ * - carousel: { products }
+ * - link: a link preview, { url, title, description, image, siteName }
+ * - form: { form, formStatus }, e.g. the lead form
+ * - system: a notice, `t(notice, values)` or `text`
+ *
+ * Each renderer gets the message and the chat props listed in
+ * MessageContent. Standalone types are drawn on their own; the others go
+ * inside a chat bubble with the sender's avatar and the time.
+ */
+
+function TextContent({ message, t }) {
+  return (
+    <div className="whitespace-pre-wrap text-sm" dir="auto">
+      {message.showQuickResponses ? t('welcomeMessage') : message.text}
+    </div>
+  );
+}
+
+function MarkdownContent({ message, t, locale, onOpenProduct }) {
+  // Product names in the reply are buttons carrying the product id
+  const handleClick = (e) => {
+    const mention = e.target.closest?.('[data-product-id]');
+    if (mention) onOpenProduct(mention.dataset.productId);
+  };
+
+  return (
+    <>
+      <div
+        className={`message-content ${message.streaming ? 'streaming' : ''}`}
+        dir="auto"
+        aria-busy={message.streaming ? 'true' : undefined}
+        onClick={handleClick}
+        dangerouslySetInnerHTML={{ __html: message.text }}
+      />
+      {/* Product cards that came with the reply */}
+      <ProductCarousel products={message.products} t={t} locale={locale} />
+    </>
+  );
+}
+
+function ImageContent({ message }) {
+  if (!isSafeUrl(message.url)) return null;
+  return (
+    <figure>
+      <img src={message.url} alt={message.alt ?? ''} loading="lazy" className="max-w-full max-h-64 rounded-lg" />
+      {message.caption && (
+        <figcaption className="mt-1 text-xs text-[var(--jb-text-muted)]" dir="auto">{message.caption}</figcaption>
+      )}
+    </figure>
+  );
+}
+
+function ButtonsContent({ message, onReply, disabled }) {
+  const buttonClass = 'bg-[var(--jb-surface)] text-[var(--jb-text)] border border-[var(--jb-border-strong)] rounded-full px-3 py-1 text-sm hover:bg-[var(--jb-hover)] transition-colors disabled:opacity-50';
+  return (
+    <>
+      {message.text && <div className="text-sm mb-2" dir="auto">{message.text}</div>}
+      <div className="flex flex-wrap gap-2" role="group" aria-label={message.text}>
+        {message.buttons?.map((button, index) => isSafeUrl(button.url) ? (
+          <a key={index} href={button.url} target="_blank" rel="noopener noreferrer" className={buttonClass}>
+            {button.label}
+          </a>
+        ) : (
+          <button key={index} type="button" onClick={() => onReply(button.reply || button.label)} disabled={disabled} className={buttonClass}>
+            {button.label}
+          </button>
+        ))}
+      </div>
+    </>
+  );
+}
+
+function CarouselContent({ message, t, locale }) {
+  return <ProductCarousel products={message.products} t={t} locale={locale} />;
+}
+
+function LinkPreview({ message }) {
+  if (!isSafeUrl(message.url)) return null;
+  return (
+    <a
+      href={message.url}
+      target="_blank"
+      rel="noopener noreferrer"
+      className="block w-64 max-w-full rounded-xl border border-[var(--jb-border)] bg-[var(--jb-surface)] overflow-hidden hover:border-[var(--jb-primary)]"
+    >
+      {isSafeUrl(message.image) && (
+        <img src={message.image} alt="" loading="lazy" className="w-full h-28 object-cover" />
+      )}
+      <div className="p-3" dir="auto">
+        {message.siteName && <div className="text-xs text-[var(--jb-text-muted)]">{message.siteName}</div>}
+        <div className="text-sm font-semibold text-[var(--jb-primary)] break-words">{message.title || message.url}</div>
+        {message.description && (
+          <div className="mt-1 text-xs text-[var(--jb-text-muted)]">{message.description}</div>
+        )}
+      </div>
+    </a>
+  );
+}
+
+// Forms by `message.form`
+const FORMS = {
+  lead: LeadForm,
+};
+
+function FormMessage({ message, t, onSubmitForm, onFormStatus }) {
+  const Form = FORMS[message.form];
+  if (!Form) return null;
+  return (
+    <Form
+      t={t}
+      status={message.formStatus}
+      onSubmit={(values) => onSubmitForm(message, values)}
+      onDismiss={() => onFormStatus(message.id, 'dismissed')}
+    />
+  );
+}
+
+function SystemNotice({ message, t }) {
+  return (
+    <div className="mb-6 px-6 text-xs text-center text-[var(--jb-text-muted)]" dir="auto">
+      {message.notice ? t(message.notice, message.values) : message.text}
+    </div>
+  );
+}
+
+const MESSAGE_TYPES = {
+  text: { Content: TextContent },
+  markdown: { Content: MarkdownContent },
+  image: { Content: ImageContent },
+  buttons: { Content: ButtonsContent },
+  carousel: { Content: CarouselContent },
+  link: { Content: LinkPreview },
+  form: { Content: FormMessage, standalone: true },
+  system: { Content: SystemNotice, standalone: true },
+};
+
+/**
+ * Adds or replaces the renderer of a message type
+ * @param {string} type
+ * @param {Object} definition
+ * @param {Function} definition.Content - Component receiving the message and the chat props
+ * @param {boolean} definition.standalone - Draw it without the chat bubble
+ */
+export function registerMessageType(type, { Content, standalone = false }) {
+  MESSAGE_TYPES[type] = { Content, standalone };
+}
+
+/**
+ * The type a message is rendered as. Messages saved before types existed
+ * are recognised by their old flags; unknown types fall back to text.
+ * @param {Object} message
+ * @return {string}
+ */
+export function messageTypeOf(message) {
+  const type = message.type ?? (message.sender === 'system' ? 'system' : message.isHTML ? 'markdown' : 'text');
+  return Object.hasOwn(MESSAGE_TYPES, type) ? type : 'text';
+}
+
+/**
+ * @param {Object} message
+ * @return {boolean} - Whether the message is drawn without the chat bubble
+ */
+export function isStandalone(message) {
+  return Boolean(MESSAGE_TYPES[messageTypeOf(message)].standalone);
+}
+
+/**
+ * Renders a message with the renderer of its type
+ * @param {Object} props
+ * @param {Object} props.message
+ * @param {Function} props.t - Translator
+ * @param {string} props.locale
+ * @param {Function} props.onReply - Sends a text as the visitor, like a quick reply
+ * @param {Function} props.onSubmitForm - Called with (message, values); rejects if they were not saved
+ * @param {Function} props.onFormStatus - Called with (messageId, status)
+ * @param {Function} props.onOpenProduct - Called with the id of a catalog product to show
+ * @param {boolean} props.disabled - Whether replies can be sent right now
+ */
+export default function MessageContent(props) {
+  const { Content } = MESSAGE_TYPES[messageTypeOf(props.message)];
+  return <Content {...props} />;
+}
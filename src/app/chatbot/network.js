@@ -0,0 +1,53 @@
+import { useCallback, useEffect, useState } from 'react';
+
+/**
+ * Tracks whether the browser has a network connection. `navigator.onLine`
+ * can report online while a captive portal blocks traffic, so requests still
+ * handle failures on their own; this only drives the offline queue.
+ * @return {boolean}
+ */
+export function useOnlineStatus() {
+  // Assume online until the browser says otherwise, so the server render matches
+  const [isOnline, setIsOnline] = useState(true);
+
+  useEffect(() => {
+    const update = () => setIsOnline(navigator.onLine !== false);
+    update();
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, []);
+
+  return isOnline;
+}
+
+/**
+ * Countdown for a server-imposed pause, e.g. after a 429 response
+ * @return {[number, Function]} - Seconds left (0 when not cooling down) and a
+ *   function starting a cooldown of the given number of seconds
+ */
+export function useCooldown() {
+  const [until, setUntil] = useState(0);
+  const [secondsLeft, setSecondsLeft] = useState(0);
+
+  useEffect(() => {
+    if (!until) return;
+    const update = () => {
+      const left = Math.max(0, Math.ceil((until - Date.now()) / 1000));
+      setSecondsLeft(left);
+      if (left === 0) setUntil(0);
+    };
+    update();
+    const timer = setInterval(update, 1000);
+    return () => clearInterval(timer);
+  }, [until]);
+
+  const startCooldown = useCallback((seconds) => {
+    setUntil(Date.now() + seconds * 1000);
+  }, []);
+
+  return [secondsLeft, startCooldown];
+}
@@ -0,0 +1,309 @@
+/**
+ * Allow-list HTML sanitizer for formatter output.
+ *
+ * Works on strings (no DOM needed) so it runs the same during server rendering
+ * and in the browser. Anything not explicitly allowed is dropped: unknown tags
+ * are removed but their text is kept, dangerous containers such as <script>
+ * are removed with their content, and attribute values are checked per type.
+ */
+
+// Tag name -> attributes allowed on it (in addition to GLOBAL_ATTRIBUTES)
+const ALLOWED_TAGS = {
+  a: ['href', 'title'],
+  b: [],
+  blockquote: [],
+  br: [],
+  // Product names in replies, which open the product's details
+  button: ['type', 'data-product-id'],
+  code: [],
+  del: [],
+  div: [],
+  em: [],
+  h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+  hr: [],
+  i: [],
+  img: ['src', 'alt', 'title', 'width', 'height'],
+  li: [],
+  ol: ['start'],
+  p: [],
+  pre: [],
+  s: [],
+  span: [],
+  strong: [],
+  table: [],
+  tbody: [],
+  td: ['colspan', 'rowspan'],
+  th: ['colspan', 'rowspan', 'scope'],
+  thead: [],
+  tr: [],
+  u: [],
+  ul: [],
+};
+
+const GLOBAL_ATTRIBUTES = ['class', 'style'];
+
+const VOID_TAGS = new Set(['br', 'hr', 'img']);
+
+// Removed together with everything inside them
+const DROP_CONTENT_TAGS = new Set([
+  'script', 'style', 'iframe', 'object', 'embed', 'noscript', 'template',
+  'textarea', 'title', 'xmp', 'svg', 'math', 'select', 'frameset', 'noembed', 'noframes',
+]);
+
+const URL_SCHEMES = {
+  href: ['http', 'https', 'mailto', 'tel'],
+  src: ['http', 'https'],
+};
+
+// Hex, named and rgb()/hsl() colors; also what the widget config accepts
+export const COLOR_VALUE = /^(#[0-9a-f]{3,8}|[a-z]+|(rgb|rgba|hsl|hsla)\(\s*[\d.]+%?\s*(,\s*[\d.]+%?\s*){2,3}\))$/i;
+
+// Inline style property -> pattern its value must match
+const ALLOWED_STYLES = {
+  'color': COLOR_VALUE,
+  'background-color': COLOR_VALUE,
+  'border-color': COLOR_VALUE,
+  'font-weight': /^(normal|bold|bolder|lighter|[1-9]00)$/,
+  'font-style': /^(normal|italic)$/,
+  'text-align': /^(left|right|center|start|end|justify)$/,
+  'text-decoration': /^(none|underline|line-through)$/,
+};
+
+// The classes formatMessage emits. Anything else could restyle the page
+// around the message (e.g. "fixed inset-0 z-50"), so it is dropped.
+const ALLOWED_CLASSES = new Set([
+  'message-container', 'font-sans', 'font-serif', 'font-mono', 'animate-fade-in',
+  'text-2xl', 'text-xl', 'text-lg', 'text-base', 'text-[13px]', 'text-start',
+  'font-bold', 'font-semibold', 'italic', 'leading-relaxed',
+  'mb-2', 'mb-3', 'mb-4', 'mt-3', 'mt-4', 'mt-5', 'mt-6', 'my-2', 'my-3',
+  'p-3', 'px-1', 'px-2', 'py-0.5', 'py-1', 'ps-1', 'ps-3', 'ps-5', 'space-y-1',
+  'list-decimal', 'list-disc', 'border', 'border-s-4', 'border-collapse', 'rounded',
+  'overflow-x-auto', 'w-full', 'product-mention',
+]);
+
+// Lookups in the tables above; a plain `table[key]` would also find
+// inherited keys such as "constructor"
+const allows = (table, key) => Object.hasOwn(table, key) ? table[key] : undefined;
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  colon: ':', tab: '\t', newline: '\n', lpar: '(', rpar: ')', sol: '/',
+};
+
+/**
+ * Decodes character references the way browsers do before interpreting
+ * an attribute value, so `jav&#x61;script:` is recognised as `javascript:`
+ */
+function decodeEntities(value) {
+  return value.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);?/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '';
+    }
+    return allows(NAMED_ENTITIES, entity.toLowerCase()) ?? match;
+  });
+}
+
+const escapeText = (text) => text
+  .replace(/&(?!(#x[0-9a-f]+|#\d+|[a-z]+);)/gi, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+const escapeAttribute = (value) => value
+  .replace(/&/g, '&amp;')
+  .replace(/"/g, '&quot;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+/**
+ * Returns the URL if its scheme is allowed for the attribute, otherwise null.
+ * Relative URLs (no scheme) are allowed.
+ */
+function sanitizeUrl(value, attribute) {
+  // Browsers ignore control characters and whitespace inside the scheme
+  const url = value.replace(/[\u0000- \u007f-\u009f]/g, '');
+  const scheme = url.match(/^([a-z][a-z0-9+.-]*):/i);
+  if (!scheme) {
+    // Protocol-relative URLs would load from an arbitrary host
+    return url.startsWith('//') || url.startsWith('\\') ? null : value.trim();
+  }
+  return URL_SCHEMES[attribute].includes(scheme[1].toLowerCase()) ? value.trim() : null;
+}
+
+function sanitizeStyle(value) {
+  return value
+    .split(';')
+    .map(declaration => {
+      const separator = declaration.indexOf(':');
+      if (separator === -1) return null;
+      const property = declaration.slice(0, separator).trim().toLowerCase();
+      const propertyValue = declaration.slice(separator + 1).trim();
+      const pattern = allows(ALLOWED_STYLES, property);
+      return pattern && pattern.test(propertyValue) ? `${property}: ${propertyValue}` : null;
+    })
+    .filter(Boolean)
+    .join('; ');
+}
+
+function sanitizeAttribute(tag, name, rawValue) {
+  if (!GLOBAL_ATTRIBUTES.includes(name) && !allows(ALLOWED_TAGS, tag).includes(name)) {
+    return null;
+  }
+
+  const value = decodeEntities(rawValue);
+  switch (name) {
+    case 'href':
+    case 'src':
+      return sanitizeUrl(value, name);
+    case 'style':
+      return sanitizeStyle(value) || null;
+    case 'class':
+      return value.split(/\s+/).filter(token => ALLOWED_CLASSES.has(token)).join(' ') || null;
+    case 'width':
+    case 'height':
+    case 'colspan':
+    case 'rowspan':
+    case 'start':
+      return /^\d{1,4}$/.test(value.trim()) ? value.trim() : null;
+    case 'scope':
+      return /^(row|col|rowgroup|colgroup)$/.test(value) ? value : null;
+    case 'type':
+      return value === 'button' ? value : null;
+    case 'data-product-id':
+      return /^[A-Za-z0-9_-]{1,80}$/.test(value) ? value : null;
+    default:
+      return value;
+  }
+}
+
+const ATTRIBUTE_PATTERN = /([^\s"'<>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+function buildOpenTag(tag, attributeSource) {
+  const attributes = [];
+  const seen = new Set();
+
+  for (const match of attributeSource.matchAll(ATTRIBUTE_PATTERN)) {
+    const name = match[1].toLowerCase();
+    if (seen.has(name)) continue;
+    seen.add(name);
+
+    const value = sanitizeAttribute(tag, name, match[2] ?? match[3] ?? match[4] ?? '');
+    if (value !== null) {
+      attributes.push(`${name}="${escapeAttribute(value)}"`);
+    }
+  }
+
+  // Links always open in a new tab without handing over window.opener
+  if (tag === 'a' && attributes.some(attribute => attribute.startsWith('href='))) {
+    attributes.push('target="_blank"', 'rel="noopener noreferrer nofollow"');
+  }
+
+  return `<${tag}${attributes.length ? ' ' + attributes.join(' ') : ''}>`;
+}
+
+/**
+ * Finds the `>` closing a tag that starts at `start`, skipping over quoted
+ * attribute values. Returns -1 when the tag is never closed.
+ */
+function findTagEnd(html, start) {
+  let quote = null;
+  for (let i = start; i < html.length; i++) {
+    const char = html[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '>') {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Sanitizes an HTML string against the allow-list
+ * @param {string} html - Untrusted HTML
+ * @return {string} - HTML that is safe to pass to dangerouslySetInnerHTML
+ */
+export function sanitizeHtml(html) {
+  if (!html) return '';
+
+  let output = '';
+  const openTags = [];
+  let position = 0;
+
+  while (position < html.length) {
+    const tagStart = html.indexOf('<', position);
+    if (tagStart === -1) {
+      output += escapeText(html.slice(position));
+      break;
+    }
+    output += escapeText(html.slice(position, tagStart));
+
+    // Comments, doctypes and processing instructions are dropped
+    if (html.startsWith('<!--', tagStart)) {
+      const end = html.indexOf('-->', tagStart + 4);
+      position = end === -1 ? html.length : end + 3;
+      continue;
+    }
+    if (html[tagStart + 1] === '!' || html[tagStart + 1] === '?') {
+      const end = html.indexOf('>', tagStart);
+      position = end === -1 ? html.length : end + 1;
+      continue;
+    }
+
+    const tagMatch = html.slice(tagStart).match(/^<(\/?)([a-z][a-z0-9-]*)/i);
+    if (!tagMatch) {
+      // A stray "<" is plain text
+      output += '&lt;';
+      position = tagStart + 1;
+      continue;
+    }
+
+    const tagEnd = findTagEnd(html, tagStart + tagMatch[0].length);
+    if (tagEnd === -1) {
+      // Unterminated tag: drop the rest rather than guess
+      break;
+    }
+
+    const isClosing = tagMatch[1] === '/';
+    const tag = tagMatch[2].toLowerCase();
+    position = tagEnd + 1;
+
+    if (DROP_CONTENT_TAGS.has(tag)) {
+      if (!isClosing) {
+        const closeMatch = html.slice(position).match(new RegExp(`</${tag}\\s*>`, 'i'));
+        position = closeMatch ? position + closeMatch.index + closeMatch[0].length : html.length;
+      }
+      continue;
+    }
+
+    if (!allows(ALLOWED_TAGS, tag)) continue;
+
+    if (isClosing) {
+      const index = openTags.lastIndexOf(tag);
+      if (index !== -1) {
+        // Close anything left open inside this element as well
+        while (openTags.length > index) {
+          output += `</${openTags.pop()}>`;
+        }
+      }
+      continue;
+    }
+
+    const attributeSource = html.slice(tagStart + tagMatch[0].length, tagEnd).replace(/\/\s*$/, '');
+    output += buildOpenTag(tag, attributeSource);
+    if (!VOID_TAGS.has(tag)) {
+      openTags.push(tag);
+    }
+  }
+
+  while (openTags.length > 0) {
+    output += `</${openTags.pop()}>`;
+  }
+  return output;
+}
+
+export default sanitizeHtml;
@@ -0,0 +1,78 @@
+import { describe, expect, it } from 'vitest';
+import { sanitizeHtml } from './sanitize';
+
+describe('sanitizeHtml', () => {
+  it('keeps allowed markup', () => {
+    expect(sanitizeHtml('<p class="mb-3 leading-relaxed">Hi <strong>there</strong></p>'))
+      .toBe('<p class="mb-3 leading-relaxed">Hi <strong>there</strong></p>');
+  });
+
+  it('removes scripts with their content', () => {
+    expect(sanitizeHtml('a<script>alert(1)</script>b')).toBe('ab');
+    expect(sanitizeHtml('a<SCRIPT src="x.js"></SCRIPT >b')).toBe('ab');
+  });
+
+  it('drops event handlers and unknown attributes', () => {
+    expect(sanitizeHtml('<img src="https://example.com/a.png" onerror="alert(1)">'))
+      .toBe('<img src="https://example.com/a.png">');
+    expect(sanitizeHtml('<p id="x" onclick=alert(1)>x</p>')).toBe('<p>x</p>');
+  });
+
+  it('rejects script URLs, including encoded ones', () => {
+    expect(sanitizeHtml('<a href="javascript:alert(1)">x</a>')).toBe('<a>x</a>');
+    expect(sanitizeHtml('<a href="jav&#x61;script:alert(1)">x</a>')).toBe('<a>x</a>');
+    expect(sanitizeHtml('<a href="java\tscript:alert(1)">x</a>')).toBe('<a>x</a>');
+    expect(sanitizeHtml('<img src="data:image/svg+xml,<svg onload=alert(1)>">')).toBe('<img>');
+    expect(sanitizeHtml('<img src="//evil.example/a.png">')).toBe('<img>');
+  });
+
+  it('opens links in a new tab without the opener', () => {
+    expect(sanitizeHtml('<a href="https://example.com">x</a>'))
+      .toBe('<a href="https://example.com" target="_blank" rel="noopener noreferrer nofollow">x</a>');
+  });
+
+  it('treats inherited object keys as unknown tags, attributes and styles', () => {
+    expect(sanitizeHtml('<constructor foo=1>x</constructor>')).toBe('x');
+    expect(sanitizeHtml('<constructor/>x')).toBe('x');
+    expect(sanitizeHtml('<__proto__>x')).toBe('&lt;__proto__&gt;x');
+    expect(sanitizeHtml('<p constructor="1" hasOwnProperty="1">x</p>')).toBe('<p>x</p>');
+    expect(sanitizeHtml('<p style="constructor: red; color: red">x</p>')).toBe('<p style="color: red">x</p>');
+    expect(sanitizeHtml('a&constructor;b')).toBe('a&constructor;b');
+  });
+
+  it('keeps only the classes the formatter uses', () => {
+    expect(sanitizeHtml('<div class="fixed inset-0 z-50">x</div>')).toBe('<div>x</div>');
+    expect(sanitizeHtml('<div class="my-2 absolute top-0 bg-[url(https://evil.example)]">x</div>'))
+      .toBe('<div class="my-2">x</div>');
+    expect(sanitizeHtml('<button type="button" class="product-mention" data-product-id="oak-bed">Oak bed</button>'))
+      .toBe('<button type="button" class="product-mention" data-product-id="oak-bed">Oak bed</button>');
+  });
+
+  it('keeps only harmless inline styles', () => {
+    expect(sanitizeHtml('<p style="color: #333; position: fixed; background-image: url(x)">x</p>'))
+      .toBe('<p style="color: #333">x</p>');
+    expect(sanitizeHtml('<p style="color: expression(alert(1))">x</p>')).toBe('<p>x</p>');
+  });
+
+  it('only allows plain buttons with well-formed product ids', () => {
+    expect(sanitizeHtml('<button type="submit" data-product-id="a&quot; onclick=&quot;x">x</button>'))
+      .toBe('<button>x</button>');
+  });
+
+  it('escapes attribute breakouts and stray brackets', () => {
+    expect(sanitizeHtml('<img alt=\'"><script>alert(1)</script>\'>'))
+      .toBe('<img alt="&quot;&gt;&lt;script&gt;alert(1)&lt;/script&gt;">');
+    expect(sanitizeHtml('1 < 2 > 0')).toBe('1 &lt; 2 &gt; 0');
+  });
+
+  it('closes tags left open and ignores stray closing tags', () => {
+    expect(sanitizeHtml('<ul><li><em>x</ul></p>')).toBe('<ul><li><em>x</em></li></ul>');
+    expect(sanitizeHtml('<b>x')).toBe('<b>x</b>');
+  });
+
+  it('drops comments, unterminated tags and svg payloads', () => {
+    expect(sanitizeHtml('a<!-- <img src=x onerror=alert(1)> -->b')).toBe('ab');
+    expect(sanitizeHtml('a<svg><script>alert(1)</script></svg>b')).toBe('ab');
+    expect(sanitizeHtml('a<img src="x" onerror="alert(1)"')).toBe('a');
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * Client-side conversation helpers: session ids and the history window
+ * sent with every chat request
+ */
+
+// Size of the history window; the server trims again on its side
+const HISTORY_WINDOW = {
+  maxTurns: 10,
+  maxChars: 4000,
+};
+
+/**
+ * Generates a new session id
+ * @return {string}
+ */
+export function createSessionId() {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
+/**
+ * Builds the history window from the chat transcript, newest turns first
+ * until the window is full, then returned oldest first
+ * @param {Array} messages - Chat messages as stored in the Chatbot component
+ * @return {Array<{role: string, content: string}>}
+ */
+export function buildHistory(messages, { maxTurns, maxChars } = HISTORY_WINDOW) {
+  const history = [];
+  let size = 0;
+
+  for (let i = messages.length - 1; i >= 0 && history.length < maxTurns; i--) {
+    const message = messages[i];
+    // Skip the welcome message, error notices, replies still streaming in,
+    // user messages that were not delivered (queued or failed), the live chat
+    // with an agent and the rich messages shown after a reply
+    if (message.showQuickResponses || message.isError || message.streaming || message.status) continue;
+    if (message.handoff || message.sender === 'system' || message.partOf) continue;
+
+    // Bot messages keep the original Markdown in `raw`; `text` is formatted HTML
+    const content = (message.sender === 'bot' ? message.raw : message.text)?.trim();
+    if (!content) continue;
+    if (size + content.length > maxChars) break;
+
+    size += content.length;
+    history.unshift({ role: message.sender === 'user' ? 'user' : 'assistant', content });
+  }
+  return history;
+}
@@ -0,0 +1,202 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { loadReadAloudPreference, saveReadAloudPreference } from './storage';
+
+/**
+ * Voice input and spoken replies through the Web Speech API. Browsers
+ * without it simply do not get the buttons. The helpers read the API from
+ * `env` (the window by default), so tests can pass fakes.
+ */
+
+// Chrome stops reading long utterances after about 15 seconds; shorter ones queue up fine
+const MAX_UTTERANCE_CHARS = 200;
+
+const browserEnv = () => (typeof window !== 'undefined' ? window : {});
+
+/**
+ * @param {Object} env - Where to look for the API
+ * @return {{recognition: boolean, synthesis: boolean}} - What this browser supports
+ */
+export function speechSupport(env = browserEnv()) {
+  return {
+    recognition: Boolean(env.SpeechRecognition || env.webkitSpeechRecognition),
+    synthesis: Boolean(env.speechSynthesis && env.SpeechSynthesisUtterance),
+  };
+}
+
+/**
+ * Turns a reply's Markdown (the input of formatMessage) into text worth
+ * reading out: no markup, link targets or code, one sentence per line
+ * @param {string} markdown
+ * @return {string}
+ */
+export function speechText(markdown) {
+  if (!markdown) return '';
+  return markdown
+    .replace(/```[\s\S]*?```/g, ' ')
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/(\*\*|__|~~)(.+?)\1/g, '$2')
+    .replace(/(^|\W)[*_](\S.*?)[*_](?=\W|$)/g, '$1$2')
+    .replace(/`([^`]*)`/g, '$1')
+    .split('\n')
+    .map(line => line
+      .replace(/^\s{0,3}#{1,6}\s+/, '')
+      .replace(/^\s*>\s?/, '')
+      .replace(/^\s*(?:[-*+]|\d+[.)])\s+/, '')
+      .replace(/^\s*\|?\s*:?-{3,}.*$/, '')
+      .replace(/\s*\|\s*/g, ', ')
+      .replace(/^,\s*|,\s*$/g, '')
+      .trim())
+    .filter(Boolean)
+    // Pause between list items and headings that have no punctuation of their own
+    .map(line => /[.!?:;,…]$/.test(line) ? line : `${line}.`)
+    .join(' ');
+}
+
+// Splits text into utterances of at most MAX_UTTERANCE_CHARS, at sentence ends when possible
+function utteranceChunks(text) {
+  const chunks = [];
+  let current = '';
+  for (const sentence of text.match(/[^.!?…]+[.!?…]*\s*/g) || []) {
+    if (current && (current + sentence).length > MAX_UTTERANCE_CHARS) {
+      chunks.push(current.trim());
+      current = '';
+    }
+    current += sentence;
+  }
+  if (current.trim()) chunks.push(current.trim());
+  return chunks;
+}
+
+/**
+ * Reads text out, replacing whatever is being read
+ * @param {string} text - Plain text, e.g. from speechText
+ * @param {Object} options
+ * @param {string} options.lang - BCP 47 language tag, e.g. 'fr'
+ * @param {Object} options.env - Where to find speechSynthesis
+ */
+export function speak(text, { lang, env = browserEnv() } = {}) {
+  if (!speechSupport(env).synthesis) return;
+  env.speechSynthesis.cancel();
+  for (const chunk of utteranceChunks(text)) {
+    const utterance = new env.SpeechSynthesisUtterance(chunk);
+    if (lang) utterance.lang = lang;
+    env.speechSynthesis.speak(utterance);
+  }
+}
+
+/**
+ * Stops reading out
+ * @param {Object} env - Where to find speechSynthesis
+ */
+export function stopSpeaking(env = browserEnv()) {
+  if (speechSupport(env).synthesis) env.speechSynthesis.cancel();
+}
+
+/**
+ * Starts one dictation
+ * @param {Object} options
+ * @param {string} options.lang - BCP 47 language tag
+ * @param {Function} options.onUpdate - Called with (finalText, interimText) as words are recognised
+ * @param {Function} options.onError - Called with the error code, e.g. 'not-allowed'
+ * @param {Function} options.onEnd - Called once listening stops, for any reason
+ * @param {Object} options.env - Where to find SpeechRecognition
+ * @return {{stop: Function}|null} - null when the browser cannot do it
+ */
+export function startDictation({ lang, onUpdate, onError, onEnd, env = browserEnv() }) {
+  const Recognition = env.SpeechRecognition || env.webkitSpeechRecognition;
+  if (!Recognition) return null;
+
+  const recognition = new Recognition();
+  recognition.lang = lang;
+  recognition.interimResults = true;
+  recognition.continuous = false;
+  recognition.maxAlternatives = 1;
+
+  recognition.onresult = (event) => {
+    let finalText = '';
+    let interimText = '';
+    // `results` holds every phrase of this dictation so far
+    for (const result of Array.from(event.results)) {
+      if (result.isFinal) finalText += result[0].transcript;
+      else interimText += result[0].transcript;
+    }
+    onUpdate(finalText, interimText);
+  };
+  recognition.onerror = (event) => onError?.(event.error);
+  recognition.onend = () => onEnd?.();
+
+  try {
+    recognition.start();
+  } catch (error) {
+    // start() throws when a dictation is already running
+    onError?.(error.name || 'start-failed');
+    onEnd?.();
+    return null;
+  }
+  return { stop: () => recognition.stop() };
+}
+
+/**
+ * Microphone dictation into a text field
+ * @param {string} lang - The widget's locale
+ * @param {Function} onText - Called with the recognised text (final and interim) as it changes
+ * @return {Object} - { supported, listening, error, start, stop }
+ */
+export function useDictation(lang, onText) {
+  const [supported, setSupported] = useState(false);
+  const [listening, setListening] = useState(false);
+  const [error, setError] = useState(null);
+  const dictation = useRef(null);
+  const onTextRef = useRef(onText);
+  onTextRef.current = onText;
+
+  // Detected after mounting so the server render matches
+  useEffect(() => {
+    setSupported(speechSupport().recognition);
+    return () => dictation.current?.stop();
+  }, []);
+
+  const start = useCallback(() => {
+    setError(null);
+    dictation.current = startDictation({
+      lang,
+      onUpdate: (finalText, interimText) => onTextRef.current(`${finalText}${interimText}`),
+      // Silence is not worth a message; the button simply goes back to idle
+      onError: (code) => { if (code !== 'no-speech' && code !== 'aborted') setError(code); },
+      onEnd: () => {
+        dictation.current = null;
+        setListening(false);
+      },
+    });
+    setListening(Boolean(dictation.current));
+  }, [lang]);
+
+  const stop = useCallback(() => dictation.current?.stop(), []);
+
+  return { supported, listening, error, start, stop };
+}
+
+/**
+ * The visitor's "read replies aloud" setting, remembered in localStorage
+ * @return {Object} - { supported, enabled, toggle }
+ */
+export function useReadAloud() {
+  const [supported, setSupported] = useState(false);
+  const [enabled, setEnabled] = useState(false);
+
+  useEffect(() => {
+    const { synthesis } = speechSupport();
+    setSupported(synthesis);
+    setEnabled(synthesis && loadReadAloudPreference());
+    return () => stopSpeaking();
+  }, []);
+
+  const toggle = () => {
+    if (enabled) stopSpeaking();
+    setEnabled(!enabled);
+    saveReadAloudPreference(!enabled);
+  };
+
+  return { supported, enabled, toggle };
+}
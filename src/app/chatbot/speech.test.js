@@ -0,0 +1,143 @@
+import { describe, expect, it, vi } from 'vitest';
+import { speak, speechSupport, speechText, startDictation, stopSpeaking } from './speech';
+
+// Records what the widget asks the speech synthesis API to do
+function fakeSynthesisEnv() {
+  const spoken = [];
+  const speechSynthesis = { cancel: vi.fn(), speak: (utterance) => spoken.push(utterance) };
+  function SpeechSynthesisUtterance(text) {
+    this.text = text;
+  }
+  return { env: { speechSynthesis, SpeechSynthesisUtterance }, spoken };
+}
+
+// A SpeechRecognition class whose last instance the test can drive
+function fakeRecognitionEnv({ startError } = {}) {
+  const instances = [];
+  class SpeechRecognition {
+    constructor() {
+      instances.push(this);
+      this.stop = vi.fn(() => this.onend?.());
+    }
+    start() {
+      if (startError) throw startError;
+      this.started = true;
+    }
+  }
+  return { env: { webkitSpeechRecognition: SpeechRecognition }, instances };
+}
+
+const result = (transcript, isFinal) => Object.assign([{ transcript }], { isFinal });
+
+describe('speechSupport', () => {
+  it('reports what the environment provides', () => {
+    expect(speechSupport({})).toEqual({ recognition: false, synthesis: false });
+    expect(speechSupport(fakeSynthesisEnv().env)).toEqual({ recognition: false, synthesis: true });
+    expect(speechSupport(fakeRecognitionEnv().env)).toEqual({ recognition: true, synthesis: false });
+  });
+});
+
+describe('speechText', () => {
+  it('strips Markdown down to readable sentences', () => {
+    const markdown = [
+      '## Delivery',
+      'We deliver **free** on orders over £500, see [our policy](https://example.com/delivery).',
+      '- Standard: 5-7 days',
+      '- Express: `next day`',
+      '```',
+      'const ignored = true;',
+      '```',
+      '> Assembly is _included_',
+    ].join('\n');
+    expect(speechText(markdown)).toBe(
+      'Delivery. We deliver free on orders over £500, see our policy. Standard: 5-7 days. Express: next day. Assembly is included.'
+    );
+  });
+
+  it('reads tables row by row', () => {
+    expect(speechText('| Size | Price |\n| --- | ---: |\n| King | £549 |')).toBe('Size, Price. King, £549.');
+  });
+
+  it('returns an empty string for no text', () => {
+    expect(speechText('')).toBe('');
+    expect(speechText(undefined)).toBe('');
+  });
+});
+
+describe('speak', () => {
+  it('replaces what is being read with the new text, in the given language', () => {
+    const { env, spoken } = fakeSynthesisEnv();
+    speak('Hello there.', { lang: 'fr', env });
+    expect(env.speechSynthesis.cancel).toHaveBeenCalledOnce();
+    expect(spoken).toHaveLength(1);
+    expect(spoken[0]).toMatchObject({ text: 'Hello there.', lang: 'fr' });
+  });
+
+  it('splits long text into short utterances at sentence ends', () => {
+    const { env, spoken } = fakeSynthesisEnv();
+    const sentence = `${'word '.repeat(15).trim()}.`;
+    speak(Array(6).fill(sentence).join(' '), { env });
+    expect(spoken.length).toBeGreaterThan(1);
+    for (const utterance of spoken) {
+      expect(utterance.text.length).toBeLessThanOrEqual(200);
+      expect(utterance.text).toMatch(/^word.*\.$/);
+    }
+    expect(spoken.map(utterance => utterance.text).join(' ')).toBe(Array(6).fill(sentence).join(' '));
+  });
+
+  it('keeps a single sentence whole even when it is long', () => {
+    const { env, spoken } = fakeSynthesisEnv();
+    const sentence = `${'word '.repeat(60).trim()}.`;
+    speak(sentence, { env });
+    expect(spoken.map(utterance => utterance.text)).toEqual([sentence]);
+  });
+
+  it('does nothing without speech synthesis', () => {
+    expect(() => speak('Hello.', { env: {} })).not.toThrow();
+    expect(() => stopSpeaking({})).not.toThrow();
+  });
+});
+
+describe('startDictation', () => {
+  it('reports final and interim text as it is recognised', () => {
+    const { env, instances } = fakeRecognitionEnv();
+    const onUpdate = vi.fn();
+    const dictation = startDictation({ lang: 'ar', onUpdate, env });
+
+    const [recognition] = instances;
+    expect(recognition).toMatchObject({ lang: 'ar', interimResults: true, continuous: false, started: true });
+
+    recognition.onresult({ results: [result('a king ', true), result('size bed', false)] });
+    expect(onUpdate).toHaveBeenLastCalledWith('a king ', 'size bed');
+
+    const onEnd = vi.fn();
+    recognition.onend = onEnd;
+    dictation.stop();
+    expect(onEnd).toHaveBeenCalledOnce();
+  });
+
+  it('passes on errors and the end of listening', () => {
+    const { env, instances } = fakeRecognitionEnv();
+    const onError = vi.fn();
+    const onEnd = vi.fn();
+    startDictation({ lang: 'en', onUpdate: vi.fn(), onError, onEnd, env });
+    instances[0].onerror({ error: 'not-allowed' });
+    instances[0].onend();
+    expect(onError).toHaveBeenCalledWith('not-allowed');
+    expect(onEnd).toHaveBeenCalledOnce();
+  });
+
+  it('ends straight away when listening cannot start', () => {
+    const startError = Object.assign(new Error('already started'), { name: 'InvalidStateError' });
+    const { env } = fakeRecognitionEnv({ startError });
+    const onError = vi.fn();
+    const onEnd = vi.fn();
+    expect(startDictation({ lang: 'en', onUpdate: vi.fn(), onError, onEnd, env })).toBeNull();
+    expect(onError).toHaveBeenCalledWith('InvalidStateError');
+    expect(onEnd).toHaveBeenCalledOnce();
+  });
+
+  it('returns null without speech recognition', () => {
+    expect(startDictation({ lang: 'en', onUpdate: vi.fn(), env: {} })).toBeNull();
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Persists the chat transcript in localStorage so it survives page reloads
+ * and navigation between store pages
+ */
+
+const STORAGE_KEY = 'jennibot:conversation';
+const STORAGE_VERSION = 1;
+const THEME_KEY = 'jennibot:theme';
+const READ_ALOUD_KEY = 'jennibot:read-aloud';
+
+// Conversations idle for longer than this are discarded
+export const CONVERSATION_TTL_MS = 24 * 60 * 60 * 1000;
+
+function getStorage() {
+  try {
+    return typeof window !== 'undefined' ? window.localStorage : null;
+  } catch {
+    // Access can throw when storage is disabled (e.g. blocked third-party cookies)
+    return null;
+  }
+}
+
+/**
+ * Loads the saved conversation if there is one and it has not expired
+ * @return {{sessionId: string, messages: Array, handoff: Object|null}|null}
+ */
+export function loadConversation() {
+  const storage = getStorage();
+  if (!storage) return null;
+
+  try {
+    const saved = JSON.parse(storage.getItem(STORAGE_KEY));
+    if (!saved || saved.version !== STORAGE_VERSION || !Array.isArray(saved.messages)) {
+      return null;
+    }
+    if (saved.expiresAt <= Date.now()) {
+      storage.removeItem(STORAGE_KEY);
+      return null;
+    }
+    return { sessionId: saved.sessionId, messages: saved.messages, handoff: saved.handoff ?? null };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Saves the conversation and pushes its expiry forward
+ * @param {Object} conversation
+ * @param {string} conversation.sessionId
+ * @param {Array} conversation.messages
+ * @param {Object|null} conversation.handoff - The live chat with an agent, if one is open
+ */
+export function saveConversation({ sessionId, messages, handoff = null }) {
+  const storage = getStorage();
+  if (!storage) return;
+
+  const now = Date.now();
+  try {
+    storage.setItem(STORAGE_KEY, JSON.stringify({
+      version: STORAGE_VERSION,
+      sessionId,
+      // Replies still streaming in are saved once they complete. Attached
+      // photos keep only their thumbnail; the full images would fill the quota.
+      messages: messages
+        .filter(message => !message.streaming)
+        .map(message => message.attachments
+          ? { ...message, attachments: message.attachments.map(({ data, ...image }) => image) }
+          : message),
+      handoff,
+      updatedAt: now,
+      expiresAt: now + CONVERSATION_TTL_MS,
+    }));
+  } catch (error) {
+    // Quota exceeded or storage disabled; the chat keeps working without it
+    console.warn('Could not save the conversation:', error);
+  }
+}
+
+/**
+ * Removes the saved conversation
+ */
+export function clearConversation() {
+  getStorage()?.removeItem(STORAGE_KEY);
+}
+
+/**
+ * Loads the theme the visitor picked with the header toggle
+ * @return {string|null} - 'light', 'dark', or null to follow the defaults
+ */
+export function loadThemePreference() {
+  try {
+    const theme = getStorage()?.getItem(THEME_KEY);
+    return theme === 'light' || theme === 'dark' ? theme : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Remembers the theme picked with the header toggle. Unlike the
+ * conversation it does not expire.
+ * @param {string} theme - 'light' or 'dark'
+ */
+export function saveThemePreference(theme) {
+  try {
+    getStorage()?.setItem(THEME_KEY, theme);
+  } catch {
+    // Storage disabled; the toggle still applies until the page is left
+  }
+}
+
+/**
+ * @return {boolean} - Whether the visitor turned on reading replies aloud
+ */
+export function loadReadAloudPreference() {
+  try {
+    return getStorage()?.getItem(READ_ALOUD_KEY) === 'on';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Remembers the "read replies aloud" toggle. Like the theme it does not expire.
+ * @param {boolean} enabled
+ */
+export function saveReadAloudPreference(enabled) {
+  try {
+    getStorage()?.setItem(READ_ALOUD_KEY, enabled ? 'on' : 'off');
+  } catch {
+    // Storage disabled; the toggle still applies until the page is left
+  }
+}
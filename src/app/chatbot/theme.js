@@ -0,0 +1,74 @@
+import { useEffect, useState } from 'react';
+import { loadThemePreference, saveThemePreference } from './storage';
+
+/**
+ * Light and dark palettes for the widget chrome. Components read them through
+ * CSS custom properties, e.g. bg-[var(--jb-surface)]; formatted replies get
+ * the matching palette from formatMessage's `theme` option.
+ */
+
+const THEME_COLORS = {
+  light: {
+    '--jb-surface': '#ffffff',
+    '--jb-surface-muted': '#f3f4f6', // Bot bubbles
+    '--jb-hover': '#f9fafb',
+    '--jb-text': '#1f2937',
+    '--jb-text-muted': '#6b7280',
+    '--jb-border': '#e5e7eb',
+    '--jb-border-strong': '#d1d5db',
+    '--jb-danger': '#dc2626',
+  },
+  dark: {
+    '--jb-surface': '#111827',
+    '--jb-surface-muted': '#1f2937', // Same as formatMessage's dark background
+    '--jb-hover': '#1f2937',
+    '--jb-text': '#f3f4f6',
+    '--jb-text-muted': '#9ca3af',
+    '--jb-border': '#374151',
+    '--jb-border-strong': '#4b5563',
+    '--jb-danger': '#f87171',
+  },
+};
+
+const DARK_QUERY = '(prefers-color-scheme: dark)';
+
+/**
+ * CSS custom properties for a theme
+ * @param {string} theme - 'light' or 'dark'
+ * @return {Object} - Inline style object
+ */
+export function themeVariables(theme) {
+  return { ...THEME_COLORS[theme], colorScheme: theme };
+}
+
+/**
+ * Resolves the widget theme. A theme the visitor picked with the toggle wins,
+ * then a fixed theme from the configuration; 'auto' follows the system setting.
+ * @param {string} configTheme - 'auto', 'light' or 'dark'
+ * @return {[string, Function]} - The active theme and a function toggling it
+ */
+export function useTheme(configTheme = 'auto') {
+  const [preference, setPreference] = useState(null);
+  const [systemTheme, setSystemTheme] = useState('light');
+
+  useEffect(() => {
+    setPreference(loadThemePreference());
+
+    if (!window.matchMedia) return;
+    const query = window.matchMedia(DARK_QUERY);
+    const update = () => setSystemTheme(query.matches ? 'dark' : 'light');
+    update();
+    query.addEventListener('change', update);
+    return () => query.removeEventListener('change', update);
+  }, []);
+
+  const theme = preference || (configTheme === 'auto' ? systemTheme : configTheme);
+
+  const toggleTheme = () => {
+    const next = theme === 'dark' ? 'light' : 'dark';
+    setPreference(next);
+    saveThemePreference(next);
+  };
+
+  return [theme, toggleTheme];
+}
@@ -0,0 +1,90 @@
+import { describe, expect, it } from 'vitest';
+import formatMessage, { closePartialMarkdown } from './util';
+
+const mentions = [
+  { id: 'oslo-sofa', name: 'Oslo Sofa' },
+  { id: 'oslo-sofa-set', name: 'Oslo Sofa Set' },
+];
+
+const buttons = (html) => [...html.matchAll(/<button type="button" class="product-mention" data-product-id="([^"]+)">([^<]*)<\/button>/g)]
+  .map(match => [match[1], match[2]]);
+
+describe('formatMessage mentions', () => {
+  it('turns product names into buttons, longest name first', () => {
+    const html = formatMessage('The **oslo sofa** or the Oslo Sofa Set?', { mentions });
+    expect(buttons(html)).toEqual([['oslo-sofa', 'oslo sofa'], ['oslo-sofa-set', 'Oslo Sofa Set']]);
+  });
+
+  it('leaves names inside links, code and longer words alone', () => {
+    const html = formatMessage('[Oslo Sofa](https://shop.example/oslo) `Oslo Sofa` Oslo Sofabed', { mentions });
+    expect(buttons(html)).toEqual([]);
+  });
+
+  it('marks nothing without mentions', () => {
+    expect(buttons(formatMessage('The Oslo Sofa'))).toEqual([]);
+  });
+
+  it('escapes names and ids it did not expect', () => {
+    const html = formatMessage('Try <img src=x onerror=alert(1)>', {
+      mentions: [{ id: 'x" onclick="alert(1)', name: '<img src=x onerror=alert(1)>' }],
+    });
+    expect(html).not.toMatch(/<img|onclick/);
+  });
+});
+
+describe('formatMessage', () => {
+  it('renders a heading and the numbered list after it', () => {
+    const html = formatMessage('## Options\n1. First\n2. Second');
+    expect(html).toMatch(/<h2 class="[^"]*"[^>]*>Options<\/h2>/);
+    expect(html).toMatch(/<ol class="list-decimal[^"]*"[^>]*><li class="ps-1 leading-relaxed"><span>First<\/span><\/li>/);
+  });
+
+  it('renders bullets nested under numbered items, with bold text', () => {
+    const html = formatMessage('1. Beds\n- **Oak** frame\n2. Sofas');
+    expect(html).toMatch(/<li[^>]*><span>Beds<\/span><ul class="list-disc[^"]*"[^>]*><li[^>]*><span><strong>Oak<\/strong> frame<\/span><\/li><\/ul><\/li>/);
+  });
+
+  it('renders links that open in a new tab, and inline and fenced code', () => {
+    const html = formatMessage('See [delivery](https://shop.example/d) or `npm`\n\n```\n<b>raw</b>\n```');
+    expect(html).toContain('<a href="https://shop.example/d" target="_blank" rel="noopener noreferrer nofollow">delivery</a>');
+    expect(html).toMatch(/<code class="px-1 py-0.5 rounded"[^>]*>npm<\/code>/);
+    expect(html).toContain('<code>&lt;b&gt;raw&lt;/b&gt;</code>');
+  });
+
+  it('renders tables with aligned cells', () => {
+    const html = formatMessage('| Size | Price |\n| --- | ---: |\n| King | £549 |');
+    expect(html).toMatch(/<table[^>]*><thead><tr[^>]*><th[^>]*>Size<\/th>/);
+    expect(html).toMatch(/<td class="border px-2 py-1 text-start" style="[^"]*text-align: right[^"]*">£549<\/td>/);
+  });
+
+  it('drops script links from the Markdown', () => {
+    expect(formatMessage('[x](javascript:alert(1))')).not.toContain('javascript:');
+  });
+
+  it('uses the dark theme colors when asked', () => {
+    expect(formatMessage('Hi', { theme: 'dark' })).toContain('#1f2937');
+  });
+});
+
+describe('closePartialMarkdown', () => {
+  it('closes bold and inline code cut off mid-stream', () => {
+    expect(closePartialMarkdown('Hello **wor')).toBe('Hello **wor**');
+    expect(closePartialMarkdown('Use `npm')).toBe('Use `npm`');
+  });
+
+  it('drops a half-received tag, list marker, heading marker or lone star', () => {
+    expect(closePartialMarkdown('See <a hr')).toBe('See ');
+    expect(closePartialMarkdown('- a\n-')).toBe('- a\n');
+    expect(closePartialMarkdown('Intro\n## ')).toBe('Intro\n');
+    expect(closePartialMarkdown('Hi *')).toBe('Hi ');
+  });
+
+  it('leaves text inside an unterminated code fence alone', () => {
+    expect(closePartialMarkdown('```js\nconst **a')).toBe('```js\nconst **a');
+  });
+
+  it('leaves complete text unchanged', () => {
+    const text = '## Title\n\n1. **Bold** and `code`\n- item';
+    expect(closePartialMarkdown(text)).toBe(text);
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * Shared-secret check for admin-only endpoints and pages.
+ *
+ * Requests authenticate with the ADMIN_TOKEN env variable, either as
+ * `Authorization: Bearer <token>` or as the password of HTTP Basic auth
+ * (any user name), so browsers can log in through their native prompt.
+ * When ADMIN_TOKEN is not set, admin access is disabled entirely.
+ * Uses only Web APIs so it also runs in middleware.
+ */
+
+// Compares without bailing out early, so timing does not leak the token
+function safeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+function credentialFrom(header) {
+  if (!header) return null;
+  const [scheme, value = ''] = header.split(' ');
+  if (/^bearer$/i.test(scheme)) return value.trim();
+  if (/^basic$/i.test(scheme)) {
+    try {
+      const decoded = atob(value.trim());
+      return decoded.slice(decoded.indexOf(':') + 1);
+    } catch {
+      return null;
+    }
+  }
+  return null;
+}
+
+/**
+ * @param {Request} request
+ * @return {boolean}
+ */
+export function isAdminRequest(request) {
+  const token = process.env.ADMIN_TOKEN;
+  if (!token) return false;
+
+  const credential = credentialFrom(request.headers.get('authorization'));
+  return credential !== null && safeEqual(credential, token);
+}
+
+/**
+ * 401 response that makes browsers show their login prompt
+ */
+export function adminChallenge() {
+  return new Response('Authentication required', {
+    status: 401,
+    headers: { 'WWW-Authenticate': 'Basic realm="JenniBot admin", charset="UTF-8"' },
+  });
+}
@@ -0,0 +1,72 @@
+/**
+ * Widget analytics events as sent by the batching client in
+ * src/app/chatbot/analytics.js. Each event is
+ * { type, viewId, sessionId, at, props }: `viewId` identifies one page view
+ * of the widget, `sessionId` the conversation, `at` the client time in
+ * milliseconds and `props` a flat object of extra details.
+ */
+
+export const EVENT_TYPES = [
+  'widget_loaded', // The widget was shown on a page
+  'widget_opened', // The visitor opened the chat window
+  'widget_closed',
+  'quick_reply_clicked', // { text, suggestion }
+  'message_sent', // { length, quickReply, images }
+  'reply_received', // { firstChunkMs, durationMs, products }
+  'reply_failed', // { status }
+  'reply_stopped',
+  'reply_rated', // { rating }
+  'product_opened', // { id }
+  'conversation_reset',
+];
+
+// The widget sends at most 20 at a time (see src/app/chatbot/analytics.js)
+export const MAX_EVENTS_PER_BATCH = 20;
+
+const MAX_PROPS = 10;
+const MAX_STRING = 200;
+const ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+const PROP_NAME = /^[A-Za-z][A-Za-z0-9]{0,31}$/;
+// Client clocks drift; timestamps further off than this are replaced by the server time
+const MAX_CLOCK_SKEW_MS = 24 * 60 * 60 * 1000;
+
+const cleanId = (value) => typeof value === 'string' && ID_PATTERN.test(value) ? value : null;
+
+function cleanProps(props) {
+  if (!props || typeof props !== 'object' || Array.isArray(props)) return {};
+  const clean = {};
+  for (const [name, value] of Object.entries(props)) {
+    if (Object.keys(clean).length >= MAX_PROPS) break;
+    if (!PROP_NAME.test(name)) continue;
+    if (typeof value === 'number' && Number.isFinite(value)) clean[name] = value;
+    else if (typeof value === 'boolean') clean[name] = value;
+    else if (typeof value === 'string') clean[name] = value.slice(0, MAX_STRING);
+  }
+  return clean;
+}
+
+/**
+ * Validates a batch of events sent by the widget. Events of unknown types or
+ * without a page view id are dropped rather than failing the whole batch.
+ * @param {*} body - { events: [...] }
+ * @param {number} now - Server time in milliseconds
+ * @return {Array<Object>|null} - Clean records, or null when the body has no events array
+ */
+export function normalizeEvents(body, now = Date.now()) {
+  if (!body || !Array.isArray(body.events)) return null;
+
+  return body.events.slice(0, MAX_EVENTS_PER_BATCH).flatMap(event => {
+    if (!event || !EVENT_TYPES.includes(event.type)) return [];
+    const viewId = cleanId(event.viewId);
+    if (!viewId) return [];
+
+    const at = typeof event.at === 'number' && Math.abs(event.at - now) < MAX_CLOCK_SKEW_MS ? event.at : now;
+    return [{
+      type: event.type,
+      viewId,
+      sessionId: cleanId(event.sessionId),
+      createdAt: new Date(at).toISOString(),
+      props: cleanProps(event.props),
+    }];
+  });
+}
@@ -0,0 +1,77 @@
+import { appendRecords, readRecords } from '../store';
+
+/**
+ * Where analytics events are kept. A sink has the shape
+ * { name, write(events), read() }: `write` stores a batch of normalized
+ * events and `read` returns every stored event, oldest first, for the
+ * dashboard. Another store (SQLite, a warehouse, ...) plugs in by adding a
+ * factory below.
+ */
+
+const COLLECTION = 'analytics';
+const MEMORY_LIMIT = 10000;
+
+/**
+ * Appends events as JSON Lines to the 'analytics' collection in DATA_DIR
+ */
+export function createFileSink() {
+  return {
+    name: 'file',
+    write: (events) => appendRecords(COLLECTION, events),
+    read: () => readRecords(COLLECTION),
+  };
+}
+
+/**
+ * Keeps the newest events in process memory; handy in development
+ * @param {Object} options
+ * @param {number} options.limit - Events kept before the oldest are dropped
+ */
+export function createMemorySink({ limit = MEMORY_LIMIT } = {}) {
+  let events = [];
+  return {
+    name: 'memory',
+    async write(batch) {
+      events = events.concat(batch).slice(-limit);
+    },
+    async read() {
+      return events;
+    },
+  };
+}
+
+/**
+ * Discards everything, for deployments that do not collect analytics
+ */
+export function createNullSink() {
+  return {
+    name: 'none',
+    async write() {},
+    async read() {
+      return [];
+    },
+  };
+}
+
+const factories = {
+  file: createFileSink,
+  memory: createMemorySink,
+  none: createNullSink,
+};
+
+// One instance per sink, so the memory sink survives between requests
+const sinks = new Map();
+
+/**
+ * Resolves the sink selected through the ANALYTICS_SINK env variable
+ * @param {string} name - 'file' (default), 'memory' or 'none'
+ */
+export function getSink(name = process.env.ANALYTICS_SINK) {
+  const key = name || 'file';
+  const factory = factories[key];
+  if (!factory) {
+    throw new Error(`Unknown analytics sink "${name}". Expected one of: ${Object.keys(factories).join(', ')}`);
+  }
+  if (!sinks.has(key)) sinks.set(key, factory());
+  return sinks.get(key);
+}
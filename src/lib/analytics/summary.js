@@ -0,0 +1,81 @@
+/**
+ * Aggregates analytics events into the figures shown on the dashboard
+ */
+
+/**
+ * Nearest-rank percentile of a sorted list
+ * @param {Array<number>} sorted - Ascending values
+ * @param {number} p - Percentile between 0 and 100
+ * @return {number|null} - null for an empty list
+ */
+export function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const rank = Math.ceil(p / 100 * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+}
+
+const ratio = (part, whole) => whole > 0 ? part / whole : null;
+
+function latencyStats(values) {
+  const sorted = values.filter(value => typeof value === 'number' && value >= 0).sort((a, b) => a - b);
+  return {
+    count: sorted.length,
+    p50: percentile(sorted, 50),
+    p90: percentile(sorted, 90),
+    p99: percentile(sorted, 99),
+  };
+}
+
+/**
+ * @param {Array<Object>} events - Normalized events
+ * @param {Object} options
+ * @param {string} options.since - ISO date; older events are ignored
+ * @return {Object} - Open rate, messages per session, reply latency
+ *   percentiles, rating ratio and quick reply usage
+ */
+export function summarizeEvents(events, { since } = {}) {
+  const recent = since ? events.filter(event => event.createdAt >= since) : events;
+  const ofType = (type) => recent.filter(event => event.type === type);
+  const distinct = (list, field) => new Set(list.map(event => event[field]).filter(Boolean)).size;
+
+  const loadedViews = distinct(ofType('widget_loaded'), 'viewId');
+  const openedViews = distinct(ofType('widget_opened'), 'viewId');
+
+  const sent = ofType('message_sent');
+  const sessions = distinct(sent, 'sessionId');
+
+  const replies = ofType('reply_received');
+  const ratings = ofType('reply_rated');
+  const positive = ratings.filter(event => event.props.rating === 'positive').length;
+  const negative = ratings.filter(event => event.props.rating === 'negative').length;
+
+  const quickReplies = new Map();
+  ofType('quick_reply_clicked').forEach(event => {
+    const text = event.props.text || '(unknown)';
+    quickReplies.set(text, (quickReplies.get(text) || 0) + 1);
+  });
+
+  return {
+    events: recent.length,
+    views: loadedViews,
+    opens: openedViews,
+    openRate: ratio(openedViews, loadedViews),
+    messages: sent.length,
+    sessions,
+    messagesPerSession: ratio(sent.length, sessions),
+    replies: replies.length,
+    failedReplies: ofType('reply_failed').length,
+    stoppedReplies: ofType('reply_stopped').length,
+    firstChunkLatency: latencyStats(replies.map(event => event.props.firstChunkMs)),
+    replyDuration: latencyStats(replies.map(event => event.props.durationMs)),
+    ratings: {
+      positive,
+      negative,
+      positiveRatio: ratio(positive, positive + negative),
+      ratedShare: ratio(positive + negative, replies.length), // Replies that got a rating
+    },
+    quickReplies: [...quickReplies.entries()]
+      .map(([text, count]) => ({ text, count }))
+      .sort((a, b) => b.count - a.count),
+  };
+}
@@ -0,0 +1,177 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { cleanString, cleanUrl } from './chat/products';
+
+/**
+ * The local product catalog: categories and products with their sizes,
+ * colours, materials and prices. It is kept in `catalog.json` in the project
+ * root (or the file at CATALOG_PATH) and read again whenever the file
+ * changes, so edits show up without a restart.
+ */
+
+const CATALOG_PATH = process.env.CATALOG_PATH || path.join(process.cwd(), 'catalog.json');
+
+const MAX_SEARCH_RESULTS = 50;
+const DEFAULT_SEARCH_RESULTS = 20;
+// Product names a single reply can link to
+const MAX_MENTIONS = 5;
+
+// Ids end up in URLs and in the reply HTML
+const PRODUCT_ID_PATTERN = /^[A-Za-z0-9_-]{1,80}$/;
+
+const EMPTY_CATALOG = { categories: [], products: [] };
+
+let cache = { mtimeMs: null, catalog: EMPTY_CATALOG };
+
+const cleanList = (value) =>
+  Array.isArray(value) ? value.map(item => cleanString(item, 60)).filter(Boolean) : [];
+
+const cleanPrice = (value) =>
+  typeof value === 'number' && Number.isFinite(value) && value >= 0 ? value : undefined;
+
+const cleanCurrency = (value) => /^[A-Z]{3}$/.test(value) ? value : undefined;
+
+// Keeps well-formed categories and products; a product's currency defaults to the catalog's
+function normalizeCatalog(data) {
+  const categories = (Array.isArray(data?.categories) ? data.categories : [])
+    .map(category => ({ id: cleanString(category?.id, 80), name: cleanString(category?.name) }))
+    .filter(category => category.id && category.name);
+  const categoryNames = new Map(categories.map(category => [category.id, category.name]));
+
+  const seen = new Set();
+  const products = (Array.isArray(data?.products) ? data.products : [])
+    .filter(product => product && PRODUCT_ID_PATTERN.test(product.id) && cleanString(product.name))
+    .filter(product => !seen.has(product.id) && seen.add(product.id))
+    .map(product => ({
+      id: product.id,
+      name: cleanString(product.name),
+      category: categoryNames.has(product.category) ? product.category : null,
+      categoryName: categoryNames.get(product.category) ?? null,
+      description: cleanString(product.description, 1000),
+      price: cleanPrice(product.price),
+      currency: cleanCurrency(product.currency) ?? cleanCurrency(data.currency),
+      sizes: cleanList(product.sizes),
+      colors: cleanList(product.colors),
+      materials: cleanList(product.materials),
+      image: cleanUrl(product.image),
+      link: cleanUrl(product.link),
+    }));
+
+  return { categories, products };
+}
+
+/**
+ * Loads the catalog. A missing file is an empty catalog; an invalid one is
+ * logged and treated as empty too.
+ * @return {Promise<{categories: Array<Object>, products: Array<Object>}>}
+ */
+export async function loadCatalog() {
+  try {
+    const { mtimeMs } = await fs.stat(CATALOG_PATH);
+    if (mtimeMs !== cache.mtimeMs) {
+      const catalog = normalizeCatalog(JSON.parse(await fs.readFile(CATALOG_PATH, 'utf8')));
+      cache = { mtimeMs, catalog };
+    }
+    return cache.catalog;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Invalid product catalog:', error.message);
+    }
+    return EMPTY_CATALOG;
+  }
+}
+
+const filterText = (value, maxLength = 100) => cleanString(value ?? undefined, maxLength)?.toLowerCase();
+
+const amount = (value) => {
+  if (value === null || value === undefined || value.trim() === '') return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? number : undefined;
+};
+
+const count = (value, fallback, max) => {
+  const number = Number.parseInt(value, 10);
+  return Number.isInteger(number) && number >= 0 ? Math.min(number, max) : fallback;
+};
+
+/**
+ * Reads search filters from a query string. Values that do not make sense
+ * are ignored rather than rejected.
+ * @param {URLSearchParams} params - q, category, color, size, material,
+ *   minPrice, maxPrice, limit, offset
+ * @return {Object} - Filters for searchProducts
+ */
+export function parseProductFilters(params) {
+  return {
+    query: filterText(params.get('q'), 200),
+    category: cleanString(params.get('category') ?? undefined, 80),
+    color: filterText(params.get('color')),
+    size: filterText(params.get('size')),
+    material: filterText(params.get('material')),
+    minPrice: amount(params.get('minPrice')),
+    maxPrice: amount(params.get('maxPrice')),
+    limit: Math.max(count(params.get('limit'), DEFAULT_SEARCH_RESULTS, MAX_SEARCH_RESULTS), 1),
+    offset: count(params.get('offset'), 0, Number.MAX_SAFE_INTEGER),
+  };
+}
+
+const includesText = (values, wanted) => values.some(value => value.toLowerCase().includes(wanted));
+
+/**
+ * Finds products matching every given filter, in catalog order. Colours and
+ * materials match on part of a name ("oak" finds "Solid oak"); sizes must
+ * match exactly, so "King" does not find "Super King". Every word of the
+ * query must appear in the name, category, description, colours or materials.
+ * @param {Object} filters - See parseProductFilters; all optional
+ * @return {Promise<{products: Array<Object>, total: number}>} - One page of
+ *   matches and how many there are in all
+ */
+export async function searchProducts({
+  query, category, color, size, material, minPrice, maxPrice,
+  limit = DEFAULT_SEARCH_RESULTS, offset = 0,
+} = {}) {
+  const { products } = await loadCatalog();
+  const words = query ? query.split(/\s+/).filter(Boolean) : [];
+
+  const matches = products.filter(product => {
+    if (category && product.category !== category) return false;
+    if (color && !includesText(product.colors, color)) return false;
+    if (size && !product.sizes.some(value => value.toLowerCase() === size)) return false;
+    if (material && !includesText(product.materials, material)) return false;
+    if (minPrice !== undefined && !(product.price >= minPrice)) return false;
+    if (maxPrice !== undefined && !(product.price <= maxPrice)) return false;
+    if (words.length === 0) return true;
+
+    const haystack = [
+      product.name, product.categoryName, product.description, ...product.colors, ...product.materials,
+    ].filter(Boolean).join(' ').toLowerCase();
+    return words.every(word => haystack.includes(word));
+  });
+
+  return { products: matches.slice(offset, offset + limit), total: matches.length };
+}
+
+/**
+ * @param {string} id
+ * @return {Promise<Object|null>} - The product, or null if the catalog has no such id
+ */
+export async function getCatalogProduct(id) {
+  const { products } = await loadCatalog();
+  return products.find(product => product.id === id) ?? null;
+}
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Catalog products whose full name appears in a text, such as a bot reply
+ * @param {string} text
+ * @return {Promise<Array<{id: string, name: string}>>}
+ */
+export async function findMentionedProducts(text) {
+  if (!text) return [];
+  const { products } = await loadCatalog();
+  return products
+    .filter(product => new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(product.name)}(?![\\p{L}\\p{N}])`, 'iu').test(text))
+    .slice(0, MAX_MENTIONS)
+    .map(({ id, name }) => ({ id, name }));
+}
@@ -0,0 +1,116 @@
+import { promises as fs, readFileSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterAll, beforeAll, describe, expect, it, vi } from 'vitest';
+
+const FIXTURE = {
+  currency: 'GBP',
+  categories: [
+    { id: 'beds', name: 'Beds' },
+    { id: 'sofas', name: 'Sofas' },
+  ],
+  products: [
+    {
+      id: 'harlow-bed', name: 'Harlow Bed', category: 'beds', description: 'A solid oak frame.', price: 549,
+      sizes: ['Double', 'King', 'Super King'], colors: ['Oak', 'Walnut'], materials: ['Solid oak'],
+      link: 'https://shop.example/harlow-bed',
+    },
+    {
+      id: 'oslo-sofa', name: 'Oslo Sofa', category: 'sofas', description: 'A deep three-seater.', price: 899,
+      currency: 'EUR', sizes: ['3-seater'], colors: ['Sage green'], materials: ['Linen', 'Beech'],
+    },
+    {
+      id: 'oslo-sofa-set', name: 'Oslo Sofa Set', category: 'sofas', price: 1499, sizes: ['Super King'], colors: ['Sage'],
+      link: 'javascript:alert(1)',
+    },
+    { id: 'bad id', name: 'Broken' },
+    { id: 'harlow-bed', name: 'Duplicate' },
+    { id: 'no-name' },
+  ],
+};
+
+let catalog;
+let directory;
+
+beforeAll(async () => {
+  directory = await fs.mkdtemp(path.join(os.tmpdir(), 'catalog-'));
+  const file = path.join(directory, 'catalog.json');
+  await fs.writeFile(file, JSON.stringify(FIXTURE));
+  vi.stubEnv('CATALOG_PATH', file);
+  catalog = await import('./catalog');
+});
+
+afterAll(async () => {
+  vi.unstubAllEnvs();
+  await fs.rm(directory, { recursive: true, force: true });
+});
+
+const ids = ({ products }) => products.map(product => product.id);
+
+describe('loadCatalog', () => {
+  it('keeps well-formed, unique products and cleans their fields', async () => {
+    const { categories, products } = await catalog.loadCatalog();
+    expect(categories).toHaveLength(2);
+    expect(products.map(product => product.id)).toEqual(['harlow-bed', 'oslo-sofa', 'oslo-sofa-set']);
+    expect(products[0]).toMatchObject({ categoryName: 'Beds', currency: 'GBP', link: 'https://shop.example/harlow-bed' });
+    expect(products[1].currency).toBe('EUR');
+    expect(products[2].link).toBeUndefined();
+  });
+});
+
+describe('parseProductFilters', () => {
+  it('reads filters and ignores values that make no sense', () => {
+    const filters = catalog.parseProductFilters(new URLSearchParams('q=Oak+Bed&minPrice=abc&maxPrice=600&limit=500&offset=-1'));
+    expect(filters).toMatchObject({ query: 'oak bed', minPrice: undefined, maxPrice: 600, limit: 50, offset: 0 });
+  });
+});
+
+describe('searchProducts', () => {
+  it('matches every word of the query', async () => {
+    expect(ids(await catalog.searchProducts({ query: 'oak frame' }))).toEqual(['harlow-bed']);
+    expect(ids(await catalog.searchProducts({ query: 'sofas linen' }))).toEqual(['oslo-sofa']);
+  });
+
+  it('combines filters', async () => {
+    expect(ids(await catalog.searchProducts({ category: 'sofas', color: 'sage', maxPrice: 1000 }))).toEqual(['oslo-sofa']);
+    expect(ids(await catalog.searchProducts({ material: 'oak', minPrice: 600 }))).toEqual([]);
+  });
+
+  it('matches sizes exactly', async () => {
+    expect(ids(await catalog.searchProducts({ size: 'king' }))).toEqual(['harlow-bed']);
+  });
+
+  it('pages through the matches', async () => {
+    const page = await catalog.searchProducts({ limit: 1, offset: 1 });
+    expect(ids(page)).toEqual(['oslo-sofa']);
+    expect(page.total).toBe(3);
+  });
+});
+
+describe('getCatalogProduct', () => {
+  it('finds a product by id', async () => {
+    expect((await catalog.getCatalogProduct('oslo-sofa')).name).toBe('Oslo Sofa');
+    expect(await catalog.getCatalogProduct('constructor')).toBeNull();
+  });
+});
+
+describe('findMentionedProducts', () => {
+  it('finds full product names as whole words, ignoring case', async () => {
+    expect(await catalog.findMentionedProducts('Try the harlow bed or the Oslo Sofa Set.')).toEqual([
+      { id: 'harlow-bed', name: 'Harlow Bed' },
+      { id: 'oslo-sofa', name: 'Oslo Sofa' },
+      { id: 'oslo-sofa-set', name: 'Oslo Sofa Set' },
+    ]);
+    expect(await catalog.findMentionedProducts('The Harlow Bedside table')).toEqual([]);
+    expect(await catalog.findMentionedProducts('')).toEqual([]);
+  });
+});
+
+describe('catalog.json', () => {
+  it('only links to full storefront URLs', () => {
+    const { products } = JSON.parse(readFileSync(path.join(process.cwd(), 'catalog.json'), 'utf8'));
+    for (const product of products.filter(product => product.link)) {
+      expect(product.link).toMatch(/^https:\/\//);
+    }
+  });
+});
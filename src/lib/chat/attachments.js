@@ -0,0 +1,75 @@
+/**
+ * Image attachments on chat messages. Shared by the widget, which resizes
+ * photos to fit these limits before sending, and the chat route, which checks
+ * them again. Images travel in the JSON body as base64.
+ */
+
+export const ATTACHMENT_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+export const MAX_ATTACHMENTS = 3;
+// Per image, decoded; the widget's resized photos are well below it
+export const MAX_ATTACHMENT_BYTES = 1024 * 1024;
+
+// Leading bytes of each accepted format, to catch files that lie about their type
+const SIGNATURES = {
+  'image/jpeg': (bytes) => bytes.startsWith('\xff\xd8\xff'),
+  'image/png': (bytes) => bytes.startsWith('\x89PNG\r\n\x1a\n'),
+  'image/webp': (bytes) => bytes.startsWith('RIFF') && bytes.slice(8, 12) === 'WEBP',
+};
+
+// Padded base64, as canvas.toDataURL produces; together with a length that
+// is a multiple of 4 this is exactly what atob accepts
+const BASE64_PATTERN = /^[A-Za-z0-9+/]+={0,2}$/;
+
+const isBase64 = (data) => typeof data === 'string' && data.length % 4 === 0 && BASE64_PATTERN.test(data);
+
+/**
+ * Error raised for attachments the chat route refuses, with the HTTP status
+ * to answer with
+ */
+export class AttachmentError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AttachmentError';
+    this.status = status;
+  }
+}
+
+/**
+ * @param {string} data - Base64 without a data: prefix
+ * @return {number} - Size of the decoded bytes
+ */
+export function base64Bytes(data) {
+  const padding = data.endsWith('==') ? 2 : data.endsWith('=') ? 1 : 0;
+  return Math.floor(data.length * 3 / 4) - padding;
+}
+
+/**
+ * Checks the attachments of a chat request
+ * @param {*} attachments - Array of { type, data } with base64 `data`
+ * @return {Array<{type: string, data: string}>} - Empty when there are none
+ * @throws {AttachmentError}
+ */
+export function normalizeAttachments(attachments) {
+  if (attachments === undefined || attachments === null) return [];
+  if (!Array.isArray(attachments)) throw new AttachmentError('"attachments" must be an array');
+  if (attachments.length > MAX_ATTACHMENTS) {
+    throw new AttachmentError(`At most ${MAX_ATTACHMENTS} images can be attached`, 413);
+  }
+
+  return attachments.map(attachment => {
+    const { type, data } = attachment || {};
+    if (!ATTACHMENT_TYPES.includes(type)) {
+      throw new AttachmentError(`Attachments must be one of: ${ATTACHMENT_TYPES.join(', ')}`);
+    }
+    if (!isBase64(data)) {
+      throw new AttachmentError('Attachment "data" must be base64');
+    }
+    if (base64Bytes(data) > MAX_ATTACHMENT_BYTES) {
+      throw new AttachmentError(`Each image must be at most ${MAX_ATTACHMENT_BYTES} bytes`, 413);
+    }
+    if (!SIGNATURES[type](atob(data.slice(0, 16)))) {
+      throw new AttachmentError(`Attachment is not a valid ${type} image`);
+    }
+    return { type, data };
+  });
+}
@@ -0,0 +1,70 @@
+import { describe, expect, it } from 'vitest';
+import { AttachmentError, MAX_ATTACHMENT_BYTES, base64Bytes, normalizeAttachments } from './attachments';
+
+const JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0, 0x10, 0x4a, 0x46, 0x49, 0x46, 0, 1]).toString('base64');
+const PNG = Buffer.from('\x89PNG\r\n\x1a\n\0\0\0\rIHDR', 'latin1').toString('base64');
+const WEBP = Buffer.from('RIFF\0\0\0\0WEBPVP8 ', 'latin1').toString('base64');
+
+const refusal = (attachments) => {
+  try {
+    normalizeAttachments(attachments);
+  } catch (error) {
+    return error;
+  }
+  return null;
+};
+
+describe('base64Bytes', () => {
+  it('counts decoded bytes, minus padding', () => {
+    expect(base64Bytes('AAAA')).toBe(3);
+    expect(base64Bytes('AAA=')).toBe(2);
+    expect(base64Bytes('AA==')).toBe(1);
+  });
+});
+
+describe('normalizeAttachments', () => {
+  it('accepts JPEG, PNG and WebP images', () => {
+    const attachments = [
+      { type: 'image/jpeg', data: JPEG },
+      { type: 'image/png', data: PNG },
+      { type: 'image/webp', data: WEBP, name: 'dropped.webp' },
+    ];
+    expect(normalizeAttachments(attachments)).toEqual([
+      { type: 'image/jpeg', data: JPEG },
+      { type: 'image/png', data: PNG },
+      { type: 'image/webp', data: WEBP },
+    ]);
+  });
+
+  it('treats a missing list as no attachments', () => {
+    expect(normalizeAttachments(undefined)).toEqual([]);
+    expect(normalizeAttachments(null)).toEqual([]);
+  });
+
+  it('refuses malformed lists and unknown types with 400', () => {
+    for (const attachments of [{}, 'x', [null], [{ type: 'image/gif', data: JPEG }], [{ type: 'text/html', data: JPEG }]]) {
+      const error = refusal(attachments);
+      expect(error).toBeInstanceOf(AttachmentError);
+      expect(error.status).toBe(400);
+    }
+  });
+
+  it('refuses data that is not valid base64 with 400 instead of throwing', () => {
+    for (const data of ['/9j/4', '', '/9j/4A=', '/9j/4AAQ SkZJRg==', '/9j/4A===', 'data:image/jpeg;base64,/9j/', 42]) {
+      const error = refusal([{ type: 'image/jpeg', data }]);
+      expect(error).toBeInstanceOf(AttachmentError);
+      expect(error.status).toBe(400);
+    }
+  });
+
+  it('refuses files whose bytes do not match their type', () => {
+    expect(refusal([{ type: 'image/png', data: JPEG }])?.message).toBe('Attachment is not a valid image/png image');
+    expect(refusal([{ type: 'image/jpeg', data: 'PHNjcmlwdD4=' }])).toBeInstanceOf(AttachmentError);
+  });
+
+  it('refuses too many or too large images with 413', () => {
+    expect(refusal(Array(4).fill({ type: 'image/jpeg', data: JPEG })).status).toBe(413);
+    const large = JPEG + 'AAAA'.repeat(Math.ceil(MAX_ATTACHMENT_BYTES / 3));
+    expect(refusal([{ type: 'image/jpeg', data: large }]).status).toBe(413);
+  });
+});
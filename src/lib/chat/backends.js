@@ -0,0 +1,126 @@
+import { createMockBackend } from './mock';
+import { parseEventStream } from './sse';
+
+export const DEFAULT_UPSTREAM_URL = 'https://jennihomechatbot.onrender.com/api/chat';
+
+/**
+ * Error raised when the upstream chat service fails or returns garbage
+ */
+export class UpstreamError extends Error {
+  constructor(message, status = 502) {
+    super(message);
+    this.name = 'UpstreamError';
+    this.status = status;
+  }
+}
+
+/**
+ * Backend that forwards messages to the hosted JenniBot service
+ * @param {Object} options
+ * @param {string} options.url - Upstream chat endpoint
+ */
+export function createUpstreamBackend({ url = DEFAULT_UPSTREAM_URL } = {}) {
+  const post = async (payload, accept, signal) => {
+    let response;
+    try {
+      response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: accept,
+        },
+        body: JSON.stringify(payload),
+        cache: 'no-store',
+        signal,
+      });
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      throw new UpstreamError(`Upstream request failed: ${error.message}`);
+    }
+
+    if (!response.ok) {
+      throw new UpstreamError(`Upstream responded with ${response.status}`);
+    }
+    return response;
+  };
+
+  const readJson = async (response) => {
+    const data = await response.json().catch(() => null);
+    if (!data || typeof data.response !== 'string') {
+      throw new UpstreamError('Upstream returned an unexpected payload');
+    }
+    return { response: data.response, products: data.products, suggestions: data.suggestions, messages: data.messages };
+  };
+
+  // Photos are only forwarded when there are some, so plain turns look as before
+  const withAttachments = (attachments) => attachments.length > 0 ? { attachments } : {};
+
+  return {
+    name: 'upstream',
+    async reply({ message, history = [], sessionId, locale, attachments = [], signal }) {
+      const response = await post({ message, history, sessionId, locale, ...withAttachments(attachments) }, 'application/json', signal);
+      return readJson(response);
+    },
+    // Passes upstream chunks through as they arrive. SSE and chunked plain-text
+    // bodies are streamed; a plain JSON answer is yielded as a single chunk.
+    // Like every backend stream, it yields text chunks as strings and
+    // structured extras (e.g. { products }, { suggestions } or { messages }) as objects.
+    // Aborting `signal` cancels the upstream request, including a body still streaming.
+    async *stream({ message, history = [], sessionId, locale, attachments = [], signal }) {
+      const payload = { message, history, sessionId, locale, ...withAttachments(attachments), stream: true };
+      const response = await post(payload, 'text/event-stream, application/json', signal);
+      const contentType = response.headers.get('content-type') || '';
+
+      if (contentType.includes('text/event-stream')) {
+        for await (const { event, data, raw } of parseEventStream(response.body)) {
+          if (raw === '[DONE]') break;
+          if (event === 'error') throw new UpstreamError('Upstream stream reported an error');
+          // Only objects carry fields; other payloads are text, even when they
+          // parse as JSON (a token "5" must not turn into a number and vanish)
+          const fields = data !== null && typeof data === 'object' ? data : null;
+          if (fields?.products) yield { products: fields.products };
+          if (fields?.suggestions) yield { suggestions: fields.suggestions };
+          if (fields?.messages) yield { messages: fields.messages };
+          if (event === 'done') break;
+          const text = fields ? (fields.delta ?? fields.text) : (typeof data === 'string' ? data : raw);
+          if (typeof text === 'string' && text) yield text;
+        }
+      } else if (contentType.includes('application/json')) {
+        const { response: text, products, suggestions, messages } = await readJson(response);
+        yield text;
+        if (products) yield { products };
+        if (suggestions) yield { suggestions };
+        if (messages) yield { messages };
+      } else {
+        const decoder = new TextDecoder();
+        for await (const chunk of response.body) {
+          const text = decoder.decode(chunk, { stream: true });
+          if (text) yield text;
+        }
+        // A character split across the last chunks is only complete now
+        const rest = decoder.decode();
+        if (rest) yield rest;
+      }
+    },
+  };
+}
+
+const factories = {
+  upstream: () => createUpstreamBackend({ url: process.env.CHAT_UPSTREAM_URL || DEFAULT_UPSTREAM_URL }),
+  mock: () => createMockBackend({
+    delayMs: Number(process.env.CHAT_MOCK_DELAY_MS) || 0,
+    streamDelayMs: Number(process.env.CHAT_MOCK_STREAM_DELAY_MS ?? 30),
+  }),
+};
+
+/**
+ * Resolves the chat backend selected through the CHAT_BACKEND env variable
+ * @param {string} name - Backend name, 'upstream' (default) or 'mock'
+ */
+export function getBackend(name = process.env.CHAT_BACKEND) {
+  const factory = factories[name || 'upstream'];
+  if (!factory) {
+    throw new Error(`Unknown chat backend "${name}". Expected one of: ${Object.keys(factories).join(', ')}`);
+  }
+  return factory();
+}
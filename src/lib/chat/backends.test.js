@@ -0,0 +1,63 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { createUpstreamBackend } from './backends';
+
+// Serves the given body chunks from a fake upstream
+function stubUpstream(contentType, chunks) {
+  vi.stubGlobal('fetch', async () => new Response(
+    new ReadableStream({
+      start(controller) {
+        chunks.forEach(chunk => controller.enqueue(typeof chunk === 'string' ? new TextEncoder().encode(chunk) : chunk));
+        controller.close();
+      },
+    }),
+    { headers: { 'Content-Type': contentType } }
+  ));
+}
+
+async function collect(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return chunks;
+}
+
+const streamReply = () => createUpstreamBackend({ url: 'https://upstream.example/chat' }).stream({ message: 'Hi' });
+
+afterEach(() => vi.unstubAllGlobals());
+
+describe('upstream backend streaming', () => {
+  it('keeps plain-text SSE tokens that look like JSON', async () => {
+    stubUpstream('text/event-stream', [
+      'data: Delivery takes \n\n', 'data: 5\n\n', 'data: -\n\n', 'data: 7\n\n', 'data:  days, \n\n',
+      'data: true\n\n', 'data: null\n\n', 'data: [DONE]\n\n', 'data: ignored\n\n',
+    ]);
+    expect((await collect(streamReply())).join('')).toBe('Delivery takes 5-7 days, truenull');
+  });
+
+  it('reads text and extras from JSON events', async () => {
+    stubUpstream('text/event-stream', [
+      'data: {"delta":"Try the "}\n\n',
+      'data: {"text":"Oslo"}\n\n',
+      'data: "!"\n\n',
+      'event: done\ndata: {"products":[{"name":"Oslo Sofa"}],"suggestions":["Delivery?"]}\n\n',
+    ]);
+    expect(await collect(streamReply())).toEqual([
+      'Try the ', 'Oslo', '!', { products: [{ name: 'Oslo Sofa' }] }, { suggestions: ['Delivery?'] },
+    ]);
+  });
+
+  it('fails on an error event', async () => {
+    stubUpstream('text/event-stream', ['data: Hel\n\n', 'event: error\ndata: {}\n\n']);
+    await expect(collect(streamReply())).rejects.toThrow('Upstream stream reported an error');
+  });
+
+  it('keeps a multi-byte character split at the end of a chunked text body', async () => {
+    const bytes = new TextEncoder().encode('Prix : 5 €');
+    // The euro sign is three bytes, split across the last two chunks
+    stubUpstream('text/plain', [bytes.slice(0, -1), bytes.slice(-1)]);
+    expect((await collect(streamReply())).join('')).toBe('Prix : 5 €');
+
+    // Cut off mid-character, the stream still ends with what the decoder held back
+    stubUpstream('text/plain', [bytes.slice(0, -1)]);
+    expect((await collect(streamReply())).join('')).toBe('Prix : 5 �');
+  });
+});
@@ -0,0 +1,29 @@
+/**
+ * Spots messages that show an intent to buy, so the chat route can offer the
+ * lead capture form alongside the reply. Simple phrase matching in the
+ * widget's languages; a backend with real intent detection can replace it.
+ */
+
+// Latin-script phrases are matched on word boundaries
+const PURCHASE_PHRASES = [
+  // English
+  'deliver', 'delivery', 'deliveries', 'shipping', 'price', 'prices', 'pricing', 'cost', 'costs',
+  'how much', 'quote', 'buy', 'purchase', 'place an order', 'in stock', 'sofa set', 'sofa sets',
+  // French
+  'livraison', 'livrer', 'livrez', 'prix', 'tarif', 'tarifs', 'coût', 'combien', 'devis', 'acheter',
+  'commander', 'en stock', 'ensemble de canapés',
+];
+// Arabic has no \b word boundaries in JS regular expressions; substrings are enough
+const ARABIC_PHRASES = ['توصيل', 'شحن', 'سعر', 'أسعار', 'تكلفة', 'بكم', 'شراء', 'أشتري', 'طقم كنب'];
+
+const escape = (phrase) => phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const LATIN_PATTERN = new RegExp(`(^|[^\\p{L}])(${PURCHASE_PHRASES.map(escape).join('|')})(?![\\p{L}])`, 'iu');
+
+/**
+ * @param {string} message - The visitor's message
+ * @return {boolean} - Whether it asks about delivery, pricing or buying
+ */
+export function detectPurchaseIntent(message) {
+  if (typeof message !== 'string') return false;
+  return LATIN_PATTERN.test(message) || ARABIC_PHRASES.some(phrase => message.includes(phrase));
+}
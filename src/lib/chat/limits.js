@@ -0,0 +1,180 @@
+import { createRateLimiter } from '../rateLimit';
+import { MAX_ATTACHMENTS, MAX_ATTACHMENT_BYTES } from './attachments';
+import { isSessionId } from './session';
+
+/**
+ * Abuse protection for the chat endpoint and the widget's forms: request
+ * size limits and per-IP / per-session rate limits, all kept in process memory
+ */
+
+export const MAX_BODY_BYTES = 64 * 1024;
+// Chat requests may also carry base64 images, a third larger than their bytes
+export const MAX_CHAT_BODY_BYTES = MAX_BODY_BYTES + Math.ceil(MAX_ATTACHMENTS * MAX_ATTACHMENT_BYTES * 4 / 3);
+
+// Requests per minute for each bucket: chat messages per IP and per session,
+// contact and lead form submissions per IP, requests for an agent and
+// messages to them per IP, and analytics batches per IP
+const DEFAULT_PER_MINUTE = {
+  ip: 20,
+  session: 10,
+  form: 5,
+  handoff: 20,
+  analytics: 30,
+};
+
+const LIMIT_MESSAGES = {
+  ip: 'Too many messages. Please wait a moment before sending another.',
+  session: 'Too many messages. Please wait a moment before sending another.',
+  form: 'Too many submissions. Please wait a moment before trying again.',
+  handoff: 'Too many requests to reach an agent. Please wait a moment before trying again.',
+  analytics: 'Too many analytics events. Please send them less often.',
+};
+
+/**
+ * Error raised when a request body is larger than allowed
+ */
+export class PayloadTooLargeError extends Error {
+  constructor(maxBytes) {
+    super(`Request body must be at most ${maxBytes} bytes`);
+    this.name = 'PayloadTooLargeError';
+  }
+}
+
+/**
+ * Reads a JSON body, giving up as soon as it grows past the limit so a huge
+ * payload is never buffered whole
+ * @param {Request} request
+ * @param {number} maxBytes
+ * @return {Promise<*>} - The parsed body, or null when it is not valid JSON
+ * @throws {PayloadTooLargeError}
+ */
+export async function readJsonBody(request, maxBytes = MAX_BODY_BYTES) {
+  if (Number(request.headers.get('content-length')) > maxBytes) {
+    throw new PayloadTooLargeError(maxBytes);
+  }
+  if (!request.body) return null;
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of request.body) {
+    size += chunk.byteLength;
+    if (size > maxBytes) throw new PayloadTooLargeError(maxBytes);
+    chunks.push(chunk);
+  }
+
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+  } catch {
+    return null;
+  }
+}
+
+// Proxies in front of the app that append to X-Forwarded-For
+function trustedProxyHops() {
+  const hops = Number.parseInt(process.env.TRUSTED_PROXY_HOPS, 10);
+  return Number.isInteger(hops) && hops >= 1 ? hops : 1;
+}
+
+/**
+ * Reads a JSON body for a route handler, or builds the answer refusing it
+ * @param {Request} request
+ * @param {number} maxBytes
+ * @return {Promise<{body: *}|{response: Response}>} - `response` is a 413 past
+ *   `maxBytes`, or a 400 when the body is not JSON
+ */
+export async function readJsonRequest(request, maxBytes = MAX_BODY_BYTES) {
+  try {
+    const body = await readJsonBody(request, maxBytes);
+    return body
+      ? { body }
+      : { response: Response.json({ error: 'Request body must be valid JSON' }, { status: 400 }) };
+  } catch (error) {
+    if (error instanceof PayloadTooLargeError) {
+      return { response: Response.json({ error: error.message }, { status: 413 }) };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Best guess at the client's address. Each proxy appends the address it got
+ * the request from to X-Forwarded-For, and anything to the left of what our
+ * own proxies wrote came from the client and can be forged. So with
+ * TRUSTED_PROXY_HOPS proxies (default 1) the visitor is that many entries
+ * from the right.
+ * @param {Request} request
+ * @return {string}
+ */
+export function clientIp(request) {
+  const forwarded = request.headers.get('x-forwarded-for');
+  if (forwarded) {
+    const hops = forwarded.split(',').map(entry => entry.trim());
+    const ip = hops[Math.max(hops.length - trustedProxyHops(), 0)];
+    if (ip) return ip;
+  }
+  return request.headers.get('x-real-ip') || 'unknown';
+}
+
+// Requests per minute from the environment; 0 turns the limit off
+function perMinute(name, fallback) {
+  const value = process.env[name];
+  const number = Number(value);
+  return value && Number.isFinite(number) && number >= 0 ? number : fallback;
+}
+
+const createLimiter = (limit) =>
+  limit > 0 ? createRateLimiter({ capacity: limit, refillPerSecond: limit / 60 }) : null;
+
+// Created on first use, then shared by every request this process serves
+let limiters;
+
+function getLimiters() {
+  if (!limiters) {
+    limiters = {
+      ip: createLimiter(perMinute('CHAT_RATE_LIMIT_IP', DEFAULT_PER_MINUTE.ip)),
+      session: createLimiter(perMinute('CHAT_RATE_LIMIT_SESSION', DEFAULT_PER_MINUTE.session)),
+      form: createLimiter(perMinute('FORM_RATE_LIMIT_IP', DEFAULT_PER_MINUTE.form)),
+      handoff: createLimiter(perMinute('HANDOFF_RATE_LIMIT_IP', DEFAULT_PER_MINUTE.handoff)),
+      analytics: createLimiter(perMinute('ANALYTICS_RATE_LIMIT_IP', DEFAULT_PER_MINUTE.analytics)),
+    };
+  }
+  return limiters;
+}
+
+/**
+ * Counts a request against a rate limit
+ * @param {string} scope - 'ip' or 'session' for chat messages, 'form', 'handoff' or 'analytics'
+ * @param {string} key - The IP address or session id (see sessionLimitKey)
+ * @return {{allowed: boolean, retryAfter: number}} - `retryAfter` in seconds
+ */
+export function takeToken(scope, key) {
+  const limiter = getLimiters()[scope];
+  return limiter ? limiter.take(key) : { allowed: true, retryAfter: 0 };
+}
+
+/**
+ * Counts a request against a rate limit and builds the answer for one over it
+ * @param {string} scope - See takeToken
+ * @param {string} key
+ * @return {Response|null} - A 429 with Retry-After, or null when the request may go ahead
+ */
+export function rateLimitResponse(scope, key) {
+  const { allowed, retryAfter } = takeToken(scope, key);
+  if (allowed) return null;
+  return Response.json(
+    { error: LIMIT_MESSAGES[scope], retryAfter },
+    { status: 429, headers: { 'Retry-After': String(retryAfter) } }
+  );
+}
+
+/**
+ * Key of the session bucket for a chat request. Requests without a valid
+ * session id would otherwise skip that limit by never sending one, so they
+ * share a bucket per IP address instead.
+ * @param {*} sessionId - The id from the request body
+ * @param {string} ip - From clientIp
+ * @return {string}
+ */
+export function sessionLimitKey(sessionId, ip) {
+  return isSessionId(sessionId) ? sessionId : `anonymous:${ip}`;
+}
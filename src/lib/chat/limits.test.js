@@ -0,0 +1,106 @@
+import { afterEach, describe, expect, it } from 'vitest';
+import { PayloadTooLargeError, clientIp, rateLimitResponse, readJsonBody, readJsonRequest, sessionLimitKey, takeToken } from './limits';
+
+const requestWith = (headers) => new Request('http://localhost/api/chat', { headers });
+
+describe('clientIp', () => {
+  afterEach(() => {
+    delete process.env.TRUSTED_PROXY_HOPS;
+  });
+
+  it('takes the address the proxy appended, not one the client sent', () => {
+    expect(clientIp(requestWith({ 'x-forwarded-for': '1.2.3.4' }))).toBe('1.2.3.4');
+    expect(clientIp(requestWith({ 'x-forwarded-for': '6.6.6.6, 1.2.3.4' }))).toBe('1.2.3.4');
+  });
+
+  it('counts TRUSTED_PROXY_HOPS entries from the right', () => {
+    process.env.TRUSTED_PROXY_HOPS = '2';
+    expect(clientIp(requestWith({ 'x-forwarded-for': '6.6.6.6, 1.2.3.4, 10.0.0.1' }))).toBe('1.2.3.4');
+    expect(clientIp(requestWith({ 'x-forwarded-for': '1.2.3.4' }))).toBe('1.2.3.4');
+  });
+
+  it('ignores a TRUSTED_PROXY_HOPS that is not a positive number', () => {
+    process.env.TRUSTED_PROXY_HOPS = '0';
+    expect(clientIp(requestWith({ 'x-forwarded-for': '6.6.6.6, 1.2.3.4' }))).toBe('1.2.3.4');
+  });
+
+  it('falls back to X-Real-IP, then to a shared key', () => {
+    expect(clientIp(requestWith({ 'x-real-ip': '1.2.3.4' }))).toBe('1.2.3.4');
+    expect(clientIp(requestWith({ 'x-forwarded-for': ' , ' }))).toBe('unknown');
+    expect(clientIp(requestWith({}))).toBe('unknown');
+  });
+});
+
+describe('sessionLimitKey', () => {
+  it('uses a valid session id as it is', () => {
+    expect(sessionLimitKey('abcd1234-efgh', '1.2.3.4')).toBe('abcd1234-efgh');
+  });
+
+  it('puts requests without a valid id in a bucket per IP', () => {
+    expect(sessionLimitKey(undefined, '1.2.3.4')).toBe('anonymous:1.2.3.4');
+    expect(sessionLimitKey('bad id!', '1.2.3.4')).toBe('anonymous:1.2.3.4');
+  });
+});
+
+describe('takeToken', () => {
+  it('refuses a session once its minute of messages is used up', () => {
+    const key = sessionLimitKey(undefined, '203.0.113.9');
+    for (let i = 0; i < 10; i++) {
+      expect(takeToken('session', key).allowed).toBe(true);
+    }
+    const refused = takeToken('session', key);
+    expect(refused.allowed).toBe(false);
+    expect(refused.retryAfter).toBeGreaterThan(0);
+    expect(takeToken('session', sessionLimitKey(undefined, '203.0.113.10')).allowed).toBe(true);
+  });
+});
+
+describe('rateLimitResponse', () => {
+  it('answers 429 with Retry-After once a bucket is empty', async () => {
+    for (let i = 0; i < 5; i++) {
+      expect(rateLimitResponse('form', '198.51.100.1')).toBeNull();
+    }
+    const response = rateLimitResponse('form', '198.51.100.1');
+    expect(response.status).toBe(429);
+    expect(Number(response.headers.get('Retry-After'))).toBeGreaterThan(0);
+    const body = await response.json();
+    expect(body.error).toMatch(/too many submissions/i);
+    expect(body.retryAfter).toBe(Number(response.headers.get('Retry-After')));
+  });
+
+  it('keeps form submissions apart from chat messages', () => {
+    const ip = '198.51.100.2';
+    for (let i = 0; i < 5; i++) rateLimitResponse('form', ip);
+    expect(rateLimitResponse('form', ip)).not.toBeNull();
+    expect(rateLimitResponse('ip', ip)).toBeNull();
+    expect(rateLimitResponse('handoff', ip)).toBeNull();
+  });
+});
+
+describe('readJsonBody', () => {
+  const post = (body, headers) => new Request('http://localhost/api/chat', { method: 'POST', body, headers });
+
+  it('parses JSON within the limit', async () => {
+    await expect(readJsonBody(post('{"message":"hi"}'), 100)).resolves.toEqual({ message: 'hi' });
+  });
+
+  it('returns null for invalid JSON or no body', async () => {
+    await expect(readJsonBody(post('{nope'), 100)).resolves.toBeNull();
+    await expect(readJsonBody(requestWith({}), 100)).resolves.toBeNull();
+  });
+
+  it('refuses bodies over the limit, whatever Content-Length says', async () => {
+    await expect(readJsonBody(post('x'.repeat(101)), 100)).rejects.toBeInstanceOf(PayloadTooLargeError);
+    await expect(readJsonBody(post('{}', { 'content-length': '5000' }), 100)).rejects.toBeInstanceOf(PayloadTooLargeError);
+  });
+});
+
+describe('readJsonRequest', () => {
+  const post = (body) => new Request('http://localhost/api/contact', { method: 'POST', body });
+
+  it('returns the body, or a 400 or 413 to answer with', async () => {
+    await expect(readJsonRequest(post('{"email":"a@b.co"}'), 100)).resolves.toEqual({ body: { email: 'a@b.co' } });
+    expect((await readJsonRequest(post('{nope'), 100)).response.status).toBe(400);
+    expect((await readJsonRequest(post('x'.repeat(101)), 100)).response.status).toBe(413);
+  });
+});
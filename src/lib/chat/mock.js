@@ -0,0 +1,200 @@
+/**
+ * Canned furniture answers used by the offline mock backend.
+ * Each entry is matched against the lower-cased user message; the first
+ * entry whose keywords appear wins, so more specific topics go first.
+ * Entries with `products`, `messages` and `suggestions` also exercise the
+ * structured product cards, rich messages and follow-up chips.
+ */
+const CANNED_ANSWERS = [
+  {
+    keywords: ['bed', 'mattress', 'king', 'queen'],
+    response:
+      'We offer beds in the following sizes:\n\n' +
+      '1. **Single** - 90 x 190 cm, ideal for kids rooms\n' +
+      '2. **Double** - 135 x 190 cm\n' +
+      '3. **King** - 150 x 200 cm\n' +
+      '4. **Super King** - 180 x 200 cm\n\n' +
+      'All frames are available in oak, walnut and white finishes.',
+    suggestions: ['Which beds have storage?', 'Do you sell mattresses?', 'How long is delivery?'],
+    products: [
+      {
+        id: 'harlow-bed',
+        name: 'Harlow Bed Frame',
+        price: 549,
+        currency: 'GBP',
+        sizes: ['Double', 'King', 'Super King'],
+        colors: ['Oak', 'Walnut', 'White'],
+        materials: ['Solid oak'],
+      },
+      {
+        id: 'nova-storage-bed',
+        name: 'Nova Storage Bed',
+        price: 699,
+        currency: 'GBP',
+        sizes: ['King', 'Super King'],
+        colors: ['Grey', 'Sand'],
+        materials: ['Upholstered fabric', 'Pine'],
+      },
+    ],
+  },
+  {
+    keywords: ['outdoor', 'garden', 'patio', 'dining table'],
+    response:
+      'Our outdoor dining range includes:\n\n' +
+      '- **Teak Harbour Table** - seats 6, weather-treated teak\n' +
+      '- **Aluminium Bistro Set** - compact table with two chairs\n' +
+      '- **Extendable Terrace Table** - seats 6 to 10\n\n' +
+      'Every outdoor table comes with a two-year weather warranty.',
+    suggestions: ['Which table seats 8?', 'Do you have matching chairs?', 'How do I care for teak?'],
+    products: [
+      {
+        id: 'teak-harbour-table',
+        name: 'Teak Harbour Table',
+        price: 899,
+        currency: 'GBP',
+        sizes: ['6 seater'],
+        colors: ['Natural teak'],
+        materials: ['Teak'],
+      },
+      {
+        id: 'aluminium-bistro-set',
+        name: 'Aluminium Bistro Set',
+        price: 299,
+        currency: 'GBP',
+        sizes: ['2 seater'],
+        colors: ['Charcoal', 'Sage'],
+        materials: ['Powder-coated aluminium'],
+      },
+      {
+        id: 'extendable-terrace-table',
+        name: 'Extendable Terrace Table',
+        price: 1199,
+        currency: 'GBP',
+        sizes: ['6-10 seater'],
+        colors: ['Graphite'],
+        materials: ['Aluminium', 'Ceramic top'],
+      },
+    ],
+  },
+  {
+    keywords: ['sofa', 'couch', 'sectional'],
+    response:
+      '## Sofa set colours\n\n' +
+      'Our most popular sofa set, the **Oslo Sofa Set**, comes in:\n\n' +
+      '- **Sage Green** velvet\n' +
+      '- **Terracotta** linen blend\n' +
+      '- **Midnight Blue** boucle\n' +
+      '- **Oatmeal** textured weave\n\n' +
+      'Fabric swatches can be ordered free of charge.',
+    suggestions: ['Order fabric swatches', 'Which colour suits a small room?', 'How long is delivery?'],
+  },
+  {
+    keywords: ['living room', 'colour', 'color', 'palette'],
+    response:
+      'For a calm living room, pair warm neutrals like oatmeal and sand with a single accent colour. ' +
+      'Sage green and terracotta both work well against light oak furniture.\n\n' +
+      'Would you like suggestions for a specific room size?',
+    suggestions: ['Ideas for a small living room', 'Show me sage green sofas'],
+  },
+  {
+    keywords: ['delivery', 'shipping'],
+    response:
+      'Standard delivery takes 5-7 working days and is free on orders over 500. ' +
+      'Large items such as sofas and beds are delivered by a two-person team who can also assemble them.',
+    messages: [
+      {
+        type: 'link',
+        url: '/delivery',
+        title: 'Delivery and assembly',
+        description: 'Delivery slots, costs and what our two-person team can assemble for you.',
+      },
+      {
+        type: 'buttons',
+        text: 'Anything else about your order?',
+        buttons: [
+          { label: 'Track my order', reply: 'How do I track my order?' },
+          { label: 'Returns', reply: 'What is your returns policy?' },
+        ],
+      },
+    ],
+  },
+];
+
+// Reply to a photo whose message matches none of the canned topics
+const PHOTO_ANSWER = {
+  response:
+    'Thanks for the photo! For a room like this I would suggest:\n\n' +
+    '- **Warm neutrals** such as sand or oatmeal, which suit most wall colours\n' +
+    '- **Sage green** to bring in a calm, natural accent\n' +
+    '- **Charcoal** if you want the sofa to anchor a light room\n\n' +
+    'Tell me the size of the space and I can recommend a specific sofa.',
+};
+
+const FALLBACK_ANSWERS = [
+  'I can help with beds, sofas, outdoor furniture and colour advice. What are you shopping for today?',
+  'Tell me a little about your room and I will suggest pieces that fit.',
+  'Could you share more details, such as the room or the style you have in mind?',
+];
+
+/**
+ * Picks a fallback answer from the message text so the same question
+ * always gets the same reply.
+ */
+function pickFallback(message) {
+  let hash = 0;
+  for (let i = 0; i < message.length; i++) {
+    hash = (hash * 31 + message.charCodeAt(i)) >>> 0;
+  }
+  return FALLBACK_ANSWERS[hash % FALLBACK_ANSWERS.length];
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Deterministic local backend with canned furniture answers
+ * @param {Object} options
+ * @param {number} options.delayMs - Artificial latency before replying
+ * @param {number} options.streamDelayMs - Pause between streamed words
+ */
+export function createMockBackend({ delayMs = 0, streamDelayMs = 30 } = {}) {
+  const findAnswer = (text) => CANNED_ANSWERS.find(entry =>
+    entry.keywords.some(keyword => text.includes(keyword))
+  );
+
+  // Follow-ups like "what about in blue?" reuse the topic of the latest
+  // earlier user turn that matched a canned answer. A photo sent without a
+  // known topic gets colour advice.
+  const answer = (message, history, attachments = []) => {
+    const text = message.toLowerCase();
+    let match = findAnswer(text);
+    if (!match && attachments.length > 0) return PHOTO_ANSWER;
+    for (let i = history.length - 1; !match && i >= 0; i--) {
+      if (history[i].role === 'user') {
+        match = findAnswer(history[i].content.toLowerCase());
+      }
+    }
+    return match || { response: pickFallback(text) };
+  };
+
+  return {
+    name: 'mock',
+    async reply({ message, history = [], attachments }) {
+      if (delayMs > 0) await sleep(delayMs);
+      const { response, products, suggestions, messages } = answer(message, history, attachments);
+      return { response, products, suggestions, messages };
+    },
+    async *stream({ message, history = [], attachments, signal }) {
+      if (delayMs > 0) await sleep(delayMs);
+      const { response, products, suggestions, messages } = answer(message, history, attachments);
+      // Emit word by word, keeping whitespace so the chunks join back exactly
+      for (const token of response.match(/\s*\S+/g) || []) {
+        if (streamDelayMs > 0) await sleep(streamDelayMs);
+        if (signal?.aborted) return;
+        yield token;
+      }
+      if (products) yield { products };
+      if (messages) yield { messages };
+      if (suggestions) yield { suggestions };
+    },
+  };
+}
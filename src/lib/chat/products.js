@@ -0,0 +1,52 @@
+/**
+ * Validation for the structured product objects a chat reply may carry:
+ * { name, image, price, currency, sizes, colors, materials, link }
+ */
+
+const MAX_PRODUCTS = 10;
+const MAX_OPTIONS = 12;
+
+export const cleanString = (value, maxLength = 200) =>
+  typeof value === 'string' && value.trim() ? value.trim().slice(0, maxLength) : undefined;
+
+// Absolute http(s) URLs and site-relative paths only
+export const cleanUrl = (value) => {
+  const url = cleanString(value, 2000);
+  return url && (/^https?:\/\//i.test(url) || /^\/(?!\/)/.test(url)) ? url : undefined;
+};
+
+const cleanOptions = (value) =>
+  Array.isArray(value)
+    ? value.map(option => cleanString(option, 60)).filter(Boolean).slice(0, MAX_OPTIONS)
+    : [];
+
+const cleanPrice = (value) => {
+  if (typeof value === 'number' && Number.isFinite(value) && value >= 0) return value;
+  return cleanString(value, 40);
+};
+
+/**
+ * Keeps the well-formed products and drops unknown fields
+ * @param {*} products - Products as returned by a backend
+ * @return {Array<Object>|undefined} - undefined when there is nothing to show
+ */
+export function normalizeProducts(products) {
+  if (!Array.isArray(products)) return undefined;
+
+  const cleaned = products
+    .filter(product => product && typeof product === 'object' && cleanString(product.name))
+    .slice(0, MAX_PRODUCTS)
+    .map(product => ({
+      id: cleanString(product.id, 80),
+      name: cleanString(product.name),
+      image: cleanUrl(product.image),
+      price: cleanPrice(product.price),
+      currency: /^[A-Z]{3}$/.test(product.currency) ? product.currency : undefined,
+      sizes: cleanOptions(product.sizes),
+      colors: cleanOptions(product.colors),
+      materials: cleanOptions(product.materials),
+      link: cleanUrl(product.link),
+    }));
+
+  return cleaned.length > 0 ? cleaned : undefined;
+}
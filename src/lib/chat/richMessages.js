@@ -0,0 +1,77 @@
+import { cleanString, cleanUrl, normalizeProducts } from './products';
+
+/**
+ * Validation for the typed rich messages a chat reply may carry after its
+ * answer, e.g. { type: 'image', url, alt } or { type: 'buttons', buttons }.
+ * The widget renders each type with its own component; types it does not
+ * know fall back to their text.
+ */
+
+const MAX_MESSAGES = 5;
+const MAX_BUTTONS = 6;
+const MAX_TEXT = 4000;
+const TYPE_PATTERN = /^[a-z][a-z0-9-]{0,30}$/;
+
+// A button either opens a link or sends a reply, its label by default
+const cleanButton = (button) => {
+  const label = cleanString(button?.label, 40);
+  if (!label) return undefined;
+  const url = cleanUrl(button.url);
+  return url ? { label, url } : { label, reply: cleanString(button.reply) ?? label };
+};
+
+const cleanText = (message) => {
+  const text = cleanString(message.text, MAX_TEXT);
+  return text && { text };
+};
+
+// Fields kept for each known type; undefined drops the message
+const CLEANERS = {
+  text: cleanText,
+  markdown: cleanText,
+  image: (message) => {
+    const url = cleanUrl(message.url);
+    return url && { url, alt: cleanString(message.alt) ?? '', caption: cleanString(message.caption) };
+  },
+  buttons: (message) => {
+    const buttons = Array.isArray(message.buttons)
+      ? message.buttons.map(cleanButton).filter(Boolean).slice(0, MAX_BUTTONS)
+      : [];
+    return buttons.length > 0 ? { text: cleanString(message.text, 500), buttons } : undefined;
+  },
+  carousel: (message) => {
+    const products = normalizeProducts(message.products);
+    return products && { products };
+  },
+  link: (message) => {
+    const url = cleanUrl(message.url);
+    return url && {
+      url,
+      title: cleanString(message.title) ?? url,
+      description: cleanString(message.description, 300),
+      image: cleanUrl(message.image),
+      siteName: cleanString(message.siteName, 80),
+    };
+  },
+};
+
+function cleanMessage(message) {
+  if (!message || typeof message !== 'object' || !TYPE_PATTERN.test(message.type)) return undefined;
+  // Forms and notices are the widget's own
+  if (message.type === 'form' || message.type === 'system') return undefined;
+  // Other types are passed on with their text, for widgets that know them
+  const fields = Object.hasOwn(CLEANERS, message.type) ? CLEANERS[message.type](message) : cleanText(message);
+  return fields && { type: message.type, ...fields };
+}
+
+/**
+ * Keeps the well-formed messages and drops unknown fields
+ * @param {*} messages - Rich messages as returned by a backend
+ * @return {Array<Object>|undefined} - undefined when there is nothing to show
+ */
+export function normalizeRichMessages(messages) {
+  if (!Array.isArray(messages)) return undefined;
+
+  const cleaned = messages.map(cleanMessage).filter(Boolean).slice(0, MAX_MESSAGES);
+  return cleaned.length > 0 ? cleaned : undefined;
+}
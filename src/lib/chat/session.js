@@ -0,0 +1,67 @@
+/**
+ * Server-side helpers for chat sessions and conversation history
+ */
+
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+// BCP 47 language tags such as "fr" or "ar-EG"
+const LOCALE_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,8}){0,3}$/i;
+const ROLES = ['user', 'assistant'];
+
+// Longest message a visitor can send; the widget's input enforces it too
+export const MAX_MESSAGE_CHARS = 2000;
+
+export const HISTORY_LIMITS = {
+  maxMessages: 20, // Prior turns forwarded to the backend
+  maxChars: 8000, // Combined length of those turns
+};
+
+/**
+ * @param {*} value - Session id sent by the client
+ * @return {boolean} - Whether it is a well-formed session id
+ */
+export function isSessionId(value) {
+  return typeof value === 'string' && SESSION_ID_PATTERN.test(value);
+}
+
+/**
+ * Returns the client's session id when it is well-formed, or a fresh one
+ * @param {*} value - Session id sent by the client
+ * @return {string}
+ */
+export function resolveSessionId(value) {
+  return isSessionId(value) ? value : crypto.randomUUID();
+}
+
+/**
+ * Returns the locale the widget is displayed in when it is a well-formed
+ * language tag, so backends can answer in the visitor's language
+ * @param {*} value - Locale sent by the client
+ * @return {string|undefined}
+ */
+export function normalizeLocale(value) {
+  return typeof value === 'string' && LOCALE_PATTERN.test(value) ? value : undefined;
+}
+
+/**
+ * Validates the history sent by the client and trims it to the newest turns
+ * that fit within the limits
+ * @param {*} history - Array of { role, content }
+ * @return {Array<{role: string, content: string}>} - Oldest first
+ */
+export function normalizeHistory(history, { maxMessages, maxChars } = HISTORY_LIMITS) {
+  if (!Array.isArray(history)) return [];
+
+  const turns = history.filter(turn =>
+    turn && ROLES.includes(turn.role) && typeof turn.content === 'string' && turn.content.trim()
+  );
+
+  const trimmed = [];
+  let size = 0;
+  for (let i = turns.length - 1; i >= 0 && trimmed.length < maxMessages; i--) {
+    const content = turns[i].content.trim();
+    if (size + content.length > maxChars) break;
+    size += content.length;
+    trimmed.unshift({ role: turns[i].role, content });
+  }
+  return trimmed;
+}
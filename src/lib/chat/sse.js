@@ -0,0 +1,115 @@
+/**
+ * Minimal Server-Sent Events helpers shared by the API routes and the widget
+ */
+
+const encoder = new TextEncoder();
+
+/**
+ * Encodes a single SSE event
+ * @param {string} event - Event name
+ * @param {*} data - Payload, serialized as JSON
+ * @return {Uint8Array}
+ */
+export function encodeEvent(event, data) {
+  return encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Long-lived SSE response for pushing updates, with a comment line every
+ * `keepAliveMs` so proxies do not close an idle connection
+ * @param {Function} subscribe - Called with send(event, data) when the client
+ *   connects; returns the function to call when it disconnects
+ * @param {Object} options
+ * @param {number} options.keepAliveMs
+ * @return {Response}
+ */
+export function eventStreamResponse(subscribe, { keepAliveMs = 25000 } = {}) {
+  let cleanup;
+  const stream = new ReadableStream({
+    start(controller) {
+      const write = (chunk) => {
+        try {
+          controller.enqueue(chunk);
+        } catch {
+          // The client disconnected; cancel() unsubscribes
+        }
+      };
+      const send = (event, data) => write(encodeEvent(event, data));
+      const timer = setInterval(() => write(encoder.encode(': ping\n\n')), keepAliveMs);
+      const unsubscribe = subscribe(send);
+      cleanup = () => {
+        clearInterval(timer);
+        unsubscribe?.();
+      };
+    },
+    cancel() {
+      cleanup?.();
+    },
+  });
+
+  return new Response(stream, {
+    headers: {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      'X-Accel-Buffering': 'no',
+    },
+  });
+}
+
+/**
+ * Parses an SSE byte stream into { event, data, raw } objects.
+ * `data` is JSON-decoded when possible and left as a string otherwise;
+ * `raw` is always the text as sent, for plain-text tokens such as `5` that
+ * happen to be valid JSON too.
+ * @param {ReadableStream<Uint8Array>} stream
+ */
+export async function* parseEventStream(stream) {
+  const reader = stream.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true }).replace(/\r\n?/g, '\n');
+
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const block = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary + 2);
+        const parsed = parseBlock(block);
+        if (parsed) yield parsed;
+      }
+    }
+
+    const parsed = parseBlock(buffer);
+    if (parsed) yield parsed;
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+function parseBlock(block) {
+  let event = 'message';
+  const dataLines = [];
+
+  block.split('\n').forEach(line => {
+    if (line.startsWith('event:')) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).replace(/^ /, ''));
+    }
+  });
+
+  if (dataLines.length === 0) return null;
+
+  const raw = dataLines.join('\n');
+  let data = raw;
+  try {
+    data = JSON.parse(raw);
+  } catch {
+    // Plain-text payload
+  }
+  return { event, data, raw };
+}
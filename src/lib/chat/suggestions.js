@@ -0,0 +1,23 @@
+/**
+ * Validation for the suggested follow-up replies a chat reply may carry,
+ * shown as chips under the bot's answer
+ */
+
+const MAX_SUGGESTIONS = 4;
+const MAX_LENGTH = 80;
+
+/**
+ * Keeps non-empty, distinct strings
+ * @param {*} suggestions - Suggestions as returned by a backend
+ * @return {Array<string>|undefined} - undefined when there is nothing to show
+ */
+export function normalizeSuggestions(suggestions) {
+  if (!Array.isArray(suggestions)) return undefined;
+
+  const cleaned = [...new Set(suggestions
+    .filter(suggestion => typeof suggestion === 'string' && suggestion.trim())
+    .map(suggestion => suggestion.trim().slice(0, MAX_LENGTH)))]
+    .slice(0, MAX_SUGGESTIONS);
+
+  return cleaned.length > 0 ? cleaned : undefined;
+}
@@ -0,0 +1,61 @@
+import { appendRecord, readRecords } from './store';
+
+/**
+ * Messages visitors leave when no agent is online, stored in the
+ * 'contact-requests' collection for the team to answer by email
+ */
+
+const COLLECTION = 'contact-requests';
+
+const MAX_NAME = 100;
+const MAX_MESSAGE = 4000;
+// Deliberately loose: one @, a dot in the domain, no spaces
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Error raised when a contact request is invalid
+ */
+export class ContactValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ContactValidationError';
+  }
+}
+
+/**
+ * Stores a message left for the team
+ * @param {Object} body - { sessionId, name, email, message, locale }
+ * @return {Promise<Object>} - The stored record
+ */
+export async function saveContactRequest(body) {
+  const email = typeof body?.email === 'string' ? body.email.trim() : '';
+  if (!EMAIL_PATTERN.test(email) || email.length > 254) {
+    throw new ContactValidationError('A valid "email" is required');
+  }
+  const message = typeof body.message === 'string' ? body.message.trim() : '';
+  if (!message) {
+    throw new ContactValidationError('A non-empty "message" is required');
+  }
+
+  const record = {
+    id: crypto.randomUUID(),
+    createdAt: new Date().toISOString(),
+    sessionId: typeof body.sessionId === 'string' ? body.sessionId.slice(0, 64) : null,
+    name: typeof body.name === 'string' && body.name.trim() ? body.name.trim().slice(0, MAX_NAME) : null,
+    email,
+    message: message.slice(0, MAX_MESSAGE),
+    locale: typeof body.locale === 'string' ? body.locale.slice(0, 35) : null,
+  };
+  await appendRecord(COLLECTION, record);
+  return record;
+}
+
+/**
+ * Lists messages left for the team, newest first
+ * @param {Object} options
+ * @param {number} options.limit
+ */
+export async function listContactRequests({ limit = 100 } = {}) {
+  const records = await readRecords(COLLECTION);
+  return records.reverse().slice(0, limit);
+}
@@ -0,0 +1,22 @@
+/**
+ * CSV export helpers for the admin endpoints
+ */
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  // Keep spreadsheet apps from evaluating cells as formulas
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serializes records as CSV with a header row
+ * @param {Array<Object>} records
+ * @param {Array<string>} columns - Record fields, in column order
+ * @return {string}
+ */
+export function toCsv(records, columns) {
+  const rows = records.map(record => columns.map(column => csvCell(record[column])).join(','));
+  return [columns.join(','), ...rows].join('\r\n') + '\r\n';
+}
@@ -0,0 +1,103 @@
+import { appendRecord, readLatestRecords } from './store';
+import { toCsv } from './csv';
+
+/**
+ * Thumbs-up/down ratings on bot replies, stored in the 'feedback' collection
+ */
+
+const COLLECTION = 'feedback';
+
+export const RATINGS = ['positive', 'negative'];
+export const FEEDBACK_CATEGORIES = ['wrong_product', 'did_not_answer', 'incorrect_info', 'other'];
+
+const MAX_TEXT = 8000;
+const MAX_REASON = 1000;
+const REPLY_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+/**
+ * Error raised when a feedback payload is invalid
+ */
+export class FeedbackValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FeedbackValidationError';
+  }
+}
+
+const optionalText = (value, maxLength) =>
+  typeof value === 'string' && value.trim() ? value.trim().slice(0, maxLength) : null;
+
+function cleanReason(body) {
+  const category = body.category ?? null;
+  if (category !== null && !FEEDBACK_CATEGORIES.includes(category)) {
+    throw new FeedbackValidationError(`"category" must be one of: ${FEEDBACK_CATEGORIES.join(', ')}`);
+  }
+  return { category, reason: optionalText(body.reason, MAX_REASON) };
+}
+
+/**
+ * Stores a new rating
+ * @param {Object} body - { sessionId, messageId, replyId, rating, messageText, question, category?, reason? },
+ *   where `replyId` is the id the chat route gave the reply
+ * @return {Promise<Object>} - The stored record
+ */
+export async function saveFeedback(body) {
+  if (!RATINGS.includes(body?.rating)) {
+    throw new FeedbackValidationError('"rating" must be "positive" or "negative"');
+  }
+  if (typeof body.sessionId !== 'string' || !body.sessionId) {
+    throw new FeedbackValidationError('"sessionId" is required');
+  }
+
+  const record = {
+    id: crypto.randomUUID(),
+    createdAt: new Date().toISOString(),
+    sessionId: body.sessionId.slice(0, 64),
+    messageId: body.messageId != null ? String(body.messageId).slice(0, 64) : null,
+    replyId: typeof body.replyId === 'string' && REPLY_ID_PATTERN.test(body.replyId) ? body.replyId : null,
+    rating: body.rating,
+    messageText: optionalText(body.messageText, MAX_TEXT),
+    question: optionalText(body.question, MAX_TEXT),
+    ...cleanReason(body),
+  };
+
+  await appendRecord(COLLECTION, record);
+  return record;
+}
+
+/**
+ * Adds the reason given after a thumbs-down to an existing rating
+ * @param {string} id - Feedback id returned by saveFeedback
+ * @param {Object} body - { category?, reason? }
+ */
+export async function updateFeedbackReason(id, body) {
+  if (typeof id !== 'string' || !id) {
+    throw new FeedbackValidationError('"id" is required');
+  }
+  const update = { id, updatedAt: new Date().toISOString(), ...cleanReason(body ?? {}) };
+  await appendRecord(COLLECTION, update);
+  return update;
+}
+
+/**
+ * Lists ratings, newest first
+ * @param {Object} filters
+ * @param {string} filters.rating - Only 'positive' or 'negative' ratings
+ */
+export async function listFeedback({ rating } = {}) {
+  const records = await readLatestRecords(COLLECTION);
+  return records
+    .filter(record => record.createdAt && (!rating || record.rating === rating))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+const CSV_COLUMNS = ['id', 'createdAt', 'sessionId', 'messageId', 'replyId', 'rating', 'category', 'reason', 'question', 'messageText'];
+
+/**
+ * Serializes feedback records as CSV
+ * @param {Array<Object>} records
+ * @return {string}
+ */
+export function feedbackToCsv(records) {
+  return toCsv(records, CSV_COLUMNS);
+}
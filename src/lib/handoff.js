@@ -0,0 +1,269 @@
+import { appendRecord } from './store';
+import { MAX_MESSAGE_CHARS } from './chat/session';
+
+/**
+ * Handoffs from the bot to a human agent.
+ *
+ * A visitor asks for a person; the conversation waits in a queue until an
+ * agent claims it from the console, then both sides exchange messages live
+ * over Server-Sent Events until one of them ends the chat. Open handoffs and
+ * the listeners live in this process (like the rate limits), so the app must
+ * run as a single instance for agents and visitors to meet. Closed handoffs
+ * are kept in the 'handoffs' collection.
+ *
+ * An agent counts as online while their console is connected. A waiting
+ * handoff whose widget is not connected for WAITING_GRACE_MS is dropped, so
+ * abandoned requests do not pile up in the queue.
+ */
+
+const COLLECTION = 'handoffs';
+
+const MAX_HISTORY = 20;
+const MESSAGE_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+const AGENT_NAME_MAX = 40;
+// How long a waiting handoff is kept without a widget following it
+export const WAITING_GRACE_MS = 60 * 1000;
+
+/**
+ * Error raised for requests the handoff cannot accept, with the HTTP status
+ * to answer with
+ */
+export class HandoffError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'HandoffError';
+    this.status = status;
+  }
+}
+
+const handoffs = new Map();
+// Console connections: listener -> agent name
+const agents = new Map();
+// Widget connections by handoff id
+const visitors = new Map();
+
+/**
+ * The handoff as the widget sees it, without the session id and bot history
+ */
+export function visitorView(handoff) {
+  const { id, status, agentName, messages } = handoff;
+  return { id, status, agentName, messages };
+}
+
+function notify(handoff) {
+  agents.forEach((name, listener) => listener('handoff', handoff));
+  visitors.get(handoff.id)?.forEach(listener => listener('handoff', visitorView(handoff)));
+}
+
+function notifyPresence() {
+  const online = [...new Set(agents.values())];
+  agents.forEach((name, listener) => listener('agents', { online }));
+}
+
+export const cleanAgentName = (value) =>
+  typeof value === 'string' && value.trim() ? value.trim().slice(0, AGENT_NAME_MAX) : 'Agent';
+
+function cleanText(value) {
+  const text = typeof value === 'string' ? value.trim() : '';
+  if (!text) throw new HandoffError('A non-empty "text" is required');
+  if (text.length > MAX_MESSAGE_CHARS) {
+    throw new HandoffError(`"text" must be at most ${MAX_MESSAGE_CHARS} characters`, 413);
+  }
+  return text;
+}
+
+function cleanHistory(history) {
+  if (!Array.isArray(history)) return [];
+  return history
+    .filter(turn => turn && ['user', 'assistant'].includes(turn.role) && typeof turn.content === 'string')
+    .slice(-MAX_HISTORY)
+    .map(turn => ({ role: turn.role, content: turn.content.slice(0, MAX_MESSAGE_CHARS) }));
+}
+
+/**
+ * @return {boolean} - Whether an agent console is connected
+ */
+export function agentsOnline() {
+  return agents.size > 0;
+}
+
+/**
+ * Open handoffs, oldest first
+ * @return {Array<Object>}
+ */
+export function listOpenHandoffs() {
+  return [...handoffs.values()];
+}
+
+/**
+ * Looks up an open handoff. Visitors must also present the session id the
+ * handoff was opened with.
+ * @param {string} id
+ * @param {string} sessionId - Required for visitor requests
+ * @return {Object}
+ * @throws {HandoffError} - 404 when there is no such open handoff
+ */
+export function getHandoff(id, sessionId) {
+  const handoff = handoffs.get(id);
+  if (!handoff || (sessionId !== undefined && handoff.sessionId !== sessionId)) {
+    throw new HandoffError('This chat has ended', 404);
+  }
+  return handoff;
+}
+
+/**
+ * Puts a conversation in the queue. A session has at most one open handoff;
+ * asking again returns it.
+ * @param {Object} request - { sessionId, locale, history }
+ * @return {Object} - The handoff
+ * @throws {HandoffError} - 503 when no agent is online
+ */
+export function createHandoff({ sessionId, locale, history }) {
+  const existing = [...handoffs.values()].find(handoff => handoff.sessionId === sessionId);
+  if (existing) return existing;
+  if (!agentsOnline()) throw new HandoffError('No agent is online', 503);
+
+  const handoff = {
+    id: crypto.randomUUID(),
+    sessionId,
+    locale: locale ?? null,
+    status: 'waiting',
+    createdAt: new Date().toISOString(),
+    agentName: null,
+    claimedAt: null,
+    // The conversation with the bot so far, for the agent's context
+    history: cleanHistory(history),
+    messages: [],
+  };
+  handoffs.set(handoff.id, handoff);
+  notify(handoff);
+  // The widget connects right after asking; if it never does, the request is dropped
+  scheduleExpiry(handoff.id);
+  return handoff;
+}
+
+/**
+ * Assigns a waiting handoff to an agent
+ * @param {string} id
+ * @param {string} agentName
+ * @throws {HandoffError} - 409 when another agent got there first
+ */
+export function claimHandoff(id, agentName) {
+  const handoff = getHandoff(id);
+  if (handoff.status !== 'waiting') {
+    throw new HandoffError(`Already claimed by ${handoff.agentName}`, 409);
+  }
+  handoff.status = 'active';
+  handoff.agentName = cleanAgentName(agentName);
+  handoff.claimedAt = new Date().toISOString();
+  notify(handoff);
+  return handoff;
+}
+
+/**
+ * Adds a message from the visitor or the agent
+ * @param {string} id
+ * @param {Object} message
+ * @param {string} message.from - 'visitor' or 'agent'
+ * @param {string} message.text
+ * @param {string} message.id - Client-generated id, so the sender can match the echo
+ * @param {string} message.agentName - For agent messages
+ */
+export function addHandoffMessage(id, { from, text, id: messageId, agentName }) {
+  const handoff = getHandoff(id);
+  if (from === 'agent' && handoff.status !== 'active') {
+    throw new HandoffError('Claim the chat before replying', 409);
+  }
+
+  const message = {
+    id: typeof messageId === 'string' && MESSAGE_ID_PATTERN.test(messageId) ? messageId : crypto.randomUUID(),
+    from,
+    text: cleanText(text),
+    createdAt: new Date().toISOString(),
+    ...(from === 'agent' && { agentName: cleanAgentName(agentName) }),
+  };
+  // A retried send must not show up twice
+  if (!handoff.messages.some(existing => existing.id === message.id)) {
+    handoff.messages.push(message);
+    notify(handoff);
+  }
+  return message;
+}
+
+/**
+ * Ends a handoff and archives it
+ * @param {string} id
+ * @param {string} closedBy - 'visitor', 'agent' or 'expired'
+ */
+export async function closeHandoff(id, closedBy) {
+  const handoff = getHandoff(id);
+  handoff.status = 'closed';
+  handoff.closedBy = closedBy;
+  handoff.closedAt = new Date().toISOString();
+  notify(handoff);
+  handoffs.delete(id);
+  visitors.delete(id);
+  await appendRecord(COLLECTION, handoff);
+  return handoff;
+}
+
+/**
+ * Drops a handoff that is still waiting and no widget follows, once it has
+ * been that way for WAITING_GRACE_MS
+ */
+function scheduleExpiry(id) {
+  const timer = setTimeout(() => {
+    const handoff = handoffs.get(id);
+    if (handoff?.status === 'waiting' && !visitors.get(id)?.size) {
+      closeHandoff(id, 'expired').catch(error => console.error('Handoff error:', error));
+    }
+  }, WAITING_GRACE_MS);
+  // Never keep the process alive just for this
+  timer.unref?.();
+}
+
+/**
+ * Registers an agent console. It receives `agents` events with who is
+ * online and a `handoff` event whenever a handoff changes.
+ * @param {string} agentName
+ * @param {Function} listener - (event, data) => void
+ * @return {Function} - Unsubscribes
+ */
+export function subscribeAgent(agentName, listener) {
+  agents.set(listener, cleanAgentName(agentName));
+  notifyPresence();
+  return () => {
+    agents.delete(listener);
+    notifyPresence();
+  };
+}
+
+/**
+ * Registers a widget following one handoff. It receives a `handoff` event
+ * with the visitor view whenever the handoff changes.
+ * @param {string} id
+ * @param {Function} listener - (event, data) => void
+ * @return {Function} - Unsubscribes
+ */
+export function subscribeVisitor(id, listener) {
+  if (!visitors.has(id)) visitors.set(id, new Set());
+  visitors.get(id).add(listener);
+  return () => {
+    visitors.get(id)?.delete(listener);
+    // A reconnecting widget has until then to come back
+    if (!visitors.get(id)?.size) scheduleExpiry(id);
+  };
+}
+
+/**
+ * JSON error response for a handoff request that failed
+ * @param {Error} error
+ * @return {Response}
+ */
+export function handoffErrorResponse(error) {
+  if (error instanceof HandoffError) {
+    return Response.json({ error: error.message }, { status: error.status });
+  }
+  console.error('Handoff error:', error);
+  return Response.json({ error: 'Something went wrong' }, { status: 500 });
+}
@@ -0,0 +1,72 @@
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+
+let handoffs;
+let directory;
+let unsubscribeAgent;
+
+beforeAll(async () => {
+  directory = await fs.mkdtemp(path.join(os.tmpdir(), 'handoff-'));
+  vi.stubEnv('DATA_DIR', directory);
+  handoffs = await import('./handoff');
+  unsubscribeAgent = handoffs.subscribeAgent('Sam', () => {});
+});
+
+afterAll(async () => {
+  unsubscribeAgent();
+  vi.unstubAllEnvs();
+  await fs.rm(directory, { recursive: true, force: true });
+});
+
+beforeEach(() => vi.useFakeTimers());
+afterEach(() => vi.useRealTimers());
+
+const isOpen = (handoff) => handoffs.listOpenHandoffs().some(open => open.id === handoff.id);
+
+describe('waiting handoffs', () => {
+  it('are dropped when the widget never connects', async () => {
+    const handoff = handoffs.createHandoff({ sessionId: 'never-connected' });
+    await vi.advanceTimersByTimeAsync(handoffs.WAITING_GRACE_MS - 1);
+    expect(isOpen(handoff)).toBe(true);
+    await vi.advanceTimersByTimeAsync(1);
+    expect(isOpen(handoff)).toBe(false);
+    expect(handoff).toMatchObject({ status: 'closed', closedBy: 'expired' });
+  });
+
+  it('are kept while the widget follows them', async () => {
+    const handoff = handoffs.createHandoff({ sessionId: 'still-waiting' });
+    const unsubscribe = handoffs.subscribeVisitor(handoff.id, () => {});
+    await vi.advanceTimersByTimeAsync(handoffs.WAITING_GRACE_MS * 3);
+    expect(isOpen(handoff)).toBe(true);
+
+    unsubscribe();
+    await vi.advanceTimersByTimeAsync(handoffs.WAITING_GRACE_MS);
+    expect(isOpen(handoff)).toBe(false);
+  });
+
+  it('survive a widget reconnecting within the grace period', async () => {
+    const handoff = handoffs.createHandoff({ sessionId: 'reconnecting' });
+    handoffs.subscribeVisitor(handoff.id, () => {})();
+    await vi.advanceTimersByTimeAsync(handoffs.WAITING_GRACE_MS / 2);
+    handoffs.subscribeVisitor(handoff.id, () => {});
+    await vi.advanceTimersByTimeAsync(handoffs.WAITING_GRACE_MS * 2);
+    expect(isOpen(handoff)).toBe(true);
+  });
+
+  it('are not dropped once an agent has claimed them', async () => {
+    const handoff = handoffs.createHandoff({ sessionId: 'claimed-chat' });
+    handoffs.claimHandoff(handoff.id, 'Sam');
+    await vi.advanceTimersByTimeAsync(handoffs.WAITING_GRACE_MS * 2);
+    expect(isOpen(handoff)).toBe(true);
+  });
+});
+
+describe('getHandoff', () => {
+  it('only finds a handoff for the session that opened it', () => {
+    const handoff = handoffs.createHandoff({ sessionId: 'owner-session' });
+    expect(handoffs.getHandoff(handoff.id, 'owner-session')).toBe(handoff);
+    expect(() => handoffs.getHandoff(handoff.id, '')).toThrow(handoffs.HandoffError);
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * Lead form fields and their validation, shared by the widget's form and
+ * the /api/leads route so both accept exactly the same input
+ */
+
+export const LEAD_LIMITS = {
+  name: 100,
+  email: 254,
+  phone: 30,
+  postcode: 12,
+};
+
+// Deliberately loose: one @, a dot in the domain, no spaces
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// Digits with the usual separators and an optional leading +
+const PHONE_PATTERN = /^\+?[\d\s().-]{6,}$/;
+// UK, EU and US style postcodes: letters, digits, spaces and dashes
+const POSTCODE_PATTERN = /^[A-Za-z0-9][A-Za-z0-9 -]{1,10}[A-Za-z0-9]$/;
+
+const text = (value) => typeof value === 'string' ? value.trim() : '';
+
+/**
+ * Cleans and checks a lead. Name, email and consent are required; phone and
+ * postcode are optional but must look right when given.
+ * @param {Object} fields - { name, email, phone, postcode, consent }
+ * @return {{lead: Object, errors: Object}} - `errors` maps field names to
+ *   'required' or 'invalid' and is empty when the lead is valid
+ */
+export function validateLead(fields = {}) {
+  const lead = {
+    name: text(fields.name),
+    email: text(fields.email),
+    phone: text(fields.phone),
+    postcode: text(fields.postcode).toUpperCase(),
+    consent: fields.consent === true,
+  };
+  const errors = {};
+
+  if (!lead.name) errors.name = 'required';
+  else if (lead.name.length > LEAD_LIMITS.name) errors.name = 'invalid';
+
+  if (!lead.email) errors.email = 'required';
+  else if (!EMAIL_PATTERN.test(lead.email) || lead.email.length > LEAD_LIMITS.email) errors.email = 'invalid';
+
+  const digits = lead.phone.replace(/\D/g, '').length;
+  if (lead.phone && (!PHONE_PATTERN.test(lead.phone) || digits < 6 || digits > 15 || lead.phone.length > LEAD_LIMITS.phone)) {
+    errors.phone = 'invalid';
+  }
+
+  if (lead.postcode && !POSTCODE_PATTERN.test(lead.postcode)) errors.postcode = 'invalid';
+
+  if (!lead.consent) errors.consent = 'required';
+
+  return { lead, errors };
+}
@@ -0,0 +1,78 @@
+import { appendRecord, readRecords } from '../store';
+import { toCsv } from '../csv';
+import { isSessionId } from '../chat/session';
+import { validateLead } from './fields';
+
+/**
+ * Leads captured by the in-chat form, stored in the 'leads' collection with
+ * the session id of the conversation they came from
+ */
+
+const COLLECTION = 'leads';
+
+const MAX_INTEREST = 500;
+
+/**
+ * Error raised when a lead is invalid, with the failing fields
+ */
+export class LeadValidationError extends Error {
+  constructor(message, fields = {}) {
+    super(message);
+    this.name = 'LeadValidationError';
+    this.fields = fields;
+  }
+}
+
+/**
+ * Stores a lead
+ * @param {Object} body - { sessionId, name, email, phone, postcode, consent, interest, locale }
+ * @return {Promise<Object>} - The stored record
+ */
+export async function saveLead(body) {
+  if (!isSessionId(body?.sessionId)) {
+    throw new LeadValidationError('A valid "sessionId" is required');
+  }
+  const { lead, errors } = validateLead(body);
+  if (Object.keys(errors).length > 0) {
+    const list = Object.entries(errors).map(([field, problem]) => `${field} (${problem})`).join(', ');
+    throw new LeadValidationError(`Invalid lead: ${list}`, errors);
+  }
+
+  const now = new Date().toISOString();
+  const record = {
+    id: crypto.randomUUID(),
+    createdAt: now,
+    sessionId: body.sessionId,
+    name: lead.name,
+    email: lead.email,
+    phone: lead.phone || null,
+    postcode: lead.postcode || null,
+    consent: true,
+    consentedAt: now,
+    // The question that prompted the form, e.g. "How much is delivery?"
+    interest: typeof body.interest === 'string' && body.interest.trim() ? body.interest.trim().slice(0, MAX_INTEREST) : null,
+    locale: typeof body.locale === 'string' ? body.locale.slice(0, 35) : null,
+  };
+  await appendRecord(COLLECTION, record);
+  return record;
+}
+
+/**
+ * Lists leads, newest first
+ * @return {Promise<Array<Object>>}
+ */
+export async function listLeads() {
+  const records = await readRecords(COLLECTION);
+  return records.reverse();
+}
+
+const CSV_COLUMNS = ['id', 'createdAt', 'sessionId', 'name', 'email', 'phone', 'postcode', 'consentedAt', 'interest', 'locale'];
+
+/**
+ * Serializes leads as CSV
+ * @param {Array<Object>} records
+ * @return {string}
+ */
+export function leadsToCsv(records) {
+  return toCsv(records, CSV_COLUMNS);
+}
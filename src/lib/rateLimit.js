@@ -0,0 +1,51 @@
+/**
+ * In-memory token buckets for rate limiting.
+ *
+ * Every key (an IP address, a session id, ...) gets a bucket of `capacity`
+ * tokens that refills continuously. Each request takes one token and is
+ * refused while the bucket is empty. State lives in the server process: it is
+ * lost on restart and not shared between instances.
+ */
+
+/**
+ * @param {Object} options
+ * @param {number} options.capacity - Largest burst of requests allowed
+ * @param {number} options.refillPerSecond - Tokens added back per second
+ * @param {number} options.maxKeys - Buckets kept; the least recently used are dropped first
+ * @return {{take: Function}}
+ */
+export function createRateLimiter({ capacity, refillPerSecond, maxKeys = 10000 }) {
+  // Insertion order doubles as least-recently-used order
+  const buckets = new Map();
+
+  /**
+   * Takes a token from the key's bucket
+   * @param {string} key
+   * @param {number} now - Current time in milliseconds
+   * @return {{allowed: boolean, retryAfter: number}} - `retryAfter` is the
+   *   number of seconds until a token is available again (0 when allowed)
+   */
+  function take(key, now = Date.now()) {
+    let tokens = capacity;
+    const bucket = buckets.get(key);
+    if (bucket) {
+      tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) / 1000 * refillPerSecond);
+      buckets.delete(key);
+    }
+
+    const allowed = tokens >= 1;
+    if (allowed) tokens -= 1;
+
+    buckets.set(key, { tokens, updatedAt: now });
+    if (buckets.size > maxKeys) {
+      buckets.delete(buckets.keys().next().value);
+    }
+
+    return {
+      allowed,
+      retryAfter: allowed ? 0 : Math.ceil((1 - tokens) / refillPerSecond),
+    };
+  }
+
+  return { take };
+}
@@ -0,0 +1,28 @@
+import { describe, expect, it } from 'vitest';
+import { createRateLimiter } from './rateLimit';
+
+describe('createRateLimiter', () => {
+  it('allows a burst up to capacity, then refills over time', () => {
+    const limiter = createRateLimiter({ capacity: 2, refillPerSecond: 1 });
+    expect(limiter.take('a', 0).allowed).toBe(true);
+    expect(limiter.take('a', 0).allowed).toBe(true);
+    expect(limiter.take('a', 0)).toEqual({ allowed: false, retryAfter: 1 });
+    expect(limiter.take('a', 1000).allowed).toBe(true);
+  });
+
+  it('keeps a bucket per key', () => {
+    const limiter = createRateLimiter({ capacity: 1, refillPerSecond: 1 });
+    expect(limiter.take('a', 0).allowed).toBe(true);
+    expect(limiter.take('b', 0).allowed).toBe(true);
+    expect(limiter.take('a', 0).allowed).toBe(false);
+  });
+
+  it('forgets the least recently used keys past maxKeys', () => {
+    const limiter = createRateLimiter({ capacity: 1, refillPerSecond: 0.001, maxKeys: 2 });
+    limiter.take('a', 0);
+    limiter.take('b', 0);
+    limiter.take('c', 0);
+    expect(limiter.take('a', 0).allowed).toBe(true);
+    expect(limiter.take('c', 0).allowed).toBe(false);
+  });
+});
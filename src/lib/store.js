@@ -0,0 +1,74 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+/**
+ * Append-only JSON Lines store for records the app keeps server-side
+ * (feedback, transcripts, ...). Each collection is one file in DATA_DIR.
+ */
+
+const DATA_DIR = process.env.DATA_DIR || path.join(process.cwd(), '.data');
+
+function collectionPath(collection) {
+  if (!/^[a-z][a-z0-9-]*$/.test(collection)) {
+    throw new Error(`Invalid collection name "${collection}"`);
+  }
+  return path.join(DATA_DIR, `${collection}.jsonl`);
+}
+
+/**
+ * Appends a record to a collection
+ * @param {string} collection - Collection name, e.g. 'feedback'
+ * @param {Object} record
+ */
+export async function appendRecord(collection, record) {
+  await fs.mkdir(DATA_DIR, { recursive: true });
+  await fs.appendFile(collectionPath(collection), JSON.stringify(record) + '\n', 'utf8');
+}
+
+/**
+ * Appends several records to a collection in one write
+ * @param {string} collection
+ * @param {Array<Object>} records
+ */
+export async function appendRecords(collection, records) {
+  if (records.length === 0) return;
+  await fs.mkdir(DATA_DIR, { recursive: true });
+  await fs.appendFile(collectionPath(collection), records.map(record => JSON.stringify(record) + '\n').join(''), 'utf8');
+}
+
+/**
+ * Reads every record of a collection, oldest first. Corrupt lines are skipped.
+ * @param {string} collection
+ * @return {Promise<Array<Object>>}
+ */
+export async function readRecords(collection) {
+  let content;
+  try {
+    content = await fs.readFile(collectionPath(collection), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  return content.split('\n').filter(Boolean).flatMap(line => {
+    try {
+      return [JSON.parse(line)];
+    } catch {
+      return [];
+    }
+  });
+}
+
+/**
+ * Reads a collection where records are updated by appending a newer copy
+ * with the same `id`, returning only the latest version of each
+ * @param {string} collection
+ * @return {Promise<Array<Object>>}
+ */
+export async function readLatestRecords(collection) {
+  const latest = new Map();
+  for (const record of await readRecords(collection)) {
+    latest.set(record.id, { ...latest.get(record.id), ...record });
+  }
+  return [...latest.values()];
+}
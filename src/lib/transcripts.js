@@ -0,0 +1,115 @@
+import { appendRecord, readRecords } from './store';
+import { listFeedback } from './feedback';
+
+/**
+ * Conversation transcripts in the 'transcripts' collection. The chat route
+ * stores one record per exchange: the visitor's message and the bot's reply
+ * as raw Markdown, exactly as the widget received it.
+ */
+
+const COLLECTION = 'transcripts';
+
+// 'stopped' replies were cancelled by the visitor, 'error' ones failed
+export const EXCHANGE_STATUSES = ['complete', 'stopped', 'error'];
+
+/**
+ * Stores an exchange
+ * @param {Object} exchange - { id, sessionId, locale, message, attachments, response, products, status },
+ *   where `id` is the reply id the widget was given (one is made up when missing) and
+ *   `attachments` is the number of images sent with the message (they are not stored)
+ * @return {Promise<Object>} - The stored record
+ */
+export async function recordExchange({ id, sessionId, locale, message, attachments = 0, response = '', products, status = 'complete' }) {
+  const record = {
+    id: id ?? crypto.randomUUID(),
+    createdAt: new Date().toISOString(),
+    sessionId,
+    locale: locale ?? null,
+    message,
+    attachments,
+    response,
+    products: products ?? null,
+    status: EXCHANGE_STATUSES.includes(status) ? status : 'complete',
+  };
+  await appendRecord(COLLECTION, record);
+  return record;
+}
+
+// Ratings by session id
+async function ratingsBySession() {
+  const bySession = new Map();
+  for (const rating of await listFeedback()) {
+    if (!bySession.has(rating.sessionId)) bySession.set(rating.sessionId, []);
+    bySession.get(rating.sessionId).push(rating);
+  }
+  return bySession;
+}
+
+// A rating names the reply it is for; ratings stored before reply ids
+// existed can only be matched on the reply text
+const ratesExchange = (rating, exchange) => rating.replyId
+  ? rating.replyId === exchange.id
+  : Boolean(rating.messageText) && rating.messageText === exchange.response?.trim();
+
+function groupConversations(exchanges, ratings) {
+  const bySession = new Map();
+  for (const exchange of exchanges) {
+    if (!bySession.has(exchange.sessionId)) bySession.set(exchange.sessionId, []);
+    bySession.get(exchange.sessionId).push(exchange);
+  }
+
+  return [...bySession.entries()].map(([sessionId, list]) => {
+    const sessionRatings = ratings.get(sessionId) || [];
+    return {
+      sessionId,
+      locale: list[0].locale,
+      startedAt: list[0].createdAt,
+      updatedAt: list[list.length - 1].createdAt,
+      exchanges: list.map(exchange => ({
+        ...exchange,
+        rating: sessionRatings.find(rating => ratesExchange(rating, exchange)) ?? null,
+      })),
+      positiveRatings: sessionRatings.filter(rating => rating.rating === 'positive').length,
+      negativeRatings: sessionRatings.filter(rating => rating.rating === 'negative').length,
+    };
+  });
+}
+
+/**
+ * Lists conversations, most recently active first
+ * @param {Object} filters
+ * @param {string} filters.query - Text to find in messages or replies, or a session id
+ * @param {string} filters.from - Only conversations active on or after this date (YYYY-MM-DD)
+ * @param {string} filters.to - Only conversations active on or before this date (YYYY-MM-DD)
+ * @param {boolean} filters.negativeOnly - Only conversations with a thumbs-down
+ * @return {Promise<Array<Object>>}
+ */
+export async function listConversations({ query, from, to, negativeOnly = false } = {}) {
+  const conversations = groupConversations(await readRecords(COLLECTION), await ratingsBySession());
+  const needle = query?.trim().toLowerCase();
+  // Dates are compared as ISO strings; `to` includes the whole day
+  const toEnd = to ? `${to}T23:59:59.999Z` : null;
+
+  return conversations
+    .filter(conversation => {
+      if (from && conversation.updatedAt < from) return false;
+      if (toEnd && conversation.startedAt > toEnd) return false;
+      if (negativeOnly && conversation.negativeRatings === 0) return false;
+      if (!needle) return true;
+      return conversation.sessionId.toLowerCase() === needle || conversation.exchanges.some(exchange =>
+        exchange.message.toLowerCase().includes(needle) || exchange.response.toLowerCase().includes(needle)
+      );
+    })
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+/**
+ * @param {string} sessionId
+ * @return {Promise<Object|null>} - The conversation with its exchanges, oldest
+ *   first, each with the rating its reply got (or null)
+ */
+export async function getConversation(sessionId) {
+  const exchanges = (await readRecords(COLLECTION)).filter(exchange => exchange.sessionId === sessionId);
+  if (exchanges.length === 0) return null;
+  return groupConversations(exchanges, await ratingsBySession())[0];
+}
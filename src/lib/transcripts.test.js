@@ -0,0 +1,58 @@
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterAll, beforeAll, describe, expect, it, vi } from 'vitest';
+
+let transcripts;
+let feedback;
+let directory;
+
+beforeAll(async () => {
+  directory = await fs.mkdtemp(path.join(os.tmpdir(), 'transcripts-'));
+  vi.stubEnv('DATA_DIR', directory);
+  transcripts = await import('./transcripts');
+  feedback = await import('./feedback');
+});
+
+afterAll(async () => {
+  vi.unstubAllEnvs();
+  await fs.rm(directory, { recursive: true, force: true });
+});
+
+const ratingsOf = async (sessionId) =>
+  (await transcripts.getConversation(sessionId)).exchanges.map(exchange => exchange.rating?.rating ?? null);
+
+describe('conversation ratings', () => {
+  it('belong to the reply they name, even when replies repeat', async () => {
+    const sessionId = 'session-repeated-reply';
+    const first = await transcripts.recordExchange({ sessionId, message: 'Hi', response: 'Hello!' });
+    const second = await transcripts.recordExchange({ sessionId, message: 'Hi again', response: 'Hello!' });
+    await feedback.saveFeedback({ sessionId, replyId: second.id, rating: 'negative', messageText: 'Hello!' });
+    await feedback.saveFeedback({ sessionId, replyId: first.id, rating: 'positive', messageText: 'Hello!' });
+
+    expect(await ratingsOf(sessionId)).toEqual(['positive', 'negative']);
+  });
+
+  it('find replies longer than the stored rating text', async () => {
+    const sessionId = 'session-long-reply';
+    const replyId = crypto.randomUUID();
+    await transcripts.recordExchange({ id: replyId, sessionId, message: 'Tell me everything', response: 'x'.repeat(9000) });
+    await feedback.saveFeedback({ sessionId, replyId, rating: 'positive', messageText: 'x'.repeat(9000) });
+
+    expect(await ratingsOf(sessionId)).toEqual(['positive']);
+  });
+
+  it('fall back to the reply text for ratings without a reply id', async () => {
+    const sessionId = 'session-legacy-rating';
+    await transcripts.recordExchange({ sessionId, message: 'Hi', response: 'Hello!' });
+    await transcripts.recordExchange({ sessionId, message: 'Sofas?', response: 'We have three.' });
+    await feedback.saveFeedback({ sessionId, messageId: '1', rating: 'negative', messageText: 'We have three.' });
+
+    expect(await ratingsOf(sessionId)).toEqual([null, 'negative']);
+  });
+
+  it('ignore malformed reply ids', async () => {
+    const record = await feedback.saveFeedback({ sessionId: 'session-bad-id', replyId: '../x', rating: 'positive' });
+    expect(record.replyId).toBeNull();
+  });
+});
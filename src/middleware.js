@@ -0,0 +1,65 @@
+import { NextResponse } from 'next/server';
+import { adminChallenge, isAdminRequest } from '@/lib/adminAuth';
+
+/**
+ * Cross-origin access for the embeddable widget, and the login for admin pages.
+ *
+ * Pages listed in WIDGET_ALLOWED_ORIGINS (comma-separated, or "*") may call
+ * the widget's API routes from the browser. Other origins get no CORS headers,
+ * so browsers keep blocking them.
+ *
+ * Pages under /admin and the agent API under /api/admin require the
+ * ADMIN_TOKEN (see src/lib/adminAuth.js).
+ */
+
+function allowedOrigin(origin) {
+  if (!origin) return null;
+  const allowed = (process.env.WIDGET_ALLOWED_ORIGINS || '')
+    .split(',')
+    .map(entry => entry.trim().replace(/\/$/, ''))
+    .filter(Boolean);
+  return allowed.includes('*') || allowed.includes(origin) ? origin : null;
+}
+
+function corsHeaders(origin) {
+  return {
+    'Access-Control-Allow-Origin': origin,
+    'Access-Control-Allow-Methods': 'GET, POST, PATCH, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Accept',
+    'Access-Control-Expose-Headers': 'X-Session-Id, Retry-After',
+    'Access-Control-Max-Age': '86400',
+    Vary: 'Origin',
+  };
+}
+
+export function middleware(request) {
+  const { pathname } = request.nextUrl;
+  if (pathname.startsWith('/admin') || pathname.startsWith('/api/admin/')) {
+    return isAdminRequest(request) ? NextResponse.next() : adminChallenge();
+  }
+
+  const origin = allowedOrigin(request.headers.get('origin'));
+
+  // Answer preflight requests here; route handlers only see the real request
+  if (request.method === 'OPTIONS') {
+    return new NextResponse(null, {
+      status: origin ? 204 : 403,
+      headers: origin ? corsHeaders(origin) : {},
+    });
+  }
+
+  const response = NextResponse.next();
+  if (origin) {
+    Object.entries(corsHeaders(origin)).forEach(([name, value]) => response.headers.set(name, value));
+  }
+  return response;
+}
+
+export const config = {
+  // API routes the widget calls, and the admin pages and API
+  matcher: [
+    '/api/chat', '/api/feedback', '/api/widget-config', '/api/analytics', '/api/handoff/:path*', '/api/contact', '/api/leads',
+    '/api/products', '/api/products/:path*',
+    '/admin/:path*', '/api/admin/:path*',
+  ],
+};
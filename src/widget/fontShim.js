@@ -0,0 +1,8 @@
+/**
+ * Stand-in for next/font/google in the standalone widget bundle.
+ * Outside Next.js there is no font loader; the widget uses the fonts
+ * declared in widget.css instead.
+ */
+export function Mulish() {
+  return { className: '', variable: '', style: {} };
+}
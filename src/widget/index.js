@@ -0,0 +1,34 @@
+import { createRoot } from 'react-dom/client';
+import Chatbot from '@/app/chatbot/home';
+import styles from 'jennibot:styles';
+
+/**
+ * Mounts the chat widget into a shadow root. Called by the loader script
+ * (public/jennibot-loader.js) once this bundle has loaded.
+ * @param {ShadowRoot} shadowRoot - Isolated root created by the loader
+ * @param {Object} options
+ * @param {string} options.apiBase - Origin of the JenniBot app
+ * @param {boolean} options.open - Open the chat window right away
+ * @param {Object} options.config - Widget configuration overrides
+ * @param {string} options.configUrl - Where to load the configuration from
+ * @return {{unmount: Function}}
+ */
+export function mount(shadowRoot, { apiBase = '', open = false, config, configUrl } = {}) {
+  const style = document.createElement('style');
+  style.textContent = styles;
+  shadowRoot.appendChild(style);
+
+  const container = document.createElement('div');
+  shadowRoot.appendChild(container);
+
+  const root = createRoot(container);
+  root.render(<Chatbot apiBase={apiBase} defaultOpen={open} config={config} configUrl={configUrl} />);
+
+  return {
+    unmount() {
+      root.unmount();
+      style.remove();
+      container.remove();
+    },
+  };
+}